@@ -0,0 +1,256 @@
+const { db } = require('./db');
+const { toDayKey, bucketRange } = require('./timeBuckets');
+
+// Anomaly detection on the daily date/target series, overall or per group of a
+// categorical column. Methods:
+//
+//   seasonal  additive decomposition (7-day centered moving median trend plus
+//             a day-of-week profile of median deviations); the residual is
+//             scored with a robust z-score. Medians keep a spike from pulling
+//             the expected value of its neighbours.
+//   zscore    robust z-score of the values: 0.6745 * (x - median) / MAD
+//   iqr       values outside [Q1 - k * IQR, Q3 + k * IQR]
+//
+// Detection runs on demand. Users mark anomalies as acknowledged, or as excluded
+// so the rows behind them are left out of every training run of the project
+// (uploads and retrains alike) until the mark is cleared; marks are kept per
+// project, day and group, so they survive appends and reloads.
+
+const METHODS = ['seasonal', 'zscore', 'iqr'];
+const STATUSES = ['acknowledged', 'excluded'];
+// Score a point must exceed: a robust z for seasonal / zscore, the IQR multiple k for iqr
+const SENSITIVITY = {
+    low: { z: 4.5, iqr: 3 },
+    medium: { z: 3.5, iqr: 2.2 },
+    high: { z: 2.5, iqr: 1.5 }
+};
+const PERIOD = 7;
+// The seasonal method needs this many full periods of data
+const MIN_PERIODS = 2;
+const MAX_GROUPS = 20;
+
+const anomalyError = (message, status = 400) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const median = (xs) => {
+    const sorted = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Linear interpolation between the closest ranks, like numpy's default
+const quantile = (sorted, q) => {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+};
+
+// Robust z-scores; a series without spread has none (null)
+const robustZ = (xs) => {
+    const m = median(xs);
+    const mad = median(xs.map(x => Math.abs(x - m)));
+    if (mad > 0) return xs.map(x => (0.6745 * (x - m)) / mad);
+    // More than half the values are equal; fall back to the mean absolute deviation
+    const meanAbs = xs.reduce((total, x) => total + Math.abs(x - m), 0) / xs.length;
+    return meanAbs > 0 ? xs.map(x => (x - m) / (1.2533 * meanAbs)) : null;
+};
+
+// Daily totals on a regular grid; days without rows are null and never flagged
+const dailySeries = (points) => {
+    const sums = new Map();
+    points.forEach(({ date, value }) => sums.set(date, (sums.get(date) || 0) + value));
+    const days = [...sums.keys()].sort();
+    const dates = bucketRange(days[0], days[days.length - 1], 'day');
+    return { dates, values: dates.map(d => (sums.has(d) ? sums.get(d) : null)) };
+};
+
+// Expected value of every day: trend plus the day-of-week component
+const seasonalExpected = (values) => {
+    const half = Math.floor(PERIOD / 2);
+    const trend = values.map((_, t) => {
+        const window = values.slice(Math.max(t - half, 0), t + half + 1).filter(v => v !== null);
+        return window.length > half ? median(window) : null;
+    });
+    const profile = Array.from({ length: PERIOD }, (_, p) => {
+        const detrended = values
+            .map((v, t) => (t % PERIOD === p && v !== null && trend[t] !== null ? v - trend[t] : null))
+            .filter(v => v !== null);
+        return detrended.length ? median(detrended) : 0;
+    });
+    const offset = profile.reduce((a, b) => a + b, 0) / PERIOD;
+    return values.map((_, t) => (trend[t] === null ? null : trend[t] + profile[t % PERIOD] - offset));
+};
+
+// Flags points of one daily series: [{ date, value, expected, score }]
+const detect = (dates, values, method, level) => {
+    const observed = values.map((value, t) => ({ date: dates[t], value, t })).filter(p => p.value !== null);
+    if (observed.length < 3) throw anomalyError(`Not enough history: ${observed.length} day(s) with data`, 422);
+
+    if (method === 'iqr') {
+        const sorted = observed.map(p => p.value).sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        if (iqr === 0) return [];
+        const expected = quantile(sorted, 0.5);
+        return observed
+            .map(p => ({ ...p, expected, score: p.value > q3 ? (p.value - q3) / iqr : p.value < q1 ? (p.value - q1) / iqr : 0 }))
+            .filter(p => Math.abs(p.score) > level.iqr);
+    }
+
+    let scored = observed;
+    if (method === 'seasonal') {
+        if (observed.length < MIN_PERIODS * PERIOD) {
+            throw anomalyError(`The seasonal method needs at least ${MIN_PERIODS * PERIOD} days with data`, 422);
+        }
+        const expected = seasonalExpected(values);
+        scored = observed.filter(p => expected[p.t] !== null).map(p => ({ ...p, expected: expected[p.t] }));
+    } else {
+        const m = median(observed.map(p => p.value));
+        scored = observed.map(p => ({ ...p, expected: m }));
+    }
+    const z = robustZ(scored.map(p => p.value - p.expected));
+    if (!z) return [];
+    return scored.map((p, i) => ({ ...p, score: z[i] })).filter(p => Math.abs(p.score) > level.z);
+};
+
+// Query parameters: method (default seasonal), sensitivity (low | medium | high,
+// default medium), groupBy (a categorical column), from, to. Returns the options or throws.
+const parseAnomalyQuery = (query, dimensions) => {
+    const method = query.method || 'seasonal';
+    if (!METHODS.includes(method)) throw anomalyError(`method must be one of ${METHODS.join(', ')}`);
+    const sensitivity = query.sensitivity || 'medium';
+    if (!SENSITIVITY[sensitivity]) {
+        throw anomalyError(`sensitivity must be one of ${Object.keys(SENSITIVITY).join(', ')}`);
+    }
+    if (query.groupBy && !dimensions.includes(query.groupBy)) {
+        throw anomalyError(`groupBy must be a categorical column: ${dimensions.join(', ')}`);
+    }
+    const range = {};
+    ['from', 'to'].forEach(key => {
+        if (!query[key]) return;
+        range[key] = toDayKey(query[key]);
+        if (!range[key]) throw anomalyError(`Invalid ${key} date: ${query[key]}`);
+    });
+    return { method, sensitivity, groupBy: query.groupBy || null, ...range };
+};
+
+const markKey = (day, dimension, value) => JSON.stringify([day, dimension || '', value || '']);
+
+const marksOf = (projectId) => {
+    const marks = new Map();
+    db.prepare('SELECT * FROM anomaly_marks WHERE project_id = ?').all(projectId)
+        .forEach(row => marks.set(markKey(row.day, row.dimension, row.value), row));
+    return marks;
+};
+
+// rows: date/sales rows with the groupBy value (salesQuery.seriesRows).
+// Returns the anomalies of the total series, or of the largest MAX_GROUPS groups,
+// each with the mark a user gave it.
+const findAnomalies = (projectId, rows, options) => {
+    const { method, sensitivity, groupBy, from, to } = options;
+    const points = [];
+    rows.forEach(row => {
+        const date = toDayKey(row.date);
+        if (!date || isNaN(row.sales) || (from && date < from) || (to && date > to)) return;
+        points.push({ date, value: row.sales, group: groupBy ? String(row[groupBy] ?? '') : null });
+    });
+    if (points.length === 0) throw anomalyError('No dated sales data in this range', 422);
+
+    const byGroup = new Map();
+    points.forEach(p => {
+        if (!byGroup.has(p.group)) byGroup.set(p.group, []);
+        byGroup.get(p.group).push(p);
+    });
+    const groups = [...byGroup.entries()]
+        .map(([group, groupPoints]) => ({ group, groupPoints, total: groupPoints.reduce((a, p) => a + p.value, 0) }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, groupBy ? MAX_GROUPS : 1);
+
+    const marks = marksOf(projectId);
+    const anomalies = [];
+    const summaries = groups.map(({ group, groupPoints }) => {
+        const { dates, values } = dailySeries(groupPoints);
+        try {
+            const found = detect(dates, values, method, SENSITIVITY[sensitivity]);
+            found.forEach(p => {
+                const mark = marks.get(markKey(p.date, groupBy, group));
+                anomalies.push({
+                    date: p.date,
+                    dimension: groupBy,
+                    group,
+                    value: p.value,
+                    expected: p.expected,
+                    score: Number(p.score.toFixed(3)),
+                    direction: p.value > p.expected ? 'spike' : 'drop',
+                    status: mark ? mark.status : null,
+                    markedBy: mark ? mark.marked_by : null,
+                    appliedJobId: mark ? mark.applied_job_id : null
+                });
+            });
+            return { group, days: values.filter(v => v !== null).length, anomalies: found.length };
+        } catch (err) {
+            if (!err.status) throw err;
+            return { group, days: values.filter(v => v !== null).length, anomalies: 0, error: err.message };
+        }
+    });
+    if (!groupBy && summaries[0].error) throw anomalyError(summaries[0].error, 422);
+
+    anomalies.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    return {
+        method,
+        sensitivity,
+        threshold: method === 'iqr' ? SENSITIVITY[sensitivity].iqr : SENSITIVITY[sensitivity].z,
+        groupBy,
+        from: from || null,
+        to: to || null,
+        totalGroups: groupBy ? byGroup.size : null,
+        groups: groupBy ? summaries : null,
+        anomalies
+    };
+};
+
+// Acknowledges an anomaly, excludes it from the next retrain, or (status null) clears its mark.
+// body: { date, dimension, group, status }
+const mark = (projectId, body, user) => {
+    const day = toDayKey(body.date);
+    if (!day) throw anomalyError('date must be a valid date');
+    const status = body.status === undefined ? null : body.status;
+    if (status !== null && !STATUSES.includes(status)) {
+        throw anomalyError(`status must be one of ${STATUSES.join(', ')} or null`);
+    }
+    const dimension = body.dimension || '';
+    const value = dimension ? String(body.group ?? '') : '';
+
+    if (status === null) {
+        db.prepare('DELETE FROM anomaly_marks WHERE project_id = ? AND day = ? AND dimension = ? AND value = ?')
+            .run(projectId, day, dimension, value);
+    } else {
+        db.prepare(`INSERT INTO anomaly_marks (project_id, day, dimension, value, status, marked_by, marked_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT (project_id, day, dimension, value)
+                    DO UPDATE SET status = excluded.status, marked_by = excluded.marked_by,
+                                  marked_at = excluded.marked_at, applied_job_id = NULL`)
+            .run(projectId, day, dimension, value, status, user ? user.username : null, new Date().toISOString());
+    }
+    return { date: day, dimension: dimension || null, group: dimension ? value : null, status };
+};
+
+// The project's excluded anomalies, applied or not: [{ id, day, dimension, value }].
+// Training leaves out every row of the day (dimension '') or the rows of the day
+// with that value of the dimension.
+const exclusions = (projectId) =>
+    db.prepare(`SELECT id, day, dimension, value FROM anomaly_marks
+                WHERE project_id = ? AND status = 'excluded' ORDER BY day`).all(projectId);
+
+// Records the latest training job that left the excluded anomalies out, once it
+// succeeded; marks changed since the job was queued are left alone
+const markApplied = (markIds, jobId) => {
+    const update = db.prepare("UPDATE anomaly_marks SET applied_job_id = ? WHERE id = ? AND status = 'excluded'");
+    db.transaction(() => markIds.forEach(id => update.run(jobId, id)))();
+};
+
+module.exports = { METHODS, SENSITIVITY, parseAnomalyQuery, findAnomalies, mark, exclusions, markApplied };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { db } = require('./db');
+
+// User accounts, login sessions and API keys. Passwords are hashed with
+// scrypt; session tokens and API keys are random strings of which only a
+// SHA-256 is stored. Both are sent as "Authorization: Bearer <token>".
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'analyst', 'admin'];
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'psa_';
+const KEY_LENGTH = 64;
+
+const scrypt = promisify(crypto.scrypt);
+
+const authError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Stored as scrypt$<salt>$<hash>, both hex
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the username is unknown, so the response time does not reveal it
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+const toUser = (row) => row && {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at
+};
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const validateRole = (role) => {
+    if (!ROLES.includes(role)) throw authError(`role must be one of ${ROLES.join(', ')}`, 400);
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw authError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+};
+
+const countAdmins = () => db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin'").get().n;
+
+const listUsers = () => db.prepare('SELECT * FROM users ORDER BY username').all().map(toUser);
+
+const getUser = (id) => toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+
+const createUser = async ({ username, password, role = 'viewer' }) => {
+    username = typeof username === 'string' ? username.trim() : '';
+    if (!username) throw authError('username is required', 400);
+    validatePassword(password);
+    validateRole(role);
+    if (db.prepare('SELECT 1 FROM users WHERE username = ?').get(username)) {
+        throw authError(`User ${username} already exists`, 409);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const { lastInsertRowid } = db.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)')
+        .run(username, passwordHash, role, new Date().toISOString());
+    return getUser(lastInsertRowid);
+};
+
+// Changes the role and/or password. A password change signs the user out everywhere.
+const updateUser = async (id, { role, password }) => {
+    const user = getUser(id);
+    if (!user) throw authError('User not found', 404);
+    if (role !== undefined) {
+        validateRole(role);
+        if (user.role === 'admin' && role !== 'admin' && countAdmins() === 1) {
+            throw authError('Cannot demote the last admin', 409);
+        }
+    }
+    if (password !== undefined) validatePassword(password);
+
+    const passwordHash = password !== undefined ? await hashPassword(password) : null;
+    db.transaction(() => {
+        if (role !== undefined) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+        if (passwordHash) {
+            db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+            db.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+        }
+    })();
+    return getUser(id);
+};
+
+// Sessions and API keys go with the user (ON DELETE CASCADE)
+const deleteUser = (id) => {
+    const user = getUser(id);
+    if (!user) throw authError('User not found', 404);
+    if (user.role === 'admin' && countAdmins() === 1) throw authError('Cannot delete the last admin', 409);
+    db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    return user;
+};
+
+// Returns { token, expiresAt, user }; throws a 401 for bad credentials
+const login = async (username, password) => {
+    const row = typeof username === 'string' && db.prepare('SELECT * FROM users WHERE username = ?').get(username.trim());
+    const valid = await verifyPassword(String(password || ''), row ? row.password_hash : DUMMY_HASH);
+    if (!row || !valid) throw authError('Invalid username or password', 401);
+
+    const now = new Date();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+    db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now.toISOString());
+    db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(sha256(token), row.id, now.toISOString(), expiresAt);
+    return { token, expiresAt, user: toUser(row) };
+};
+
+const logout = (token) => {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(sha256(token));
+};
+
+// Resolves a bearer token (session token or API key) to its user, or null
+const authenticate = (token) => {
+    if (!token) return null;
+    const hash = sha256(token);
+    const now = new Date().toISOString();
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+        const key = db.prepare('SELECT id, user_id FROM api_keys WHERE key_hash = ?').get(hash);
+        if (!key) return null;
+        db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now, key.id);
+        return getUser(key.user_id);
+    }
+
+    const session = db.prepare('SELECT user_id FROM sessions WHERE token_hash = ? AND expires_at > ?').get(hash, now);
+    return session ? getUser(session.user_id) : null;
+};
+
+const toApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+});
+
+// The key itself is only returned here; afterwards it is identified by its prefix
+const createApiKey = (userId, name) => {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const { lastInsertRowid } = db.prepare('INSERT INTO api_keys (user_id, name, key_hash, prefix, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(userId, String(name || 'API key').slice(0, 100), sha256(key), key.slice(0, API_KEY_PREFIX.length + 6), new Date().toISOString());
+    return { ...toApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(lastInsertRowid)), key };
+};
+
+const listApiKeys = (userId) => db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at').all(userId).map(toApiKey);
+
+// Returns false if the user has no such key
+const revokeApiKey = (userId, id) =>
+    db.prepare('DELETE FROM api_keys WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+
+// Creates the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts yet
+const ensureAdmin = async () => {
+    if (db.prepare('SELECT COUNT(*) AS n FROM users').get().n > 0) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.warn('No user accounts yet. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+        return;
+    }
+    await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    console.log(`Created admin account ${ADMIN_USERNAME}.`);
+};
+
+module.exports = {
+    ROLES,
+    hasRole,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    authenticate,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    ensureAdmin
+};
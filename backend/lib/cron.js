@@ -0,0 +1,90 @@
+// Five-field cron expressions: minute hour day-of-month month day-of-week,
+// evaluated in the server's local time. Fields take *, numbers, ranges (1-5),
+// lists (1,15) and steps (*/15, 8-18/2). Day-of-week 0 and 7 are Sunday. As in
+// classic cron, when both day fields are restricted a day matching either runs.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+// Expressions that never match (e.g. 30 February) give up after this long
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+const cronError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw cronError(`Invalid ${name} field: ${text}`);
+        const [, range, from, to, step] = match;
+        const lo = range === '*' ? min : Number(from);
+        const hi = range === '*' ? max : to !== undefined ? Number(to) : step ? max : lo;
+        const by = step ? Number(step) : 1;
+        if (lo < min || hi > max || lo > hi || by < 1) {
+            throw cronError(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+        }
+        for (let v = lo; v <= hi; v += by) values.add(v);
+    });
+    return values;
+};
+
+const parseCron = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw cronError('A cron expression has five fields: minute hour day-of-month month day-of-week');
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+};
+
+const dayMatches = (cron, d) => {
+    const dom = cron.dayOfMonth.has(d.getDate());
+    const dow = cron.dayOfWeek.has(d.getDay());
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+};
+
+// First matching minute strictly after `from`, or null if there is none within five years
+const nextRun = (cron, from = new Date()) => {
+    const d = new Date(from);
+    d.setSeconds(0, 0);
+    d.setMinutes(d.getMinutes() + 1);
+    const limit = from.getTime() + MAX_LOOKAHEAD_MS;
+
+    while (d.getTime() < limit) {
+        if (!cron.month.has(d.getMonth() + 1)) {
+            d.setMonth(d.getMonth() + 1, 1);
+            d.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, d)) {
+            d.setDate(d.getDate() + 1);
+            d.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.has(d.getHours())) {
+            d.setHours(d.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.has(d.getMinutes())) {
+            d.setMinutes(d.getMinutes() + 1, 0, 0);
+        } else {
+            return d;
+        }
+    }
+    return null;
+};
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,287 @@
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { toCsv } = require('./csvUtils');
+
+// Checks uploaded files and turns them into plain CSV before anything reads
+// them. Accepts comma, semicolon, tab or pipe separated text, optionally
+// gzipped or as the only CSV in a ZIP archive, in UTF-8, UTF-16 (with a byte
+// order mark) or a legacy single-byte encoding. The result is always UTF-8
+// and comma separated, so the Python scripts and the row importers only ever
+// see one format. Anything else is rejected with a 4xx error.
+
+const MB = 1024 * 1024;
+const MAX_UPLOAD_BYTES = (parseInt(process.env.UPLOAD_MAX_MB) || 50) * MB;
+// Limit after decompression, so a small archive cannot expand without bound
+const MAX_EXTRACTED_BYTES = (parseInt(process.env.UPLOAD_MAX_EXTRACTED_MB) || 200) * MB;
+const EXTENSIONS = ['.csv', '.tsv', '.txt', '.gz', '.zip'];
+const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+const DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+// Encoding of text that is not valid UTF-8 and has no byte order mark
+const FALLBACK_ENCODING = 'windows-1252';
+const SNIFF_LINES = 50;
+
+const uploadError = (message, status = 400) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// multer fileFilter: only the extensions above. Browsers report CSVs under
+// several MIME types (text/csv, application/vnd.ms-excel, ...), so the content
+// is checked later instead of the declared type.
+const fileFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!EXTENSIONS.includes(extension)) {
+        return cb(uploadError(`Unsupported file type "${extension || file.originalname}". Upload one of: ${EXTENSIONS.join(', ')}`, 415));
+    }
+    cb(null, true);
+};
+
+// Options for every multer instance that receives data files
+const multerOptions = { limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }, fileFilter };
+
+// multer's own errors as 4xx errors with a readable message
+const fromMulterError = (err) => {
+    if (err.status) return err;
+    if (err.code === 'LIMIT_FILE_SIZE') {
+        return uploadError(`File too large: uploads are limited to ${MAX_UPLOAD_BYTES / MB} MB`, 413);
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return uploadError('Upload a single file in form field "file"');
+    }
+    return uploadError(err.code ? `Invalid upload: ${err.message}` : err.message, err.code ? 400 : 500);
+};
+
+// A name that is safe to use as a file name anywhere: letters, digits, '.', '_' and '-', ending in .csv
+const safeFileName = (originalName) => {
+    const base = path.basename(String(originalName || ''))
+        .replace(/\.(gz|zip)$/i, '')
+        .replace(/\.(csv|tsv|txt)$/i, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^[._-]+/, '')
+        .slice(0, 100);
+    return `${base || 'upload'}.csv`;
+};
+
+const gunzip = (buffer) => {
+    try {
+        return zlib.gunzipSync(buffer, { maxOutputLength: MAX_EXTRACTED_BYTES });
+    } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw uploadError(`File too large: uncompressed uploads are limited to ${MAX_EXTRACTED_BYTES / MB} MB`, 413);
+        }
+        throw uploadError(`Could not decompress the gzip file: ${err.message}`);
+    }
+};
+
+// The only CSV/TSV/TXT entry of a ZIP archive (read from the central directory)
+const unzip = (buffer) => {
+    const corrupt = () => uploadError('The ZIP archive is damaged or uses an unsupported format');
+    const searchFrom = Math.max(0, buffer.length - 65557);
+    let end = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw corrupt();
+
+    const entries = [];
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let n = buffer.readUInt16LE(end + 10); n > 0; n--) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw corrupt();
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.push({
+            name,
+            encrypted: (buffer.readUInt16LE(offset + 8) & 1) === 1,
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    // Skips folders and the metadata macOS adds to archives
+    const candidates = entries.filter(e => !e.name.endsWith('/') && !e.name.startsWith('__MACOSX/')
+        && !path.basename(e.name).startsWith('.') && TEXT_EXTENSIONS.includes(path.extname(e.name).toLowerCase()));
+    if (candidates.length !== 1) {
+        throw uploadError(`The ZIP archive must contain exactly one ${TEXT_EXTENSIONS.join('/')} file; found ${candidates.length}`);
+    }
+    const entry = candidates[0];
+    if (entry.encrypted) throw uploadError('Password-protected ZIP archives are not supported');
+    if (entry.size > MAX_EXTRACTED_BYTES) {
+        throw uploadError(`File too large: uncompressed uploads are limited to ${MAX_EXTRACTED_BYTES / MB} MB`, 413);
+    }
+    if (entry.localOffset + 30 > buffer.length || buffer.readUInt32LE(entry.localOffset) !== 0x04034b50) throw corrupt();
+    const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    let content;
+    if (entry.method === 0) content = data;
+    else if (entry.method === 8) {
+        try {
+            content = zlib.inflateRawSync(data, { maxOutputLength: MAX_EXTRACTED_BYTES });
+        } catch (err) {
+            throw corrupt();
+        }
+    } else {
+        throw uploadError(`Unsupported ZIP compression method ${entry.method}; use deflate`);
+    }
+    return { content, name: entry.name };
+};
+
+// Undoes gzip or ZIP compression, recognized by content rather than by extension
+const extract = (buffer) => {
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        return { content: gunzip(buffer), compression: 'gzip', name: null };
+    }
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        return { ...unzip(buffer), compression: 'zip' };
+    }
+    return { content: buffer, compression: null, name: null };
+};
+
+const decodeAs = (buffer, encoding, fatal = false) => {
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding, { fatal });
+    } catch (err) {
+        throw uploadError(`Unknown encoding: ${encoding}`);
+    }
+    return { text: decoder.decode(buffer), encoding: decoder.encoding };
+};
+
+// Text of the file. encoding: a label TextDecoder understands, or detected from
+// the byte order mark, else UTF-8 if the bytes are valid UTF-8, else windows-1252.
+// TextDecoder strips the byte order mark.
+const decode = (buffer, encoding) => {
+    if (encoding) return decodeAs(buffer, encoding);
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return decodeAs(buffer, 'utf-16le');
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return decodeAs(buffer, 'utf-16be');
+    // UTF-16 without a byte order mark is not recognizable; NUL bytes mean binary content
+    if (buffer.subarray(0, 8192).includes(0)) {
+        throw uploadError('The file is not a text file. Upload delimited text such as CSV.', 415);
+    }
+    try {
+        return decodeAs(buffer, 'utf-8', true);
+    } catch (err) {
+        if (err.status) throw err;
+        return decodeAs(buffer, FALLBACK_ENCODING);
+    }
+};
+
+// Number of `delimiter` characters outside double quotes
+const countOutsideQuotes = (line, delimiter) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count++;
+    }
+    return count;
+};
+
+// The first `limit` records of the text. Unlike lines, a record keeps the line
+// breaks inside double quotes.
+const sniffRecords = (text, limit) => {
+    const records = [];
+    let start = 0;
+    let quoted = false;
+    for (let i = 0; i < text.length && records.length < limit; i++) {
+        if (text[i] === '"') quoted = !quoted;
+        else if (text[i] === '\n' && !quoted) {
+            records.push(text.slice(start, i).replace(/\r$/, ''));
+            start = i + 1;
+        }
+    }
+    if (records.length < limit && start < text.length) records.push(text.slice(start));
+    return records;
+};
+
+// The delimiter that splits the header into the most columns and the records
+// below it into the same number. A header without any delimiter is a single
+// column, read as comma separated. Throws a 415 if the text is not delimited.
+const detectDelimiter = (text) => {
+    if (text.includes('\u0000')) {
+        throw uploadError('The file is not a text file. Upload delimited text such as CSV.', 415);
+    }
+    const records = sniffRecords(text, SNIFF_LINES + 1).filter(record => record.trim() !== '');
+    if (records.length === 0) throw uploadError('The file is empty');
+
+    const [header, ...rows] = records;
+    if (DELIMITERS.every(delimiter => countOutsideQuotes(header, delimiter) === 0)) return ',';
+    let best = null;
+    DELIMITERS.forEach(delimiter => {
+        const columns = countOutsideQuotes(header, delimiter);
+        if (columns === 0) return;
+        const consistent = rows.filter(record => countOutsideQuotes(record, delimiter) === columns).length;
+        if (rows.length > 0 && consistent < rows.length / 2) return;
+        if (!best || columns > best.columns) best = { delimiter, columns };
+    });
+    if (!best) {
+        throw uploadError('The file does not look like delimited text: expected a header row and comma, semicolon, tab or pipe separated columns', 415);
+    }
+    return best.delimiter;
+};
+
+const parseText = (text, separator) => new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = null;
+    Readable.from([text])
+        .pipe(csv({ separator }))
+        .on('headers', (names) => { headers = names; })
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve({ headers, rows }))
+        .on('error', reject);
+});
+
+// Turns the uploaded bytes into UTF-8, comma separated CSV.
+// options: { originalName, encoding (optional override) }
+// Resolves to { buffer, fileName, delimiter, encoding, compression }.
+const normalize = async (buffer, { originalName, encoding } = {}) => {
+    if (buffer.length === 0) throw uploadError('The file is empty');
+    const { content, compression, name } = extract(buffer);
+    const decoded = decode(content, encoding);
+    const delimiter = detectDelimiter(decoded.text);
+    const headers = (await parseText(decoded.text.split(/\r?\n/, 1)[0], delimiter)).headers || [];
+    if (new Set(headers).size !== headers.length) throw uploadError('The header row has duplicate column names');
+    if (headers.some(h => h.trim() === '')) throw uploadError('The header row has an empty column name');
+
+    let output;
+    if (delimiter === ',' && decoded.encoding === 'utf-8') {
+        // Already in the target format; only the byte order mark (if any) is dropped
+        output = Buffer.from(decoded.text, 'utf8');
+    } else {
+        const parsed = await parseText(decoded.text, delimiter);
+        output = Buffer.from(toCsv(parsed.rows, parsed.headers), 'utf8');
+    }
+    return {
+        buffer: output,
+        fileName: safeFileName(name || originalName),
+        delimiter: DELIMITER_NAMES[delimiter],
+        encoding: decoded.encoding,
+        compression
+    };
+};
+
+// Normalizes a multer file in place, whether it was saved to disk or kept in
+// memory. Adds file.csvName (the safe name to store it under) and file.csvInfo.
+const normalizeFile = async (file, options = {}) => {
+    const input = file.buffer || await fs.promises.readFile(file.path);
+    const { buffer, fileName, ...info } = await normalize(input, { ...options, originalName: file.originalname });
+    if (file.buffer) file.buffer = buffer;
+    else await fs.promises.writeFile(file.path, buffer);
+    file.size = buffer.length;
+    file.csvName = fileName;
+    file.csvInfo = info;
+    return file;
+};
+
+module.exports = { MAX_UPLOAD_BYTES, multerOptions, fromMulterError, safeFileName, normalize, normalizeFile };
@@ -0,0 +1,30 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+
+// Parses an in-memory CSV (e.g. a multer memoryStorage upload) into row objects
+const parseCsvBuffer = (buffer) => new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+        .pipe(csv())
+        .on('data', (row) => rows.push(row))
+        .on('end', () => resolve(rows))
+        .on('error', reject);
+});
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serializes row objects to CSV. Columns default to the union of all row keys.
+const toCsv = (rows, columns) => {
+    const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [header.map(escapeCell).join(',')];
+    rows.forEach(row => {
+        lines.push(header.map(col => escapeCell(row[col])).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
+
+module.exports = { parseCsvBuffer, toCsv };
@@ -0,0 +1,164 @@
+const { db } = require('./db');
+const salesStore = require('./salesStore');
+const { toDayKey } = require('./timeBuckets');
+
+// Incremental appends to the active dataset. The new file must have the
+// dataset's columns; rows are de-duplicated on key columns (a new row replaces
+// a stored row with the same key, and within the file the last row wins) and
+// merged in place. Each append records the rows it added and replaced, so the
+// latest one can be reverted.
+
+const appendError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const toAppend = (row) => ({
+    id: row.id,
+    datasetId: row.dataset_id,
+    modelVersion: row.model_version,
+    fileName: row.file_name,
+    keyColumns: JSON.parse(row.key_columns),
+    rowsReceived: row.rows_received,
+    rowsAdded: row.rows_added,
+    rowsReplaced: row.rows_replaced,
+    rowsSkipped: row.rows_skipped,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    retrainJobId: row.retrain_job_id,
+    revertedBy: row.reverted_by,
+    revertedAt: row.reverted_at
+});
+
+const SELECT_APPENDS = `SELECT a.*, d.model_version FROM dataset_appends a JOIN datasets d ON d.id = a.dataset_id`;
+
+// Date plus every categorical column, i.e. one row per day and combination
+const defaultKeyColumns = (dataset, dateColumn) =>
+    [dateColumn, ...dataset.dimensions].filter(col => col && dataset.columns.includes(col));
+
+const rowKey = (data, keyColumns, dateColumn) => JSON.stringify(keyColumns.map(col => (
+    col === dateColumn ? toDayKey(data[col]) : String(data[col] ?? '')
+)));
+
+const updateRowCount = (datasetId) => {
+    db.prepare('UPDATE datasets SET row_count = (SELECT COUNT(*) FROM sales_rows WHERE dataset_id = ?) WHERE id = ?')
+        .run(datasetId, datasetId);
+};
+
+const merge = db.transaction((dataset, record, replaced, incoming) => {
+    const { lastInsertRowid: appendId } = db.prepare(`INSERT INTO dataset_appends
+        (dataset_id, file_name, key_columns, rows_received, rows_added, rows_replaced, rows_skipped, created_by, created_at)
+        VALUES (@datasetId, @fileName, @keyColumns, @rowsReceived, @rowsAdded, @rowsReplaced, @rowsSkipped, @createdBy, @createdAt)`)
+        .run(record);
+    const log = db.prepare('INSERT INTO dataset_append_rows (append_id, kind, row_id, day, sales, data) VALUES (?, ?, ?, ?, ?, ?)');
+    const remove = db.prepare('DELETE FROM sales_rows WHERE id = ?');
+    replaced.forEach(row => {
+        log.run(appendId, 'replaced', row.id, row.day, row.sales, row.data);
+        remove.run(row.id);
+    });
+    salesStore.insertBatch(dataset.id, dataset.dimensions, incoming)
+        .forEach(rowId => log.run(appendId, 'added', rowId, null, null, null));
+    updateRowCount(dataset.id);
+    return appendId;
+});
+
+// rows: parsed CSV rows. options: { fileName, keyColumns, dateColumn, user }
+const appendRows = (dataset, rows, { fileName, keyColumns, dateColumn, user }) => {
+    if (rows.length === 0) throw appendError('The file has no rows', 400);
+
+    const header = Object.keys(rows[0]);
+    const missing = dataset.columns.filter(col => !header.includes(col));
+    const extra = header.filter(col => !dataset.columns.includes(col));
+    if (missing.length || extra.length) {
+        const problems = [
+            missing.length ? `missing ${missing.join(', ')}` : null,
+            extra.length ? `unexpected ${extra.join(', ')}` : null
+        ].filter(Boolean);
+        throw appendError(`Columns do not match the current dataset: ${problems.join('; ')}`, 400);
+    }
+
+    const keys = keyColumns && keyColumns.length ? keyColumns : defaultKeyColumns(dataset, dateColumn);
+    const unknownKeys = keys.filter(col => !dataset.columns.includes(col));
+    if (keys.length === 0 || unknownKeys.length) {
+        throw appendError(`keyColumns must be columns of the dataset: ${dataset.columns.join(', ')}`, 400);
+    }
+
+    // Rows without a usable date or target are skipped, as in a full import
+    const incoming = new Map();
+    let skipped = 0;
+    rows.forEach(raw => {
+        const key = rowKey(raw, keys, dateColumn);
+        const mapped = salesStore.mapRow({ ...raw }, dataset.targetColumn, dateColumn);
+        if (mapped) incoming.set(key, mapped);
+        else skipped++;
+    });
+
+    // Only stored rows within the new file's date range can share a key when the date is part of it
+    const days = [...incoming.values()].map(row => row.day).sort();
+    const candidates = keys.includes(dateColumn) && days.length
+        ? db.prepare('SELECT id, day, sales, data FROM sales_rows WHERE dataset_id = ? AND day BETWEEN ? AND ?')
+            .all(dataset.id, days[0], days[days.length - 1])
+        : db.prepare('SELECT id, day, sales, data FROM sales_rows WHERE dataset_id = ?').all(dataset.id);
+    const replaced = [];
+    const matchedKeys = new Set();
+    candidates.forEach(row => {
+        const key = rowKey(JSON.parse(row.data), keys, dateColumn);
+        if (!incoming.has(key)) return;
+        replaced.push(row);
+        matchedKeys.add(key);
+    });
+
+    const appendId = merge(dataset, {
+        datasetId: dataset.id,
+        fileName,
+        keyColumns: JSON.stringify(keys),
+        rowsReceived: rows.length,
+        rowsAdded: incoming.size - matchedKeys.size,
+        rowsReplaced: replaced.length,
+        rowsSkipped: skipped,
+        createdBy: user ? user.username : null,
+        createdAt: new Date().toISOString()
+    }, replaced, [...incoming.values()]);
+    salesStore.refreshActiveDataset(dataset.projectId);
+    console.log(`Appended ${fileName} to dataset ${dataset.id}: ${incoming.size} rows merged, ${replaced.length} replaced, ${skipped} skipped.`);
+    return getAppend(appendId);
+};
+
+const getAppend = (id) => {
+    const row = db.prepare(`${SELECT_APPENDS} WHERE a.id = ?`).get(id);
+    return row ? toAppend(row) : null;
+};
+
+const listAppends = (projectId, limit = 100) =>
+    db.prepare(`${SELECT_APPENDS} WHERE d.project_id = ? ORDER BY a.id DESC LIMIT ?`).all(projectId, limit).map(toAppend);
+
+const setRetrainJob = (id, jobId) => {
+    db.prepare('UPDATE dataset_appends SET retrain_job_id = ? WHERE id = ?').run(jobId, id);
+};
+
+const unmerge = db.transaction((dataset, appendId, user) => {
+    const changes = db.prepare('SELECT * FROM dataset_append_rows WHERE append_id = ?').all(appendId);
+    const remove = db.prepare('DELETE FROM sales_rows WHERE id = ?');
+    changes.filter(c => c.kind === 'added').forEach(c => remove.run(c.row_id));
+    salesStore.insertBatch(dataset.id, dataset.dimensions, changes
+        .filter(c => c.kind === 'replaced')
+        .map(c => ({ day: c.day, sales: c.sales, data: JSON.parse(c.data) })));
+    db.prepare('UPDATE dataset_appends SET reverted_by = ?, reverted_at = ? WHERE id = ?')
+        .run(user ? user.username : null, new Date().toISOString(), appendId);
+    updateRowCount(dataset.id);
+});
+
+// Only the most recent append can be reverted: an earlier one may have rows a later one replaced
+const revertLastAppend = (dataset, user) => {
+    const last = db.prepare('SELECT * FROM dataset_appends WHERE dataset_id = ? ORDER BY id DESC LIMIT 1').get(dataset.id);
+    if (!last) throw appendError('Nothing has been appended to the current dataset', 404);
+    if (last.reverted_at) throw appendError(`The last append (${last.file_name}) was already reverted`, 409);
+
+    unmerge(dataset, last.id, user);
+    salesStore.refreshActiveDataset(dataset.projectId);
+    console.log(`Reverted append ${last.id} (${last.file_name}) on dataset ${dataset.id}.`);
+    return getAppend(last.id);
+};
+
+module.exports = { appendRows, listAppends, revertLastAppend, setRetrainJob, defaultKeyColumns };
@@ -0,0 +1,279 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+// Embedded on-disk store (SQLite). Holds the projects, their datasets and rows,
+// model versions with the active pointer, the training history, user accounts,
+// saved what-if scenarios and the prediction audit log.
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'sales.db');
+
+// Each entry upgrades the schema by one version (tracked in PRAGMA user_version).
+// Never edit an entry that has shipped; append a new one.
+const MIGRATIONS = [
+    `
+    CREATE TABLE datasets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        model_version TEXT,
+        file_name TEXT NOT NULL,
+        target_column TEXT,
+        dimensions TEXT NOT NULL DEFAULT '[]',
+        columns TEXT NOT NULL DEFAULT '[]',
+        row_count INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        loaded_at TEXT
+    );
+
+    CREATE TABLE sales_rows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dataset_id INTEGER NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+        day TEXT NOT NULL,
+        sales REAL NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_sales_rows_dataset_day ON sales_rows(dataset_id, day);
+
+    -- Categorical values of each row, so filters and breakdowns can use an index
+    CREATE TABLE row_dimensions (
+        dataset_id INTEGER NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+        row_id INTEGER NOT NULL REFERENCES sales_rows(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        value TEXT NOT NULL
+    );
+    CREATE INDEX idx_row_dimensions_lookup ON row_dimensions(dataset_id, name, value, row_id);
+    CREATE INDEX idx_row_dimensions_row ON row_dimensions(row_id, name);
+
+    CREATE TABLE model_versions (
+        id TEXT PRIMARY KEY,
+        data_file TEXT,
+        target_column TEXT,
+        mae REAL,
+        job_id TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    -- Append-only log of which version was made active, when and why
+    CREATE TABLE model_activations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        activated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE training_runs (
+        job_id TEXT PRIMARY KEY,
+        version_id TEXT,
+        file_name TEXT,
+        state TEXT NOT NULL,
+        params TEXT NOT NULL DEFAULT '{}',
+        error TEXT,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT
+    );
+
+    CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    `,
+    `
+    CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    );
+
+    -- Login sessions and API keys; only a SHA-256 of the token is stored
+    CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+    );
+
+    CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT
+    );
+    `,
+    `
+    -- Named what-if inputs for the prediction form, per user
+    CREATE TABLE scenarios (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        inputs TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (user_id, name)
+    );
+    `,
+    `
+    -- Rows merged into a dataset after its initial import
+    CREATE TABLE dataset_appends (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        dataset_id INTEGER NOT NULL REFERENCES datasets(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        key_columns TEXT NOT NULL,
+        rows_received INTEGER NOT NULL,
+        rows_added INTEGER NOT NULL,
+        rows_replaced INTEGER NOT NULL,
+        rows_skipped INTEGER NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        retrain_job_id TEXT,
+        reverted_by TEXT,
+        reverted_at TEXT
+    );
+
+    -- What an append changed: ids of the rows it added and copies of the rows it replaced
+    CREATE TABLE dataset_append_rows (
+        append_id INTEGER NOT NULL REFERENCES dataset_appends(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        row_id INTEGER NOT NULL,
+        day TEXT,
+        sales REAL,
+        data TEXT
+    );
+    CREATE INDEX idx_dataset_append_rows ON dataset_append_rows(append_id, kind);
+    `,
+    `
+    -- Outcome of every drift check before a scheduled (or manual) retrain
+    CREATE TABLE retrain_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        checked_at TEXT NOT NULL,
+        model_version TEXT,
+        dataset_id INTEGER,
+        decision TEXT NOT NULL,
+        reasons TEXT NOT NULL DEFAULT '[]',
+        drift TEXT,
+        thresholds TEXT,
+        job_id TEXT,
+        error TEXT
+    );
+    `,
+    `
+    -- Named workspaces, each with its own datasets, model versions and active version
+    CREATE TABLE projects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT NOT NULL DEFAULT '',
+        active_version TEXT,
+        -- Stack of activated versions, most recent last; rollback pops it
+        activation_history TEXT NOT NULL DEFAULT '[]',
+        created_by TEXT,
+        created_at TEXT NOT NULL
+    );
+
+    -- Everything from before projects belongs to the default project, including the active version
+    INSERT INTO projects (id, name, active_version, activation_history, created_at)
+    VALUES (
+        1,
+        'Default',
+        (SELECT json_extract(value, '$') FROM settings WHERE key = 'active_model_version'),
+        COALESCE((SELECT value FROM settings WHERE key = 'model_activation_history'), '[]'),
+        strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    );
+    DELETE FROM settings WHERE key IN ('active_model_version', 'model_activation_history');
+
+    ALTER TABLE model_versions ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE model_activations ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE datasets ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE training_runs ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE retrain_decisions ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+    CREATE INDEX idx_model_versions_project ON model_versions(project_id);
+    CREATE INDEX idx_datasets_project ON datasets(project_id, status);
+
+    -- Scenario names are unique per user within a project
+    CREATE TABLE scenarios_by_project (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        project_id INTEGER NOT NULL DEFAULT 1,
+        name TEXT NOT NULL,
+        inputs TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        UNIQUE (user_id, project_id, name)
+    );
+    INSERT INTO scenarios_by_project (id, user_id, name, inputs, created_at)
+        SELECT id, user_id, name, inputs, created_at FROM scenarios;
+    DROP TABLE scenarios;
+    ALTER TABLE scenarios_by_project RENAME TO scenarios;
+    `,
+    `
+    -- Audit log of predictions. day and dimensions locate the sales rows the prediction
+    -- is for; actual is filled in from them once such rows are uploaded.
+    CREATE TABLE predictions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        model_version TEXT NOT NULL,
+        source TEXT NOT NULL,
+        inputs TEXT NOT NULL,
+        prediction REAL NOT NULL,
+        warnings TEXT NOT NULL DEFAULT '[]',
+        day TEXT,
+        dimensions TEXT NOT NULL DEFAULT '{}',
+        user_id INTEGER,
+        username TEXT,
+        created_at TEXT NOT NULL,
+        actual REAL,
+        actual_rows INTEGER,
+        actual_dataset_id INTEGER,
+        matched_at TEXT
+    );
+    CREATE INDEX idx_predictions_project ON predictions(project_id, id);
+    CREATE INDEX idx_predictions_project_day ON predictions(project_id, day);
+    `,
+    `
+    -- Anomalies a user acknowledged or excluded from retraining (see lib/anomalies.js).
+    -- dimension and value name the group; both are '' for the overall series.
+    CREATE TABLE anomaly_marks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        dimension TEXT NOT NULL DEFAULT '',
+        value TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL,
+        marked_by TEXT,
+        marked_at TEXT NOT NULL,
+        -- Training job that left the rows out
+        applied_job_id TEXT,
+        UNIQUE (project_id, day, dimension, value)
+    );
+    `
+];
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+const migrate = db.transaction(() => {
+    const current = db.pragma('user_version', { simple: true });
+    for (let version = current; version < MIGRATIONS.length; version++) {
+        db.exec(MIGRATIONS[version]);
+        db.pragma(`user_version = ${version + 1}`);
+    }
+});
+migrate();
+
+const getSetting = (key) => {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+};
+
+const setSetting = (key, value) => {
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run(key, JSON.stringify(value));
+};
+
+module.exports = { db, DB_PATH, getSetting, setSetting };
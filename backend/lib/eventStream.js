@@ -0,0 +1,98 @@
+const auth = require('./auth');
+
+// Server-Sent Events for the dashboard (GET /api/events). Each connection
+// follows one project and gets that project's events as they happen:
+//
+//   dataset   the active dataset started loading, finished, failed or changed in place
+//   model     another model version became active
+//   job       a training job was queued, started or finished (analysts)
+//   job-log   lines a training job wrote to stdout (analysts)
+//   failure   a training job or dataset load failed
+//
+// Every event has an increasing id. The latest events are kept, so a client
+// that reconnects with a Last-Event-ID header receives what it missed.
+//
+// A stream lasts only as long as the token it was opened with: the token is
+// checked again on every heartbeat and whenever sessions, API keys or users
+// change (revalidate), and the stream is ended once it no longer signs in.
+
+const HEARTBEAT_MS = parseInt(process.env.EVENT_HEARTBEAT_MS) || 25000;
+const MAX_BUFFERED_EVENTS = 500;
+
+const clients = new Set();
+const buffer = [];
+let lastId = 0;
+
+const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+const wants = (client, event) => event.projectId === client.projectId
+    && (!event.role || auth.hasRole(client.user, event.role));
+
+// Sends an event to the project's subscribers. options.role limits it to users with that role.
+const publish = (projectId, type, data, { role = null } = {}) => {
+    const event = { id: ++lastId, projectId, type, role, data: { ...data, at: new Date().toISOString() } };
+    buffer.push(event);
+    if (buffer.length > MAX_BUFFERED_EVENTS) buffer.shift();
+    clients.forEach(client => {
+        if (wants(client, event)) client.res.write(format(event));
+    });
+};
+
+const drop = (client) => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+    client.res.end();
+};
+
+// Re-resolves the client's token, picking up role changes; false if the stream was ended
+const verify = (client) => {
+    const user = auth.authenticate(client.token);
+    if (!user) {
+        drop(client);
+        return false;
+    }
+    client.user = user;
+    return true;
+};
+
+// Checks every open stream's token, e.g. after a logout or a revoked API key
+const revalidate = () => {
+    clients.forEach(verify);
+};
+
+// Route handler; needs req.user, req.token and req.project. Keeps the response open
+// until the client disconnects.
+const subscribe = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stops reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, user: req.user, token: req.token, projectId: req.project.id, heartbeat: null };
+    res.write(`retry: 3000\n\n`);
+    const since = parseInt(req.get('Last-Event-ID'));
+    if (since) {
+        buffer.filter(event => event.id > since && wants(client, event)).forEach(event => res.write(format(event)));
+    }
+    clients.add(client);
+
+    // Comment lines keep idle connections from being closed by proxies
+    client.heartbeat = setInterval(() => {
+        if (verify(client)) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(client.heartbeat);
+        clients.delete(client);
+    });
+};
+
+// Ends every open stream, e.g. on shutdown so the server can close
+const closeAll = () => {
+    clients.forEach(drop);
+};
+
+module.exports = { publish, subscribe, revalidate, closeAll };
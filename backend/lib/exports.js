@@ -0,0 +1,112 @@
+const ExcelJS = require('exceljs');
+const { toCsv } = require('./csvUtils');
+
+// Downloads of dashboard data as CSV or XLSX. A table is { name, columns, rows }
+// with row objects keyed by column. An XLSX file gets one sheet per table; a
+// CSV file holds the first table only.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const exportError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// ?format=, csv by default. Throws a 400 for an unknown format.
+const parseFormat = (format) => {
+    const resolved = format || 'csv';
+    if (!EXPORT_FORMATS.includes(resolved)) {
+        throw exportError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+    return resolved;
+};
+
+// YYYY-MM-DD strings become real dates so spreadsheets can sort and chart them
+const toCell = (value) => (typeof value === 'string' && DAY_KEY.test(value) ? new Date(`${value}T00:00:00Z`) : value);
+
+const toXlsx = async (tables) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    tables.forEach(table => {
+        // Excel limits sheet names to 31 characters
+        const sheet = workbook.addWorksheet(table.name.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = table.columns.map(key => ({ header: key, key, width: Math.max(12, key.length + 2) }));
+        sheet.getRow(1).font = { bold: true };
+        table.rows.forEach(row => {
+            sheet.addRow(Object.fromEntries(table.columns.map(key => [key, toCell(row[key])])));
+        });
+        table.columns.forEach((key, i) => {
+            if (table.rows.some(row => typeof row[key] === 'string' && DAY_KEY.test(row[key]))) {
+                sheet.getColumn(i + 1).numFmt = 'yyyy-mm-dd';
+            }
+        });
+    });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// Sends the tables as a download named <baseName>.<format>
+const sendTables = async (res, baseName, tables, format) => {
+    if (format === 'xlsx') {
+        const buffer = await toXlsx(tables);
+        res.attachment(`${baseName}.xlsx`);
+        return res.type(XLSX_TYPE).send(buffer);
+    }
+    res.attachment(`${baseName}.csv`);
+    res.type('text/csv').send(toCsv(tables[0].rows, tables[0].columns));
+};
+
+// An aggregated /api/sales result as a table
+const seriesTable = (result, dataset) => {
+    const valueColumn = `${dataset.targetColumn}_${result.agg}`;
+    return {
+        name: 'Series',
+        columns: [...(result.interval ? ['date'] : []), ...(result.groupBy ? [result.groupBy] : []), valueColumn, 'rows'],
+        rows: result.series.map(point => ({
+            date: point.date,
+            [result.groupBy]: point.group,
+            [valueColumn]: point.value,
+            rows: point.count
+        }))
+    };
+};
+
+// A /api/forecast result as a table of forecast points, plus a sheet of the
+// forecasting settings and the fitted parameters of each series
+const forecastTables = (result, dataset) => {
+    const series = result.groupBy ? result.groups : [{ group: null, ...result }];
+    const groupColumn = result.groupBy ? [result.groupBy] : [];
+    return [
+        {
+            name: 'Forecast',
+            columns: [...groupColumn, 'date', 'forecast', 'lower', 'upper'],
+            rows: series.filter(s => !s.error).flatMap(s => s.forecast.map(point => ({
+                [result.groupBy]: s.group,
+                date: point.date,
+                forecast: point.value,
+                lower: point.lower,
+                upper: point.upper
+            })))
+        },
+        {
+            name: 'Settings',
+            columns: [...groupColumn, 'target', 'interval', 'horizon', 'level', 'method', 'alpha', 'beta', 'gamma', 'phi', 'residual_std', 'last_actual', 'error'],
+            rows: series.map(s => ({
+                [result.groupBy]: s.group,
+                target: dataset.targetColumn,
+                interval: result.interval,
+                horizon: result.horizon,
+                level: result.level,
+                method: s.method,
+                ...(s.params || {}),
+                residual_std: s.residualStd,
+                last_actual: s.lastDate,
+                error: s.error
+            }))
+        }
+    ];
+};
+
+module.exports = { EXPORT_FORMATS, parseFormat, sendTables, seriesTable, forecastTables };
@@ -0,0 +1,195 @@
+const { toDayKey, bucketKey, nextBucket, bucketRange } = require('./timeBuckets');
+
+// Multi-step forecasting of the aggregated date/target series with additive
+// Holt-Winters exponential smoothing (damped trend). Smoothing parameters are
+// picked by grid search on one-step-ahead error; the residual spread gives the
+// prediction interval.
+
+const SEASON_LENGTHS = { day: 7, week: 52, month: 12, quarter: 4, year: 0 };
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+const PHI = 0.98; // Trend damping, keeps long horizons from running away
+// Finest interval whose buckets are at least this full is used by default
+const MIN_COVERAGE = 0.7;
+
+const ALPHAS = [0.1, 0.3, 0.5, 0.7, 0.9];
+const BETAS = [0.01, 0.1, 0.3];
+const GAMMAS = [0.05, 0.2, 0.5];
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+const forecastError = (message) => {
+    const err = new Error(message);
+    err.status = 422;
+    return err;
+};
+
+// Picks the finest interval at which the data has few empty buckets
+const chooseInterval = (dayKeys) => {
+    const sorted = [...new Set(dayKeys)].sort();
+    for (const interval of ['day', 'week', 'month']) {
+        const buckets = new Set(sorted.map(k => bucketKey(k, interval)));
+        const range = bucketRange(bucketKey(sorted[0], interval), bucketKey(sorted[sorted.length - 1], interval), interval);
+        if (buckets.size / range.length >= MIN_COVERAGE) return interval;
+    }
+    return 'quarter';
+};
+
+// Sums values per bucket on a regular grid; empty buckets count as zero.
+// A trailing bucket the data does not cover to its end is dropped, since its
+// partial total would read as a sudden drop.
+const buildSeries = (points, interval) => {
+    const sums = new Map();
+    let lastDay = points[0].date;
+    points.forEach(({ date, value }) => {
+        const key = bucketKey(date, interval);
+        sums.set(key, (sums.get(key) || 0) + value);
+        if (date > lastDay) lastDay = date;
+    });
+    const keys = [...sums.keys()].sort();
+    const dates = bucketRange(keys[0], keys[keys.length - 1], interval);
+    const lastBucketOpen = bucketKey(nextBucket(lastDay, 'day'), interval) === bucketKey(lastDay, interval);
+    if (lastBucketOpen && dates.length > 3) dates.pop();
+    return { dates, values: dates.map(d => sums.get(d) || 0) };
+};
+
+const runHoltWinters = (y, m, alpha, beta, gamma) => {
+    let level;
+    let trend;
+    let season = [];
+    let start;
+    if (m) {
+        level = mean(y.slice(0, m));
+        trend = (mean(y.slice(m, 2 * m)) - level) / m;
+        season = y.slice(0, m).map(v => v - level);
+        start = m;
+    } else {
+        level = y[0];
+        trend = y[1] - y[0];
+        start = 1;
+    }
+
+    let sse = 0;
+    for (let t = start; t < y.length; t++) {
+        const s = m ? season[t % m] : 0;
+        const err = y[t] - (level + PHI * trend + s);
+        sse += err * err;
+
+        const newLevel = alpha * (y[t] - s) + (1 - alpha) * (level + PHI * trend);
+        trend = beta * (newLevel - level) + (1 - beta) * PHI * trend;
+        if (m) season[t % m] = gamma * (y[t] - newLevel) + (1 - gamma) * s;
+        level = newLevel;
+    }
+    return { level, trend, season, sse, n: y.length - start };
+};
+
+const fit = (y, m) => {
+    let best = null;
+    for (const alpha of ALPHAS) {
+        for (const beta of BETAS) {
+            for (const gamma of m ? GAMMAS : [0]) {
+                const state = runHoltWinters(y, m, alpha, beta, gamma);
+                if (!best || state.sse < best.sse) best = { ...state, alpha, beta, gamma };
+            }
+        }
+    }
+    return best;
+};
+
+// Forecasts `horizon` buckets after the last date of a regular series
+const forecastValues = (dates, values, { interval, horizon, level }) => {
+    if (values.length < 3) {
+        throw forecastError(`Not enough history to forecast: ${values.length} ${interval}(s)`);
+    }
+
+    // Seasonality needs at least two full seasons of history
+    const seasonLength = values.length >= 2 * SEASON_LENGTHS[interval] ? SEASON_LENGTHS[interval] : 0;
+    const model = fit(values, seasonLength);
+    const sigma = Math.sqrt(model.sse / Math.max(model.n, 1));
+    const z = Z_SCORES[level];
+    const nonNegative = Math.min(...values) >= 0;
+    const n = values.length;
+
+    const forecast = [];
+    let date = dates[dates.length - 1];
+    let dampedSum = 0;
+    let varianceFactor = 1;
+    for (let h = 1; h <= horizon; h++) {
+        date = nextBucket(date, interval);
+        dampedSum += Math.pow(PHI, h);
+        if (h > 1) {
+            const j = h - 1;
+            const c = model.alpha * (1 + j * model.beta) + (seasonLength && j % seasonLength === 0 ? model.gamma : 0);
+            varianceFactor += c * c;
+        }
+
+        const s = seasonLength ? model.season[(n + h - 1) % seasonLength] : 0;
+        let value = model.level + dampedSum * model.trend + s;
+        const margin = z * sigma * Math.sqrt(varianceFactor);
+        let lower = value - margin;
+        const upper = value + margin;
+        if (nonNegative) {
+            value = Math.max(value, 0);
+            lower = Math.max(lower, 0);
+        }
+        forecast.push({ date, value, lower, upper });
+    }
+
+    return {
+        method: seasonLength ? 'holt-winters-additive' : 'holt-linear',
+        seasonLength,
+        params: { alpha: model.alpha, beta: model.beta, gamma: seasonLength ? model.gamma : null, phi: PHI },
+        residualStd: sigma,
+        lastDate: dates[dates.length - 1],
+        forecast
+    };
+};
+
+// rows: salesData-style objects with `date` and `sales`.
+// Returns the forecast for the total series, or one per group of `groupBy`
+// (largest `maxGroups` groups by total).
+const buildForecast = (rows, { horizon, interval, level = 0.95, groupBy, maxGroups = 20 }) => {
+    if (!Z_SCORES[level]) {
+        throw forecastError(`Unsupported confidence level ${level}. Use one of ${Object.keys(Z_SCORES).join(', ')}`);
+    }
+
+    const points = [];
+    rows.forEach(row => {
+        const date = toDayKey(row.date);
+        if (date && !isNaN(row.sales)) {
+            points.push({ date, value: row.sales, group: groupBy ? String(row[groupBy]) : null });
+        }
+    });
+    if (points.length === 0) throw forecastError('No dated sales data to forecast');
+
+    const resolvedInterval = interval || chooseInterval(points.map(p => p.date));
+    const options = { interval: resolvedInterval, horizon, level };
+    const result = { interval: resolvedInterval, horizon, level, groupBy: groupBy || null };
+
+    if (!groupBy) {
+        const { dates, values } = buildSeries(points, resolvedInterval);
+        return { ...result, ...forecastValues(dates, values, options) };
+    }
+
+    const byGroup = new Map();
+    points.forEach(p => {
+        if (!byGroup.has(p.group)) byGroup.set(p.group, []);
+        byGroup.get(p.group).push(p);
+    });
+    const groups = [...byGroup.entries()]
+        .map(([group, groupPoints]) => ({ group, groupPoints, total: groupPoints.reduce((a, p) => a + p.value, 0) }))
+        .sort((a, b) => b.total - a.total)
+        .slice(0, maxGroups);
+
+    result.totalGroups = byGroup.size;
+    result.groups = groups.map(({ group, groupPoints }) => {
+        const { dates, values } = buildSeries(groupPoints, resolvedInterval);
+        try {
+            return { group, ...forecastValues(dates, values, options) };
+        } catch (err) {
+            return { group, error: err.message };
+        }
+    });
+    return result;
+};
+
+module.exports = { buildForecast, chooseInterval, Z_SCORES };
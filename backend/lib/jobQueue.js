@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+// In-memory job queue. Jobs run strictly one at a time so that training runs
+// never race on the data file or the model artifacts.
+
+const MAX_FINISHED_JOBS = 50;
+const MAX_LOG_CHARS = 200000;
+
+const jobs = new Map();
+const pending = [];
+const listeners = [];
+const logListeners = [];
+let running = null;
+
+// Listeners are told about every state change (queued, running, finished)
+const onChange = (listener) => listeners.push(listener);
+
+// Log listeners get the non-empty lines of each chunk a job writes:
+// listener(job, stream, lines)
+const onLog = (listener) => logListeners.push(listener);
+
+const notify = (job, targets = listeners, ...args) => {
+    targets.forEach(listener => {
+        try {
+            listener(job, ...args);
+        } catch (e) {
+            console.error('Job listener failed:', e);
+        }
+    });
+};
+
+const isFinished = (job) => ['succeeded', 'failed', 'cancelled'].includes(job.state);
+
+// Params safe to show to clients; the rest (e.g. server file paths) stay internal
+const PUBLIC_PARAMS = ['projectId', 'fileName', 'version', 'overrides', 'options'];
+
+const publicParams = (params) => Object.fromEntries(
+    PUBLIC_PARAMS.filter(key => params[key] !== undefined).map(key => [key, params[key]])
+);
+
+// Public view of a job (strips the runner, child process handle and internal params)
+const toJSON = (job) => ({
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    params: publicParams(job.params),
+    progress: job.progress,
+    stdout: job.stdout,
+    stderr: job.stderr,
+    result: job.result,
+    error: job.error,
+    queuePosition: job.state === 'queued' ? pending.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    durationMs: job.startedAt
+        ? (job.finishedAt ? Date.parse(job.finishedAt) : Date.now()) - Date.parse(job.startedAt)
+        : null
+});
+
+const appendLog = (job, stream, data) => {
+    const text = data.toString();
+    job[stream] = (job[stream] + text).slice(-MAX_LOG_CHARS);
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) return;
+    if (stream === 'stdout') job.progress = lines[lines.length - 1];
+    notify(job, logListeners, stream, lines);
+};
+
+const pruneFinished = () => {
+    const finished = [...jobs.values()].filter(isFinished);
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+        .forEach(job => jobs.delete(job.id));
+};
+
+const finish = (job, state, fields = {}) => {
+    Object.assign(job, fields, { state, finishedAt: new Date().toISOString() });
+    job.child = null;
+    if (job.cleanup) {
+        try {
+            job.cleanup(job);
+        } catch (e) {
+            console.error(`Cleanup of job ${job.id} failed:`, e);
+        }
+    }
+    pruneFinished();
+    notify(job);
+};
+
+const runNext = () => {
+    if (running || pending.length === 0) return;
+
+    const job = pending.shift();
+    running = job;
+    job.state = 'running';
+    job.progress = 'Starting...';
+    job.startedAt = new Date().toISOString();
+    notify(job);
+
+    const hooks = {
+        onStdout: (data) => appendLog(job, 'stdout', data),
+        onStderr: (data) => appendLog(job, 'stderr', data),
+        // Runners register their child process so that cancel() can kill it;
+        // one registered after a cancel request is killed right away
+        setChild: (child) => {
+            job.child = child;
+            if (job.cancelRequested) child.kill('SIGTERM');
+        },
+        isCancelled: () => job.cancelRequested
+    };
+
+    Promise.resolve()
+        .then(() => job.run(job, hooks))
+        .then(
+            (result) => {
+                if (job.cancelRequested) finish(job, 'cancelled');
+                else finish(job, 'succeeded', { result });
+            },
+            (err) => {
+                if (job.cancelRequested) finish(job, 'cancelled');
+                else finish(job, 'failed', { error: err.message || String(err) });
+            }
+        )
+        .finally(() => {
+            running = null;
+            runNext();
+        });
+};
+
+// run(job, hooks) must return a Promise; its resolved value becomes job.result.
+// options.cleanup(job) runs once the job finished in any state, including when
+// it was cancelled before it ran.
+const enqueue = (type, params, run, { cleanup = null } = {}) => {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        state: 'queued',
+        progress: 'Waiting in queue',
+        stdout: '',
+        stderr: '',
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        cancelRequested: false,
+        child: null,
+        run,
+        cleanup
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    notify(job);
+    // Defer so the caller can respond with the job before it starts
+    setImmediate(runNext);
+    return job;
+};
+
+const getJob = (id) => jobs.get(id);
+
+const listJobs = () => [...jobs.values()].reverse().map(toJSON);
+
+const pendingJobs = () => [...pending];
+
+// Returns false if the job already finished and cannot be cancelled
+const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return false;
+
+    job.cancelRequested = true;
+    if (job.state === 'queued') {
+        pending.splice(pending.indexOf(job), 1);
+        finish(job, 'cancelled');
+    } else {
+        // Without a child yet, the runner sees isCancelled() before spawning or setChild() kills it
+        job.progress = 'Cancelling...';
+        if (job.child) job.child.kill('SIGTERM');
+    }
+    return true;
+};
+
+module.exports = { enqueue, getJob, listJobs, pendingJobs, cancel, onChange, onLog, toJSON, isFinished };
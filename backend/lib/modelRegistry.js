@@ -0,0 +1,209 @@
+const path = require('path');
+const fs = require('fs');
+const { MODEL_DIR } = require('./python');
+const { db } = require('./db');
+
+// Versioned model registry. Every training run gets its own directory under
+// model/versions/<id>/ holding the dataset, the pickled artifacts and
+// model_metadata.json. Version ids are unique across projects; each version
+// belongs to one project, which has its own active pointer and activation
+// history. All of it lives in the database.
+
+const VERSIONS_DIR = path.join(MODEL_DIR, 'versions');
+// Pre-database registry file, imported once by migrateRegistryFile()
+const LEGACY_REGISTRY_PATH = path.join(MODEL_DIR, 'registry.json');
+const ARTIFACTS = ['sales_model.pkl', 'encoders.pkl', 'model_features.pkl', 'feature_history.pkl', 'model_metadata.json'];
+
+// Versions from before projects existed belong to this one
+const DEFAULT_PROJECT_ID = 1;
+
+const toEntry = (row) => ({
+    id: row.id,
+    dataFile: row.data_file,
+    targetColumn: row.target_column,
+    mae: row.mae,
+    createdAt: row.created_at,
+    jobId: row.job_id
+});
+
+const findVersionRow = (projectId, id) =>
+    db.prepare('SELECT * FROM model_versions WHERE id = ? AND project_id = ?').get(id, projectId);
+
+const getHistory = (projectId) => {
+    const row = db.prepare('SELECT activation_history FROM projects WHERE id = ?').get(projectId);
+    return row ? JSON.parse(row.activation_history) : [];
+};
+
+const setActive = (projectId, id, history) => {
+    db.prepare('UPDATE projects SET active_version = ?, activation_history = ? WHERE id = ?')
+        .run(id, JSON.stringify(history), projectId);
+};
+
+const versionDir = (id) => path.join(VERSIONS_DIR, id);
+
+const readMetadata = (id) => {
+    const metaPath = path.join(versionDir(id), 'model_metadata.json');
+    if (!fs.existsSync(metaPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    } catch (e) {
+        console.error(`Error reading metadata for ${id}:`, e);
+        return null;
+    }
+};
+
+// Reserves the next version id (v1, v2, ...) and creates its directory
+const allocateVersion = () => {
+    fs.mkdirSync(VERSIONS_DIR, { recursive: true });
+    const taken = new Set([
+        ...db.prepare('SELECT id FROM model_versions').all().map(r => r.id),
+        ...fs.readdirSync(VERSIONS_DIR)
+    ]);
+    let n = 1;
+    while (taken.has(`v${n}`)) n++;
+    const id = `v${n}`;
+    fs.mkdirSync(versionDir(id));
+    return { id, dir: versionDir(id) };
+};
+
+const discardVersion = (id) => {
+    fs.rmSync(versionDir(id), { recursive: true, force: true });
+};
+
+const activate = (projectId, id, action) => {
+    const history = getHistory(projectId).filter(h => h !== id);
+    setActive(projectId, id, [...history, id]);
+    db.prepare('INSERT INTO model_activations (project_id, version_id, action, activated_at) VALUES (?, ?, ?, ?)')
+        .run(projectId, id, action, new Date().toISOString());
+};
+
+// Records a finished training run. The new version becomes the project's active one.
+const registerVersion = db.transaction(({ projectId, id, dataFile, jobId, createdAt }) => {
+    const meta = readMetadata(id) || {};
+    const entry = {
+        id,
+        dataFile,
+        targetColumn: meta.target_column || null,
+        mae: meta.mae !== undefined ? meta.mae : null,
+        createdAt: createdAt || new Date().toISOString(),
+        jobId: jobId || null
+    };
+    db.prepare(`INSERT INTO model_versions (id, project_id, data_file, target_column, mae, job_id, created_at)
+                VALUES (@id, @projectId, @dataFile, @targetColumn, @mae, @jobId, @createdAt)`).run({ ...entry, projectId });
+    activate(projectId, id, 'train');
+    return entry;
+});
+
+const getActiveVersion = (projectId) => {
+    const row = db.prepare('SELECT active_version FROM projects WHERE id = ?').get(projectId);
+    return row ? row.active_version : null;
+};
+
+const listVersions = (projectId) => {
+    const active = getActiveVersion(projectId);
+    return {
+        active,
+        versions: db.prepare('SELECT * FROM model_versions WHERE project_id = ? ORDER BY created_at').all(projectId)
+            .map(row => ({ ...toEntry(row), active: row.id === active })),
+        activations: db.prepare(`SELECT version_id AS version, action, activated_at AS activatedAt FROM model_activations
+                                 WHERE project_id = ? ORDER BY id DESC LIMIT 50`).all(projectId)
+    };
+};
+
+const getVersion = (projectId, id) => {
+    const row = id && findVersionRow(projectId, id);
+    if (!row) return null;
+    return {
+        ...toEntry(row),
+        active: row.id === getActiveVersion(projectId),
+        artifacts: ARTIFACTS.filter(f => fs.existsSync(path.join(versionDir(id), f))),
+        metadata: readMetadata(id)
+    };
+};
+
+// Returns the promoted entry, or null if the project has no such version
+const promote = db.transaction((projectId, id) => {
+    const row = findVersionRow(projectId, id);
+    if (!row) return null;
+    activate(projectId, id, 'promote');
+    return toEntry(row);
+});
+
+// Re-activates the version that was active before the current one.
+// Returns null if there is nothing to roll back to.
+const rollback = db.transaction((projectId) => {
+    const history = getHistory(projectId).filter(h => findVersionRow(projectId, h));
+    if (history.length < 2) return null;
+
+    history.pop();
+    const target = history[history.length - 1];
+    setActive(projectId, target, history);
+    db.prepare('INSERT INTO model_activations (project_id, version_id, action, activated_at) VALUES (?, ?, ?, ?)')
+        .run(projectId, target, 'rollback', new Date().toISOString());
+    return toEntry(findVersionRow(projectId, target));
+});
+
+// Resolves an explicit ?version= or falls back to the project's active version.
+// Returns { id, dir } or null when the version is unknown / nothing is trained yet.
+const resolveVersion = (projectId, requested) => {
+    const id = requested || getActiveVersion(projectId);
+    if (!id || !findVersionRow(projectId, id)) return null;
+    return { id, dir: versionDir(id) };
+};
+
+// Ids of the project's versions, e.g. to delete their directories with the project
+const listVersionIds = (projectId) =>
+    db.prepare('SELECT id FROM model_versions WHERE project_id = ?').all(projectId).map(row => row.id);
+
+// One-time migration of the JSON registry used before the database existed
+const migrateRegistryFile = () => {
+    if (!fs.existsSync(LEGACY_REGISTRY_PATH)) return;
+    const registry = JSON.parse(fs.readFileSync(LEGACY_REGISTRY_PATH, 'utf8'));
+    db.transaction(() => {
+        (registry.versions || []).forEach(v => {
+            db.prepare(`INSERT OR IGNORE INTO model_versions (id, data_file, target_column, mae, job_id, created_at)
+                        VALUES (@id, @dataFile, @targetColumn, @mae, @jobId, @createdAt)`)
+                .run({ targetColumn: null, mae: null, jobId: null, ...v });
+        });
+        if (registry.active) setActive(DEFAULT_PROJECT_ID, registry.active, registry.history || [registry.active]);
+    })();
+    fs.renameSync(LEGACY_REGISTRY_PATH, `${LEGACY_REGISTRY_PATH}.migrated`);
+    console.log(`Migrated ${(registry.versions || []).length} model versions from registry.json.`);
+};
+
+// One-time migration: adopt artifacts trained before the registry existed
+// (files directly in model/) as the first version.
+const importLegacyArtifacts = () => {
+    migrateRegistryFile();
+    if (db.prepare('SELECT COUNT(*) AS n FROM model_versions').get().n > 0) return;
+    if (!fs.existsSync(path.join(MODEL_DIR, 'model_metadata.json'))) return;
+
+    const { id, dir } = allocateVersion();
+    ARTIFACTS.forEach(file => {
+        const src = path.join(MODEL_DIR, file);
+        if (fs.existsSync(src)) fs.copyFileSync(src, path.join(dir, file));
+    });
+    const dataFile = 'sales_data.csv';
+    if (fs.existsSync(path.join(MODEL_DIR, dataFile))) {
+        fs.copyFileSync(path.join(MODEL_DIR, dataFile), path.join(dir, dataFile));
+    }
+    registerVersion({ projectId: DEFAULT_PROJECT_ID, id, dataFile });
+    console.log(`Imported existing model artifacts as version ${id}.`);
+};
+
+module.exports = {
+    VERSIONS_DIR,
+    DEFAULT_PROJECT_ID,
+    allocateVersion,
+    discardVersion,
+    registerVersion,
+    listVersions,
+    getVersion,
+    getActiveVersion,
+    promote,
+    rollback,
+    resolveVersion,
+    listVersionIds,
+    readMetadata,
+    importLegacyArtifacts
+};
@@ -0,0 +1,245 @@
+const { db } = require('./db');
+const modelRegistry = require('./modelRegistry');
+const { INTERVALS, toDayKey, bucketKey } = require('./timeBuckets');
+
+// Audit log of served predictions: inputs, output, model version, caller and
+// time. A prediction is for the sales rows with its date and categorical
+// inputs; once rows like that are uploaded (a new dataset or an append), their
+// mean target becomes the prediction's actual, so the realized error can be
+// tracked over time.
+
+const SOURCES = ['single', 'batch'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const logError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+// Date column and categorical features per model version. Versions never change once trained.
+const schemas = new Map();
+
+const schemaOf = (versionId) => {
+    if (!schemas.has(versionId)) {
+        const meta = modelRegistry.readMetadata(versionId) || {};
+        const features = meta.features || [];
+        const dateFeature = features.find(f => f.type === 'date');
+        schemas.set(versionId, {
+            dateColumn: meta.date_column || (dateFeature ? dateFeature.name : null),
+            categorical: features.filter(f => f.type === 'categorical').map(f => f.name)
+        });
+    }
+    return schemas.get(versionId);
+};
+
+// The day and categorical values of the rows a prediction is for
+const locate = (versionId, inputs) => {
+    const { dateColumn, categorical } = schemaOf(versionId);
+    const dimensions = {};
+    categorical.forEach(name => {
+        const value = inputs[name];
+        if (value !== undefined && value !== null && value !== '') dimensions[name] = String(value);
+    });
+    // Like model/inputs.py, a plain 'date' field is read before the date column
+    const dateField = ['date', dateColumn].find(name => name && inputs[name] !== undefined);
+    return { day: dateField ? toDayKey(inputs[dateField]) : null, dimensions };
+};
+
+// Logs successful predictions. results: [{ inputs, prediction, warnings }];
+// entries without a prediction (invalid input) are skipped.
+const record = db.transaction(({ projectId, version, source, user }, results) => {
+    const insert = db.prepare(`INSERT INTO predictions (project_id, model_version, source, inputs, prediction, warnings,
+                                                        day, dimensions, user_id, username, created_at)
+                               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+    const createdAt = new Date().toISOString();
+    let logged = 0;
+    results.forEach(({ inputs, prediction, warnings }) => {
+        if (typeof prediction !== 'number' || !Number.isFinite(prediction)) return;
+        const { day, dimensions } = locate(version, inputs);
+        insert.run(projectId, version, source, JSON.stringify(inputs), prediction, JSON.stringify(warnings || []),
+            day, JSON.stringify(dimensions), user ? user.id : null, user ? user.username : null, createdAt);
+        logged++;
+    });
+    return logged;
+});
+
+// Mean target of the dataset's rows on a day with the given categorical values
+const actualStatements = new Map();
+const actualStatement = (names) => {
+    const key = names.length;
+    if (!actualStatements.has(key)) {
+        const exists = ' AND EXISTS (SELECT 1 FROM row_dimensions d WHERE d.row_id = r.id AND d.name = ? AND d.value = ?)';
+        actualStatements.set(key, db.prepare(`SELECT AVG(r.sales) AS actual, COUNT(*) AS n FROM sales_rows r
+                                              WHERE r.dataset_id = ? AND r.day = ?${exists.repeat(key)}`));
+    }
+    return actualStatements.get(key);
+};
+
+// Joins the project's predictions dated within the dataset to its rows. Called
+// whenever the active dataset is loaded or changed in place, so actuals follow
+// appends and reverts; a dataset without rows for a prediction's day leaves
+// an earlier match alone. Returns the number of predictions with an actual.
+const matchActuals = db.transaction((dataset) => {
+    const range = db.prepare('SELECT MIN(day) AS first, MAX(day) AS last FROM sales_rows WHERE dataset_id = ?').get(dataset.id);
+    if (!range.first) return 0;
+
+    const candidates = db.prepare(`SELECT id, day, dimensions, actual_dataset_id FROM predictions
+                                   WHERE project_id = ? AND day BETWEEN ? AND ?`).all(dataset.projectId, range.first, range.last);
+    const hasDay = db.prepare('SELECT 1 FROM sales_rows WHERE dataset_id = ? AND day = ? LIMIT 1');
+    const setActual = db.prepare(`UPDATE predictions SET actual = ?, actual_rows = ?, actual_dataset_id = ?, matched_at = ?
+                                  WHERE id = ?`);
+    const now = new Date().toISOString();
+    let matched = 0;
+    candidates.forEach(candidate => {
+        if (!hasDay.get(dataset.id, candidate.day)) return;
+        // Inputs for columns the dataset does not have cannot narrow the match
+        const filters = Object.entries(JSON.parse(candidate.dimensions)).filter(([name]) => dataset.dimensions.includes(name));
+        const { actual, n } = actualStatement(filters).get(dataset.id, candidate.day, ...filters.flat());
+        if (n > 0) {
+            setActual.run(actual, n, dataset.id, now, candidate.id);
+            matched++;
+        } else {
+            setActual.run(null, null, null, null, candidate.id);
+        }
+    });
+    if (matched > 0) console.log(`Matched ${matched} logged predictions of project ${dataset.projectId} to actuals in ${dataset.fileName}.`);
+    return matched;
+});
+
+const toEntry = (row) => ({
+    id: row.id,
+    version: row.model_version,
+    source: row.source,
+    inputs: JSON.parse(row.inputs),
+    prediction: row.prediction,
+    warnings: JSON.parse(row.warnings),
+    day: row.day,
+    caller: row.username,
+    createdAt: row.created_at,
+    actual: row.actual,
+    actualRows: row.actual_rows,
+    error: row.actual === null ? null : row.prediction - row.actual,
+    matchedAt: row.matched_at
+});
+
+const encodeCursor = (beforeId) => Buffer.from(JSON.stringify({ b: beforeId })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw logError('Invalid cursor');
+    }
+    if (!Number.isInteger(parsed.b) || parsed.b < 1) throw logError('Invalid cursor');
+    return parsed.b;
+};
+
+// Filters shared by the history and accuracy queries:
+//   version      model version
+//   caller       username
+//   source       single | batch
+//   from, to     inclusive range of the predicted day
+const buildWhere = (projectId, query) => {
+    const clauses = ['project_id = ?'];
+    const params = [projectId];
+    if (query.version) {
+        clauses.push('model_version = ?');
+        params.push(query.version);
+    }
+    if (query.caller) {
+        clauses.push('username = ? COLLATE NOCASE');
+        params.push(query.caller);
+    }
+    if (query.source) {
+        if (!SOURCES.includes(query.source)) throw logError(`source must be one of ${SOURCES.join(', ')}`);
+        clauses.push('source = ?');
+        params.push(query.source);
+    }
+    ['from', 'to'].forEach(key => {
+        if (!query[key]) return;
+        const day = toDayKey(query[key]);
+        if (!day) throw logError(`Invalid ${key} date: ${query[key]}`);
+        clauses.push(key === 'from' ? 'day >= ?' : 'day <= ?');
+        params.push(day);
+    });
+    return { where: clauses.join(' AND '), params };
+};
+
+// Logged predictions, newest first. Besides the filters above:
+//   matched      true: only those with an actual; false: only those still waiting
+//   limit, cursor
+const history = (projectId, query = {}) => {
+    const { where, params } = buildWhere(projectId, query);
+    let filtered = where;
+    if (query.matched === 'true') filtered += ' AND actual IS NOT NULL';
+    else if (query.matched === 'false') filtered += ' AND actual IS NULL';
+    else if (query.matched !== undefined) throw logError('matched must be true or false');
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw logError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    const beforeId = query.cursor ? decodeCursor(query.cursor) : null;
+
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM predictions WHERE ${filtered}`).get(...params).n;
+    const page = db.prepare(`SELECT * FROM predictions WHERE ${filtered}${beforeId ? ' AND id < ?' : ''} ORDER BY id DESC LIMIT ?`)
+        .all(...params, ...(beforeId ? [beforeId] : []), limit + 1);
+    const rows = page.slice(0, limit);
+    return {
+        total,
+        predictions: rows.map(toEntry),
+        nextCursor: page.length > limit ? encodeCursor(rows[rows.length - 1].id) : null
+    };
+};
+
+// Error measures of predictions with an actual; error is prediction minus actual
+const summarize = (rows) => {
+    if (rows.length === 0) return { count: 0, mae: null, rmse: null, mape: null, bias: null };
+    const errors = rows.map(row => row.prediction - row.actual);
+    const relative = rows.filter(row => row.actual !== 0).map(row => Math.abs((row.prediction - row.actual) / row.actual));
+    const mean = (values) => values.reduce((total, v) => total + v, 0) / values.length;
+    return {
+        count: rows.length,
+        mae: mean(errors.map(Math.abs)),
+        rmse: Math.sqrt(mean(errors.map(e => e * e))),
+        mape: relative.length ? mean(relative) * 100 : null,
+        bias: mean(errors)
+    };
+};
+
+const groupBy = (rows, keyOf) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    return groups;
+};
+
+// Realized error of the predictions with an actual, overall, per bucket of the
+// predicted day (interval, default week) and per model version
+const accuracy = (projectId, query = {}) => {
+    const interval = query.interval || 'week';
+    if (!INTERVALS.includes(interval)) throw logError(`interval must be one of ${INTERVALS.join(', ')}`);
+    const { where, params } = buildWhere(projectId, query);
+
+    const rows = db.prepare(`SELECT model_version, day, prediction, actual FROM predictions
+                             WHERE ${where} AND actual IS NOT NULL ORDER BY day`).all(...params);
+    const pending = db.prepare(`SELECT COUNT(*) AS n FROM predictions WHERE ${where} AND actual IS NULL`).get(...params).n;
+
+    return {
+        interval,
+        overall: summarize(rows),
+        pending,
+        series: [...groupBy(rows, row => bucketKey(row.day, interval))]
+            .map(([date, bucket]) => ({ date, ...summarize(bucket) })),
+        versions: [...groupBy(rows, row => row.model_version)]
+            .map(([version, group]) => ({ version, ...summarize(group) }))
+    };
+};
+
+module.exports = { record, matchActuals, history, accuracy };
@@ -0,0 +1,172 @@
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { MODEL_DIR, resolvePythonCmd } = require('./python');
+
+// Pool of resident Python prediction workers (model/predict_worker.py).
+// Each worker keeps loaded models in memory and answers newline-delimited JSON
+// frames tagged with a request id. Crashed or hung workers are restarted.
+
+const WORKER_SCRIPT = path.join(MODEL_DIR, 'predict_worker.py');
+const MAX_RESTART_DELAY_MS = 30000;
+// A worker that stayed up this long is considered healthy again
+const STABLE_UPTIME_MS = 10000;
+// Rows per predict_batch frame; keeps each frame well inside the request timeout
+const BATCH_CHUNK_SIZE = 500;
+
+const poolError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// options.getWarmVersionDir: returns the version directory a fresh worker should preload
+const createPredictionPool = ({ size = 2, timeoutMs = 10000, getWarmVersionDir = () => null } = {}) => {
+    const workers = [];
+    let nextRequestId = 1;
+    let closed = false;
+
+    const failPending = (worker, message, status) => {
+        worker.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(poolError(message, status));
+        });
+        worker.pending.clear();
+    };
+
+    const send = (worker, frame) => new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        const timer = setTimeout(() => {
+            worker.pending.delete(id);
+            reject(poolError(`Prediction timed out after ${timeoutMs}ms`, 504));
+            // A worker that stops answering is assumed stuck
+            console.error(`Prediction worker ${worker.slot} timed out, restarting.`);
+            if (worker.child) worker.child.kill('SIGKILL');
+        }, timeoutMs);
+        worker.pending.set(id, { resolve, reject, timer });
+        worker.child.stdin.write(JSON.stringify({ ...frame, id }) + '\n');
+    });
+
+    const handleFrame = (worker, line) => {
+        let frame;
+        try {
+            frame = JSON.parse(line);
+        } catch (e) {
+            console.error(`Prediction worker ${worker.slot} sent invalid frame:`, line);
+            return;
+        }
+        if (frame.type === 'ready') {
+            worker.ready = true;
+            console.log(`Prediction worker ${worker.slot} ready (pid ${frame.pid}).`);
+            return;
+        }
+        const entry = worker.pending.get(frame.id);
+        if (!entry) return;
+        worker.pending.delete(frame.id);
+        clearTimeout(entry.timer);
+        if (frame.ok) entry.resolve(frame.result);
+        else entry.reject(poolError(frame.error || 'Prediction failed', 500));
+    };
+
+    const spawnWorker = (slot) => {
+        const child = spawn(resolvePythonCmd(), ['-u', WORKER_SCRIPT], { cwd: MODEL_DIR });
+        const worker = {
+            slot,
+            child,
+            ready: false,
+            pending: new Map(),
+            startedAt: Date.now(),
+            restartDelay: workers[slot] ? workers[slot].restartDelay : 1000
+        };
+        workers[slot] = worker;
+
+        readline.createInterface({ input: child.stdout }).on('line', line => handleFrame(worker, line));
+        child.stderr.on('data', (data) => {
+            console.error(`Prediction worker ${slot} stderr: ${data}`);
+        });
+        // Errors surface through 'exit'; writing to a dead worker must not crash the server
+        child.stdin.on('error', () => {});
+        child.on('error', (err) => {
+            console.error(`Failed to start prediction worker ${slot}:`, err);
+        });
+
+        child.on('exit', (code, signal) => {
+            worker.ready = false;
+            worker.child = null;
+            failPending(worker, 'Prediction worker exited unexpectedly', 503);
+            if (closed) return;
+
+            const uptime = Date.now() - worker.startedAt;
+            worker.restartDelay = uptime > STABLE_UPTIME_MS
+                ? 1000
+                : Math.min(worker.restartDelay * 2, MAX_RESTART_DELAY_MS);
+            console.error(`Prediction worker ${slot} exited (${signal || code}). Restarting in ${worker.restartDelay}ms.`);
+            setTimeout(() => { if (!closed) spawnWorker(slot); }, worker.restartDelay);
+        });
+
+        const warmDir = getWarmVersionDir();
+        if (warmDir) {
+            send(worker, { type: 'load', version_dir: warmDir })
+                .catch(err => console.error(`Prediction worker ${slot} could not preload model:`, err.message));
+        }
+        return worker;
+    };
+
+    const pickWorker = () => {
+        const alive = workers.filter(w => w && w.child);
+        if (alive.length === 0) return null;
+        // Prefer workers that finished starting, then the least busy one
+        return alive.sort((a, b) => (b.ready - a.ready) || (a.pending.size - b.pending.size))[0];
+    };
+
+    // options.explain: also return per-feature contributions
+    const predict = (versionDir, input, { explain = false } = {}) => {
+        const worker = pickWorker();
+        if (!worker) return Promise.reject(poolError('No prediction worker available', 503));
+        return send(worker, { type: 'predict', version_dir: versionDir, input, explain });
+    };
+
+    // Splits the rows into chunks spread over the workers. A chunk that fails as a
+    // whole (timeout, crash) is reported as an error on each of its rows.
+    const predictBatch = (versionDir, rows, chunkSize = BATCH_CHUNK_SIZE) => {
+        const chunks = [];
+        for (let start = 0; start < rows.length; start += chunkSize) {
+            chunks.push({ start, rows: rows.slice(start, start + chunkSize) });
+        }
+        return Promise.all(chunks.map(chunk => {
+            const worker = pickWorker();
+            const request = worker
+                ? send(worker, { type: 'predict_batch', version_dir: versionDir, rows: chunk.rows })
+                : Promise.reject(poolError('No prediction worker available', 503));
+            return request.then(
+                ({ results }) => results.map(r => ({ ...r, row: r.row + chunk.start })),
+                (err) => chunk.rows.map((_, i) => ({ row: chunk.start + i, error: err.message }))
+            );
+        })).then(parts => parts.flat());
+    };
+
+    // Hot reload: every worker (re)loads the given version's artifacts
+    const reload = (versionDir) => Promise.allSettled(
+        workers.filter(w => w && w.child).map(w => send(w, { type: 'load', version_dir: versionDir }))
+    );
+
+    const stats = () => workers.map(w => ({
+        slot: w.slot,
+        pid: w.child ? w.child.pid : null,
+        ready: w.ready,
+        inFlight: w.pending.size
+    }));
+
+    const shutdown = () => {
+        closed = true;
+        workers.forEach(w => {
+            if (w && w.child) w.child.kill();
+        });
+    };
+
+    for (let slot = 0; slot < size; slot++) spawnWorker(slot);
+
+    return { predict, predictBatch, reload, stats, shutdown };
+};
+
+module.exports = { createPredictionPool };
@@ -0,0 +1,99 @@
+const { db } = require('./db');
+const modelRegistry = require('./modelRegistry');
+const salesStore = require('./salesStore');
+
+// Named workspaces. Each project has its own datasets, model versions, active
+// version, training history and saved scenarios, so teams do not overwrite each
+// other. The default project holds everything from before projects existed and
+// cannot be deleted.
+
+const { DEFAULT_PROJECT_ID } = modelRegistry;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const projectError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const toProject = (row) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    activeVersion: row.active_version,
+    versions: row.versions,
+    isDefault: row.id === DEFAULT_PROJECT_ID,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+});
+
+const SELECT_PROJECTS = `SELECT p.*, (SELECT COUNT(*) FROM model_versions v WHERE v.project_id = p.id) AS versions
+                         FROM projects p`;
+
+const list = () => db.prepare(`${SELECT_PROJECTS} ORDER BY p.id`).all().map(toProject);
+
+const get = (id) => {
+    const row = Number.isInteger(id) ? db.prepare(`${SELECT_PROJECTS} WHERE p.id = ?`).get(id) : null;
+    return row ? toProject(row) : null;
+};
+
+// Validates name/description changes; throws a 400 or a 409 for a name in use
+const checkFields = ({ name, description }, id = null) => {
+    const fields = {};
+    if (name !== undefined) {
+        fields.name = typeof name === 'string' ? name.trim() : '';
+        if (!fields.name || fields.name.length > MAX_NAME_LENGTH) {
+            throw projectError(`Project name must be 1 to ${MAX_NAME_LENGTH} characters`, 400);
+        }
+        const taken = db.prepare('SELECT id FROM projects WHERE name = ?').get(fields.name);
+        if (taken && taken.id !== id) throw projectError(`A project named "${fields.name}" already exists`, 409);
+    }
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw projectError(`Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`, 400);
+        }
+        fields.description = description.trim();
+    }
+    return fields;
+};
+
+const create = ({ name, description = '' } = {}, user) => {
+    if (name === undefined) throw projectError('name is required', 400);
+    const fields = checkFields({ name, description });
+    const { lastInsertRowid } = db.prepare('INSERT INTO projects (name, description, created_by, created_at) VALUES (?, ?, ?, ?)')
+        .run(fields.name, fields.description, user ? user.username : null, new Date().toISOString());
+    return get(Number(lastInsertRowid));
+};
+
+// Renames and/or re-describes a project. Returns null if it does not exist.
+const update = (id, changes = {}) => {
+    if (!get(id)) return null;
+    const fields = checkFields(changes, id);
+    Object.entries(fields).forEach(([column, value]) => {
+        db.prepare(`UPDATE projects SET ${column} = ? WHERE id = ?`).run(value, id);
+    });
+    return get(id);
+};
+
+// Deletes a project with its datasets, model versions (including their
+// directories), training history, scenarios, prediction log and anomaly marks. Returns null
+// if it does not exist.
+const remove = (id) => {
+    const project = get(id);
+    if (!project) return null;
+    if (project.isDefault) throw projectError('The default project cannot be deleted', 409);
+
+    const versionIds = modelRegistry.listVersionIds(id);
+    db.transaction(() => {
+        salesStore.removeProject(id);
+        ['model_versions', 'model_activations', 'training_runs', 'retrain_decisions', 'scenarios', 'predictions', 'anomaly_marks'].forEach(table => {
+            db.prepare(`DELETE FROM ${table} WHERE project_id = ?`).run(id);
+        });
+        db.prepare('DELETE FROM projects WHERE id = ?').run(id);
+    })();
+    versionIds.forEach(versionId => modelRegistry.discardVersion(versionId));
+    return project;
+};
+
+module.exports = { DEFAULT_PROJECT_ID, list, get, create, update, remove };
@@ -0,0 +1,50 @@
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const MODEL_DIR = path.join(__dirname, '..', 'model');
+
+// Dynamic Python Path Resolution: prefer the model venv, then the system interpreter
+const resolvePythonCmd = () => {
+    const venvPathWindows = path.join(MODEL_DIR, 'venv/Scripts/python.exe');
+    const venvPathLinux = path.join(MODEL_DIR, 'venv/bin/python');
+
+    if (fs.existsSync(venvPathWindows)) return venvPathWindows;
+    if (fs.existsSync(venvPathLinux)) return venvPathLinux;
+    return process.platform === 'linux' ? 'python3' : 'python';
+};
+
+// Runs a one-shot script from model/ that prints a single JSON document on stdout.
+// Rejects with the script's own { error } message when it reports one.
+const runPythonScript = (script, args = [], { cwd = MODEL_DIR, timeoutMs = 120000 } = {}) => new Promise((resolve, reject) => {
+    const child = spawn(resolvePythonCmd(), [path.join(MODEL_DIR, script), ...args], { cwd });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${script}: ${err.message}`));
+    });
+    child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (signal === 'SIGKILL') return reject(new Error(`${script} timed out after ${timeoutMs}ms`));
+
+        let result = null;
+        try {
+            result = JSON.parse(stdout.trim().split('\n').pop());
+        } catch (e) {
+            // Fall through to the generic error below
+        }
+        if (result && result.error) return reject(new Error(result.error));
+        if (code !== 0 || !result) {
+            console.error(`${script} stderr: ${stderr}`);
+            return reject(new Error(`${script} exited with code ${code}`));
+        }
+        resolve(result);
+    });
+});
+
+module.exports = { MODEL_DIR, resolvePythonCmd, runPythonScript };
@@ -0,0 +1,183 @@
+const PDFDocument = require('pdfkit');
+
+// Server-side PDF summary report: the sales trend with its forecast, the
+// active model's metrics and the forecast table. The chart is drawn with
+// PDFKit's vector API, so no browser or chart library is involved.
+
+const MARGIN = 50;
+const COLORS = {
+    text: '#374151',
+    muted: '#6b7280',
+    grid: '#e5e7eb',
+    actual: '#3b82f6',
+    forecast: '#f97316',
+    band: '#fed7aa'
+};
+const GRID_LINES = 5;
+
+const formatNumber = (value, digits = 2) => (value === null || value === undefined || Number.isNaN(value)
+    ? 'n/a'
+    : Number(value).toLocaleString('en-US', { maximumFractionDigits: digits }));
+
+// 1, 2 or 5 times a power of ten, at least `raw`
+const niceStep = (raw) => {
+    if (!(raw > 0)) return 1;
+    const power = 10 ** Math.floor(Math.log10(raw));
+    const fraction = raw / power;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * power;
+};
+
+const heading = (doc, text) => {
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(text, MARGIN);
+    doc.moveDown(0.4).font('Helvetica').fontSize(10);
+};
+
+// actual: [{ date, value }], forecast: [{ date, value, lower, upper }]
+const drawChart = (doc, actual, forecast, { x, y, width, height }) => {
+    const labels = [...actual.map(p => p.date), ...forecast.map(p => p.date)];
+    const values = [
+        ...actual.map(p => p.value),
+        ...forecast.flatMap(p => [p.value, p.lower, p.upper])
+    ].filter(v => Number.isFinite(v));
+    if (values.length === 0) return;
+
+    const step = niceStep((Math.max(...values) - Math.min(...values)) / (GRID_LINES - 1));
+    const low = Math.floor(Math.min(...values) / step) * step;
+    const high = Math.max(low + step, Math.ceil(Math.max(...values) / step) * step);
+    const plot = { x: x + 60, y, width: width - 60, height: height - 20 };
+    const px = (i) => plot.x + (labels.length > 1 ? (i / (labels.length - 1)) * plot.width : plot.width / 2);
+    const py = (v) => plot.y + plot.height - ((v - low) / (high - low)) * plot.height;
+
+    // Grid and axis labels
+    doc.font('Helvetica').fontSize(8).lineWidth(0.5);
+    for (let v = low; v <= high + step / 2; v += step) {
+        doc.moveTo(plot.x, py(v)).lineTo(plot.x + plot.width, py(v)).strokeColor(COLORS.grid).stroke();
+        doc.fillColor(COLORS.muted).text(formatNumber(v, 0), x, py(v) - 4, { width: 55, align: 'right' });
+    }
+    [0, Math.floor((labels.length - 1) / 2), labels.length - 1].forEach((i, n) => {
+        const align = ['left', 'center', 'right'][n];
+        const left = align === 'left' ? px(i) : align === 'center' ? px(i) - 40 : px(i) - 80;
+        doc.fillColor(COLORS.muted).text(labels[i], left, plot.y + plot.height + 6, { width: 80, align });
+    });
+
+    const offset = actual.length;
+    if (forecast.length > 0) {
+        // Prediction interval as a filled band
+        doc.moveTo(px(offset), py(forecast[0].upper));
+        forecast.forEach((p, i) => doc.lineTo(px(offset + i), py(p.upper)));
+        [...forecast].reverse().forEach((p, i) => doc.lineTo(px(offset + forecast.length - 1 - i), py(p.lower)));
+        doc.closePath().fillColor(COLORS.band).fillOpacity(0.6).fill().fillOpacity(1);
+    }
+
+    const polyline = (points, startIndex) => {
+        points.forEach((v, i) => (i === 0 ? doc.moveTo(px(startIndex + i), py(v)) : doc.lineTo(px(startIndex + i), py(v))));
+    };
+    doc.lineWidth(1.2);
+    if (actual.length > 0) {
+        polyline(actual.map(p => p.value), 0);
+        doc.strokeColor(COLORS.actual).stroke();
+    }
+    if (forecast.length > 0) {
+        // Continues from the last actual point
+        const start = actual.length > 0 ? [actual[actual.length - 1].value] : [];
+        polyline([...start, ...forecast.map(p => p.value)], offset - start.length);
+        doc.dash(4, { space: 3 }).strokeColor(COLORS.forecast).stroke().undash();
+    }
+
+    // Legend
+    const legendY = y - 14;
+    [['Actual', COLORS.actual], ['Forecast', COLORS.forecast]].forEach(([label, color], i) => {
+        const lx = plot.x + i * 80;
+        doc.rect(lx, legendY + 2, 10, 4).fillColor(color).fill();
+        doc.fillColor(COLORS.text).text(label, lx + 14, legendY, { lineBreak: false });
+    });
+};
+
+// columns: [{ header, key, width, align, format }]. Starts a new page (and
+// repeats the header) when the table runs past the bottom margin.
+const drawTable = (doc, columns, rows) => {
+    const rowHeight = 16;
+    const bottom = doc.page.height - MARGIN;
+    let y = doc.y;
+
+    const drawRow = (cells, bold) => {
+        let x = MARGIN;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(bold ? COLORS.muted : COLORS.text);
+        columns.forEach((col, i) => {
+            doc.text(cells[i], x + 2, y + 4, { width: col.width - 4, align: col.align || 'left', lineBreak: false });
+            x += col.width;
+        });
+        const tableWidth = columns.reduce((total, col) => total + col.width, 0);
+        doc.moveTo(MARGIN, y + rowHeight).lineTo(MARGIN + tableWidth, y + rowHeight).lineWidth(0.5).strokeColor(COLORS.grid).stroke();
+        y += rowHeight;
+    };
+    const header = () => drawRow(columns.map(col => col.header), true);
+
+    header();
+    rows.forEach(row => {
+        if (y + rowHeight > bottom) {
+            doc.addPage();
+            y = MARGIN;
+            header();
+        }
+        drawRow(columns.map(col => (col.format ? col.format(row[col.key]) : String(row[col.key] ?? 'n/a'))), false);
+    });
+    doc.x = MARGIN;
+    doc.y = y + 6;
+};
+
+// series: aggregated /api/sales points, forecast: a /api/forecast result,
+// model: the active version's metadata (or null). Returns the PDF as a stream.
+const buildReport = ({ title, dataset, series, forecast, model, version }) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+    const contentWidth = doc.page.width - 2 * MARGIN;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text(title);
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+        .text(`${dataset.fileName} - ${formatNumber(dataset.rowCount, 0)} rows - generated ${new Date().toISOString()}`);
+
+    heading(doc, `${dataset.targetColumn} by ${forecast.interval}`);
+    const chartTop = doc.y + 20;
+    drawChart(doc, series, forecast.forecast || [], { x: MARGIN, y: chartTop, width: contentWidth, height: 220 });
+    doc.x = MARGIN;
+    doc.y = chartTop + 230;
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(
+        `Dashed: ${forecast.horizon}-${forecast.interval} forecast (${forecast.method}); shaded: ${Math.round(forecast.level * 100)}% prediction interval.`,
+        MARGIN
+    );
+
+    heading(doc, 'Model');
+    if (!model) {
+        doc.fillColor(COLORS.muted).text('No trained model.');
+    } else {
+        const metrics = (model.evaluation && model.evaluation.metrics) || { mae: model.mae };
+        const rows = [
+            ['Version', version],
+            ['Algorithm', model.model ? model.model.label : 'n/a'],
+            ['Trained', model.trained_at || 'n/a'],
+            ['Training rows', formatNumber(model.rows_trained, 0)],
+            ['MAE', formatNumber(metrics.mae)],
+            ['RMSE', formatNumber(metrics.rmse)],
+            ['MAPE', metrics.mape === null || metrics.mape === undefined ? 'n/a' : `${formatNumber(metrics.mape)}%`],
+            ['R2', formatNumber(metrics.r2, 4)],
+            ['Evaluated on', metrics.count ? `${formatNumber(metrics.count, 0)} held-out rows` : 'n/a']
+        ];
+        drawTable(doc, [
+            { header: 'Measure', key: 0, width: 140 },
+            { header: 'Value', key: 1, width: 240 }
+        ], rows);
+    }
+
+    heading(doc, 'Forecast');
+    drawTable(doc, [
+        { header: 'Date', key: 'date', width: 120 },
+        { header: 'Forecast', key: 'value', width: 120, align: 'right', format: formatNumber },
+        { header: 'Lower', key: 'lower', width: 120, align: 'right', format: formatNumber },
+        { header: 'Upper', key: 'upper', width: 120, align: 'right', format: formatNumber }
+    ], forecast.forecast || []);
+
+    doc.end();
+    return doc;
+};
+
+module.exports = { buildReport };
@@ -0,0 +1,234 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { db, getSetting, setSetting } = require('./db');
+const salesStore = require('./salesStore');
+const modelRegistry = require('./modelRegistry');
+const projects = require('./projects');
+const { runPythonScript } = require('./python');
+const { parseCron, nextRun } = require('./cron');
+
+// Built-in scheduler for automatic retraining. At every cron tick the newest
+// rows of each project's current dataset are compared with its active model's
+// training data (model/drift.py); a retrain is queued only when a drift measure
+// exceeds its threshold. Every decision, including "no drift", is recorded.
+// The schedule and thresholds apply to all projects.
+
+const CONFIG_KEY = 'retrain_schedule';
+const DEFAULT_CONFIG = {
+    enabled: false,
+    cron: '0 3 * * *',
+    // Rows dated within this many days of the newest one count as "recent"
+    recentDays: 30,
+    thresholds: {
+        psi: 0.2, // Population stability index of any numeric feature
+        newCategoryRate: 0.05, // Share of recent rows with a category the model never saw
+        errorRatio: 1.25 // MAE on unseen rows relative to the MAE measured at training time
+    }
+};
+// setTimeout cannot wait longer than this; longer waits re-plan when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const DRIFT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const schedulerError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const getConfig = () => {
+    const stored = getSetting(CONFIG_KEY) || {};
+    return { ...DEFAULT_CONFIG, ...stored, thresholds: { ...DEFAULT_CONFIG.thresholds, ...stored.thresholds } };
+};
+
+// Throws a 400 for an invalid configuration
+const validateConfig = (config) => {
+    if (typeof config.enabled !== 'boolean') throw schedulerError('enabled must be true or false', 400);
+    parseCron(config.cron);
+    if (!Number.isInteger(config.recentDays) || config.recentDays < 1 || config.recentDays > 365) {
+        throw schedulerError('recentDays must be an integer between 1 and 365', 400);
+    }
+    Object.entries(config.thresholds).forEach(([name, value]) => {
+        if (!(name in DEFAULT_CONFIG.thresholds)) {
+            throw schedulerError(`Unknown threshold ${name}; use ${Object.keys(DEFAULT_CONFIG.thresholds).join(', ')}`, 400);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw schedulerError(`Threshold ${name} must be a positive number`, 400);
+        }
+    });
+};
+
+// The drift measures over their thresholds, as readable reasons
+const driftReasons = (drift, thresholds) => {
+    const reasons = [];
+    Object.entries(drift.psi || {}).forEach(([col, value]) => {
+        if (value !== null && value > thresholds.psi) {
+            reasons.push(`PSI of ${col} is ${value} (threshold ${thresholds.psi})`);
+        }
+    });
+    Object.entries(drift.new_category_rate || {}).forEach(([col, rate]) => {
+        if (rate !== null && rate > thresholds.newCategoryRate) {
+            reasons.push(`${(rate * 100).toFixed(1)}% of recent ${col} values are new (threshold ${(thresholds.newCategoryRate * 100).toFixed(1)}%)`);
+        }
+    });
+    const recent = drift.recent_error;
+    if (recent && recent.ratio !== null && recent.ratio > thresholds.errorRatio) {
+        reasons.push(`MAE on ${recent.rows} unseen rows is ${recent.ratio}x the training MAE (threshold ${thresholds.errorRatio}x)`);
+    }
+    return reasons;
+};
+
+const toDecision = (row) => ({
+    id: row.id,
+    projectId: row.project_id,
+    trigger: row.trigger,
+    checkedAt: row.checked_at,
+    modelVersion: row.model_version,
+    datasetId: row.dataset_id,
+    decision: row.decision,
+    reasons: JSON.parse(row.reasons),
+    drift: row.drift ? JSON.parse(row.drift) : null,
+    thresholds: row.thresholds ? JSON.parse(row.thresholds) : null,
+    jobId: row.job_id,
+    error: row.error
+});
+
+// decision: retrain | no_drift | skipped | failed
+const record = (fields) => {
+    const { lastInsertRowid } = db.prepare(`INSERT INTO retrain_decisions
+        (project_id, trigger, checked_at, model_version, dataset_id, decision, reasons, drift, thresholds, job_id, error)
+        VALUES (@projectId, @trigger, @checkedAt, @modelVersion, @datasetId, @decision, @reasons, @drift, @thresholds, @jobId, @error)`)
+        .run({
+            projectId: fields.projectId,
+            trigger: fields.trigger,
+            checkedAt: new Date().toISOString(),
+            modelVersion: fields.modelVersion || null,
+            datasetId: fields.datasetId || null,
+            decision: fields.decision,
+            reasons: JSON.stringify(fields.reasons || []),
+            drift: fields.drift ? JSON.stringify(fields.drift) : null,
+            thresholds: JSON.stringify(fields.thresholds),
+            jobId: fields.jobId || null,
+            error: fields.error || null
+        });
+    const decision = toDecision(db.prepare('SELECT * FROM retrain_decisions WHERE id = ?').get(lastInsertRowid));
+    console.log(`Drift check (${decision.trigger}) of project ${decision.projectId} on ${decision.modelVersion || 'no model'}: ${decision.decision}${decision.reasons.length ? ` - ${decision.reasons.join('; ')}` : ''}`);
+    return decision;
+};
+
+const listDecisions = (projectId, limit = 100) =>
+    db.prepare('SELECT * FROM retrain_decisions WHERE project_id = ? ORDER BY id DESC LIMIT ?').all(projectId, limit).map(toDecision);
+
+// retrain(dataset): queues a training job on the dataset and returns it.
+// isTraining(projectId): whether a training job of the project is already queued or running.
+const createRetrainScheduler = ({ retrain, isTraining }) => {
+    let timer = null;
+    let nextRunAt = null;
+    let checking = false;
+
+    const runCheck = async (projectId, trigger, force) => {
+        const config = getConfig();
+        const { status, dataset } = salesStore.getStatus(projectId);
+        const version = modelRegistry.resolveVersion(projectId);
+        const base = { projectId, trigger, thresholds: config.thresholds, modelVersion: version && version.id, datasetId: dataset && dataset.id };
+        if (status !== 'ready' || !version) {
+            return record({ ...base, decision: 'skipped', reasons: ['No trained model and dataset to check'] });
+        }
+        if (isTraining(projectId)) {
+            return record({ ...base, decision: 'skipped', reasons: ['A training job is already queued or running'] });
+        }
+
+        const file = path.join(os.tmpdir(), `drift-${crypto.randomUUID()}.csv`);
+        let drift;
+        try {
+            fs.writeFileSync(file, salesStore.exportCsv(dataset));
+            drift = await runPythonScript('drift.py', [version.dir, file, `--recent-days=${config.recentDays}`], { timeoutMs: DRIFT_TIMEOUT_MS });
+        } catch (err) {
+            return record({ ...base, decision: 'failed', error: err.message });
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+
+        const reasons = driftReasons(drift, config.thresholds);
+        if (force) reasons.push('Retrain requested regardless of drift');
+        if (reasons.length === 0) {
+            return record({ ...base, decision: 'no_drift', drift });
+        }
+        const job = retrain(dataset);
+        return record({ ...base, decision: 'retrain', reasons, drift, jobId: job.id });
+    };
+
+    // One check at a time; force retrains even without drift
+    const check = async (projectId, trigger, { force = false } = {}) => {
+        if (checking) throw schedulerError('A drift check is already running', 409);
+        checking = true;
+        try {
+            return await runCheck(projectId, trigger, force);
+        } finally {
+            checking = false;
+        }
+    };
+
+    // Scheduled run: every project with a trained model, one after the other
+    const checkAll = async (trigger) => {
+        if (checking) throw schedulerError('A drift check is already running', 409);
+        checking = true;
+        try {
+            for (const project of projects.list().filter(p => p.activeVersion)) {
+                await runCheck(project.id, trigger, false);
+            }
+        } finally {
+            checking = false;
+        }
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = null;
+        nextRunAt = null;
+        const config = getConfig();
+        if (!config.enabled) return;
+        nextRunAt = nextRun(parseCron(config.cron));
+        if (!nextRunAt) return;
+
+        const wait = nextRunAt.getTime() - Date.now();
+        timer = setTimeout(() => {
+            if (wait > MAX_TIMER_MS) return schedule();
+            checkAll('schedule')
+                .catch(err => console.error('Scheduled drift check failed:', err.message))
+                .finally(schedule);
+        }, Math.min(Math.max(wait, 0), MAX_TIMER_MS));
+    };
+
+    const status = () => ({
+        ...getConfig(),
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        checking
+    });
+
+    // Merges the changes into the stored configuration and re-plans the next run
+    const updateConfig = (changes = {}) => {
+        const current = getConfig();
+        const config = {
+            ...current,
+            ...changes,
+            thresholds: { ...current.thresholds, ...changes.thresholds }
+        };
+        validateConfig(config);
+        setSetting(CONFIG_KEY, {
+            enabled: config.enabled,
+            cron: config.cron,
+            recentDays: config.recentDays,
+            thresholds: config.thresholds
+        });
+        schedule();
+        return status();
+    };
+
+    const stop = () => clearTimeout(timer);
+
+    return { check, schedule, status, updateConfig, stop };
+};
+
+module.exports = { createRetrainScheduler, listDecisions };
@@ -0,0 +1,270 @@
+const { db } = require('./db');
+const { INTERVALS, toDayKey, addDays, daySpan } = require('./timeBuckets');
+
+// Filtering, aggregation and cursor pagination over a dataset's rows.
+//
+//   from, to              inclusive date range (any format toDayKey understands)
+//   filter[<column>]=v    equality filter on a categorical column; repeat for "any of"
+//   interval              day | week | month | quarter | year
+//   groupBy               categorical column to break the series down by
+//   agg                   sum | mean | count | min | max (of sales, default sum)
+//   limit, cursor         pagination of raw rows (when neither interval nor groupBy is set)
+
+const AGGREGATES = {
+    sum: 'SUM(r.sales)',
+    mean: 'AVG(r.sales)',
+    count: 'COUNT(*)',
+    min: 'MIN(r.sales)',
+    max: 'MAX(r.sales)'
+};
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+const DEFAULT_TOP = 5;
+const MAX_TOP = 50;
+// Aggregates whose values can be added up, so the values outside the top N can be charted as one "other" series
+const ADDITIVE = ['sum', 'count'];
+
+// Bucket start for each interval, computed from the stored YYYY-MM-DD day. Weeks start on Monday.
+const BUCKET_SQL = {
+    day: 'r.day',
+    week: "date(r.day, '-6 days', 'weekday 1')",
+    month: "strftime('%Y-%m-01', r.day)",
+    quarter: "printf('%s-%02d-01', strftime('%Y', r.day), ((CAST(strftime('%m', r.day) AS INTEGER) - 1) / 3) * 3 + 1)",
+    year: "strftime('%Y-01-01', r.day)"
+};
+
+const queryError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const encodeCursor = (afterId, datasetId) =>
+    Buffer.from(JSON.stringify({ a: afterId, d: datasetId })).toString('base64url');
+
+const decodeCursor = (cursor, datasetId) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw queryError('Invalid cursor');
+    }
+    if (!Number.isInteger(parsed.a) || parsed.a < 0) throw queryError('Invalid cursor');
+    if (parsed.d !== datasetId) throw queryError('Cursor is stale: the dataset changed. Start again without a cursor.');
+    return parsed.a;
+};
+
+// Validates query-string parameters against the dataset's categorical columns
+const parseSalesQuery = (query, dimensions) => {
+    const parsed = {
+        from: null,
+        to: null,
+        filters: {},
+        interval: query.interval || null,
+        groupBy: query.groupBy || null,
+        agg: query.agg || 'sum',
+        limit: DEFAULT_LIMIT,
+        cursor: query.cursor || null
+    };
+    const unknownColumn = (kind, column) =>
+        queryError(`Unknown ${kind} column: ${column}. Categorical columns: ${dimensions.join(', ')}`);
+
+    ['from', 'to'].forEach(key => {
+        if (query[key] === undefined) return;
+        parsed[key] = toDayKey(query[key]);
+        if (!parsed[key]) throw queryError(`Invalid ${key} date: ${query[key]}`);
+    });
+
+    if (query.filter !== undefined) {
+        if (typeof query.filter !== 'object' || Array.isArray(query.filter)) {
+            throw queryError('Filters must be given as filter[<column>]=<value>');
+        }
+        Object.entries(query.filter).forEach(([column, values]) => {
+            if (!dimensions.includes(column)) throw unknownColumn('filter', column);
+            parsed.filters[column] = [].concat(values).map(String);
+        });
+    }
+
+    if (parsed.interval && !INTERVALS.includes(parsed.interval)) {
+        throw queryError(`interval must be one of ${INTERVALS.join(', ')}`);
+    }
+    if (parsed.groupBy && !dimensions.includes(parsed.groupBy)) throw unknownColumn('groupBy', parsed.groupBy);
+    if (!AGGREGATES[parsed.agg]) {
+        throw queryError(`agg must be one of ${Object.keys(AGGREGATES).join(', ')}`);
+    }
+
+    if (query.limit !== undefined) {
+        parsed.limit = parseInt(query.limit);
+        if (!Number.isInteger(parsed.limit) || parsed.limit < 1 || parsed.limit > MAX_LIMIT) {
+            throw queryError(`limit must be between 1 and ${MAX_LIMIT}`);
+        }
+    }
+    return parsed;
+};
+
+// WHERE clause (and its parameters) shared by raw and aggregated queries
+const buildWhere = (datasetId, { from, to, filters }) => {
+    const clauses = ['r.dataset_id = ?'];
+    const params = [datasetId];
+    if (from) {
+        clauses.push('r.day >= ?');
+        params.push(from);
+    }
+    if (to) {
+        clauses.push('r.day <= ?');
+        params.push(to);
+    }
+    Object.entries(filters).forEach(([column, values]) => {
+        clauses.push(`r.id IN (SELECT row_id FROM row_dimensions
+                               WHERE dataset_id = ? AND name = ? AND value IN (${values.map(() => '?').join(', ')}))`);
+        params.push(datasetId, column, ...values);
+    });
+    return { where: clauses.join(' AND '), params };
+};
+
+const aggregate = (datasetId, parsed) => {
+    const { interval, groupBy, agg } = parsed;
+    const { where, params } = buildWhere(datasetId, parsed);
+    const join = groupBy ? 'LEFT JOIN row_dimensions d ON d.row_id = r.id AND d.name = ?' : '';
+    const sql = `
+        SELECT ${interval ? BUCKET_SQL[interval] : 'NULL'} AS date,
+               ${groupBy ? 'd.value' : 'NULL'} AS grp,
+               ${AGGREGATES[agg]} AS value,
+               COUNT(*) AS count
+        FROM sales_rows r ${join}
+        WHERE ${where}
+        GROUP BY date, grp
+        ORDER BY date, grp`;
+
+    return db.prepare(sql).all(...(groupBy ? [groupBy] : []), ...params).map(row => ({
+        ...(interval ? { date: row.date } : {}),
+        ...(groupBy ? { group: row.grp } : {}),
+        value: row.value,
+        count: row.count
+    }));
+};
+
+// dataset: the active dataset from salesStore (id + dimensions)
+const querySales = (dataset, query) => {
+    const parsed = parseSalesQuery(query, dataset.dimensions);
+
+    if (parsed.interval || parsed.groupBy) {
+        const series = aggregate(dataset.id, parsed);
+        return {
+            interval: parsed.interval,
+            groupBy: parsed.groupBy,
+            agg: parsed.agg,
+            matchedRows: series.reduce((total, point) => total + point.count, 0),
+            series
+        };
+    }
+
+    const { where, params } = buildWhere(dataset.id, parsed);
+    const afterId = parsed.cursor ? decodeCursor(parsed.cursor, dataset.id) : 0;
+    const total = db.prepare(`SELECT COUNT(*) AS n FROM sales_rows r WHERE ${where}`).get(...params).n;
+    const page = db.prepare(`SELECT r.id, r.data FROM sales_rows r WHERE ${where} AND r.id > ? ORDER BY r.id LIMIT ?`)
+        .all(...params, afterId, parsed.limit + 1);
+    const hasMore = page.length > parsed.limit;
+    const rows = page.slice(0, parsed.limit);
+
+    return {
+        total,
+        rows: rows.map(row => JSON.parse(row.data)),
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1].id, dataset.id) : null
+    };
+};
+
+// Percentage change from `previous` to `current`, or null when there is nothing to compare with
+const growth = (current, previous) =>
+    (current === null || current === undefined || !previous ? null : ((current - previous) / Math.abs(previous)) * 100);
+
+// Breakdown of the target by one categorical column over a date range, for the drill-down
+// dashboard: its values ranked by the aggregate, each compared with the period of the same
+// length just before the range, and a series of the top values.
+//
+//   dimension             categorical column to break down by (required)
+//   top                   number of values listed and charted (default 5)
+//   interval              bucket size of the series (default month)
+//   from, to, filter, agg as for querySales; from/to default to the first and last matched day
+const breakdown = (dataset, query) => {
+    const parsed = parseSalesQuery({ ...query, groupBy: query.dimension, limit: undefined }, dataset.dimensions);
+    if (!parsed.groupBy) throw queryError(`dimension is required. Categorical columns: ${dataset.dimensions.join(', ')}`);
+    const top = query.top === undefined ? DEFAULT_TOP : parseInt(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+        throw queryError(`top must be between 1 and ${MAX_TOP}`);
+    }
+    const interval = parsed.interval || 'month';
+
+    const { where, params } = buildWhere(dataset.id, parsed);
+    const extent = db.prepare(`SELECT MIN(r.day) AS first, MAX(r.day) AS last FROM sales_rows r WHERE ${where}`).get(...params);
+    const result = {
+        dimension: parsed.groupBy,
+        interval,
+        agg: parsed.agg,
+        filters: parsed.filters,
+        from: parsed.from || extent.first,
+        to: parsed.to || extent.last,
+        previous: null,
+        total: { current: null, previous: null, growth: null, rows: 0 },
+        groups: [],
+        totalGroups: 0,
+        series: [],
+        other: null
+    };
+    if (!extent.first) return result;
+
+    const days = daySpan(result.from, result.to);
+    result.previous = { from: addDays(result.from, -days), to: addDays(result.from, -1) };
+    const current = { ...parsed, from: result.from, to: result.to, interval: null };
+    const previous = { ...parsed, ...result.previous, interval: null };
+
+    const [currentTotal] = aggregate(dataset.id, { ...current, groupBy: null });
+    const [previousTotal] = aggregate(dataset.id, { ...previous, groupBy: null });
+    result.total = {
+        current: currentTotal ? currentTotal.value : null,
+        previous: previousTotal ? previousTotal.value : null,
+        growth: growth(currentTotal && currentTotal.value, previousTotal && previousTotal.value),
+        rows: currentTotal ? currentTotal.count : 0
+    };
+
+    const before = new Map(aggregate(dataset.id, previous).map(row => [row.group, row.value]));
+    const ranked = aggregate(dataset.id, current)
+        .map(row => ({
+            value: row.group,
+            current: row.value,
+            previous: before.get(row.group) ?? null,
+            growth: growth(row.value, before.get(row.group)),
+            share: ADDITIVE.includes(parsed.agg) && result.total.current ? (row.value / result.total.current) * 100 : null,
+            rows: row.count
+        }))
+        .sort((a, b) => (b.current ?? -Infinity) - (a.current ?? -Infinity));
+    result.groups = ranked.slice(0, top);
+    result.totalGroups = ranked.length;
+
+    const topValues = new Set(result.groups.map(g => g.value));
+    const points = aggregate(dataset.id, { ...current, interval });
+    result.series = points.filter(point => topValues.has(point.group))
+        .map(({ date, group, value }) => ({ date, group, value }));
+    if (ranked.length > top && ADDITIVE.includes(parsed.agg)) {
+        const other = new Map();
+        points.filter(point => !topValues.has(point.group)).forEach(({ date, value }) => {
+            other.set(date, (other.get(date) || 0) + value);
+        });
+        result.other = [...other.entries()].map(([date, value]) => ({ date, value }));
+    }
+    return result;
+};
+
+// Date/sales rows (plus the groupBy value) in the shape lib/forecast.js expects
+const seriesRows = (dataset, groupBy) => {
+    if (!groupBy) {
+        return db.prepare('SELECT day AS date, sales FROM sales_rows WHERE dataset_id = ?').all(dataset.id);
+    }
+    return db.prepare(`SELECT r.day AS date, r.sales, d.value AS grp
+                       FROM sales_rows r LEFT JOIN row_dimensions d ON d.row_id = r.id AND d.name = ?
+                       WHERE r.dataset_id = ?`)
+        .all(groupBy, dataset.id)
+        .map(row => ({ date: row.date, sales: row.sales, [groupBy]: row.grp }));
+};
+
+module.exports = { querySales, breakdown, seriesRows, AGGREGATES };
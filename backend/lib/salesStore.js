@@ -0,0 +1,276 @@
+const path = require('path');
+const fs = require('fs');
+const csv = require('csv-parser');
+const { db } = require('./db');
+const modelRegistry = require('./modelRegistry');
+const { toDayKey } = require('./timeBuckets');
+const { toCsv } = require('./csvUtils');
+
+// Loads each project's active model version's dataset into the database and
+// tracks whether it is ready to be queried. A dataset that was already
+// imported for that version is reused, so restarts do not re-read the CSV.
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Load state per project id
+const states = new Map();
+const listeners = [];
+
+// Listeners are told about every load state change and in-place dataset update:
+// listener(projectId, { status, dataset, error })
+const onChange = (listener) => listeners.push(listener);
+
+const notify = (state) => {
+    const { projectId, status, dataset, error } = state;
+    listeners.forEach(listener => {
+        try {
+            listener(projectId, { status, dataset, error });
+        } catch (e) {
+            console.error('Dataset listener failed:', e);
+        }
+    });
+};
+
+const stateOf = (projectId) => {
+    if (!states.has(projectId)) {
+        states.set(projectId, {
+            projectId,
+            status: 'empty', // empty | loading | ready | failed
+            dataset: null,
+            error: null,
+            seq: 0,
+            resolveReady: null,
+            readyPromise: Promise.resolve()
+        });
+    }
+    return states.get(projectId);
+};
+
+const markLoading = (state) => {
+    state.status = 'loading';
+    state.readyPromise = new Promise(resolve => { state.resolveReady = resolve; });
+    notify(state);
+};
+
+const settle = (state, status, dataset, error = null) => {
+    state.status = status;
+    state.dataset = dataset;
+    state.error = error;
+    if (state.resolveReady) state.resolveReady();
+    state.resolveReady = null;
+    notify(state);
+};
+
+const toDataset = (row) => row && {
+    id: row.id,
+    projectId: row.project_id,
+    modelVersion: row.model_version,
+    fileName: row.file_name,
+    targetColumn: row.target_column,
+    dimensions: JSON.parse(row.dimensions),
+    columns: JSON.parse(row.columns),
+    rowCount: row.row_count,
+    status: row.status,
+    createdAt: row.created_at,
+    loadedAt: row.loaded_at
+};
+
+// Returns the ids of the inserted rows
+const insertBatch = db.transaction((datasetId, dimensions, rows) => {
+    const insertRow = db.prepare('INSERT INTO sales_rows (dataset_id, day, sales, data) VALUES (?, ?, ?, ?)');
+    const insertDim = db.prepare('INSERT INTO row_dimensions (dataset_id, row_id, name, value) VALUES (?, ?, ?, ?)');
+    return rows.map(row => {
+        const { lastInsertRowid } = insertRow.run(datasetId, row.day, row.sales, JSON.stringify(row.data));
+        dimensions.forEach(name => {
+            const value = row.data[name];
+            if (value !== undefined && value !== null && value !== '') {
+                insertDim.run(datasetId, lastInsertRowid, name, String(value));
+            }
+        });
+        return lastInsertRowid;
+    });
+});
+
+// Rows of the project's older datasets are dropped once a new one is ready; the CSV
+// stays in its model version directory, so a rollback simply imports it again.
+// A dataset with appends that were not reverted has rows no CSV holds, so it is
+// 'retained' with its rows instead and made ready again when its version is.
+const archiveOtherDatasets = db.transaction((projectId, keepId) => {
+    const others = "project_id = ? AND id != ? AND status = 'ready'";
+    const hasAppends = 'EXISTS (SELECT 1 FROM dataset_appends a WHERE a.dataset_id = datasets.id AND a.reverted_at IS NULL)';
+    db.prepare(`UPDATE datasets SET status = 'retained' WHERE ${others} AND ${hasAppends}`).run(projectId, keepId);
+    db.prepare(`DELETE FROM sales_rows WHERE dataset_id IN
+                (SELECT id FROM datasets WHERE ${others})`).run(projectId, keepId);
+    db.prepare(`UPDATE datasets SET status = 'archived' WHERE ${others}`).run(projectId, keepId);
+});
+
+// Maps a raw CSV row onto { day, sales, data }, or null if it has no usable date/sales.
+// dateCol: the trained model's date column; without one the date is found by name.
+const mapRow = (row, targetCol, dateCol = null) => {
+    let date = dateCol ? row[dateCol] : undefined;
+    if (date === undefined) {
+        // Dynamic Date Mapping
+        // Look for a column with 'date' in the name if 'date' doesn't exist
+        if (!row.date) {
+            const dateKey = Object.keys(row).find(k => k.toLowerCase().includes('date') || k.toLowerCase().includes('time'));
+            if (dateKey) row.date = row[dateKey];
+        }
+        date = row.date;
+    }
+
+    // Dynamic Target Mapping
+    if (row[targetCol] !== undefined) {
+        row.sales = parseFloat(row[targetCol]);
+    } else if (row.sales) {
+        row.sales = parseFloat(row.sales);
+    }
+
+    // Keep these for potential backward compatibility or if they exist
+    if (row.marketing_spend) row.marketing_spend = parseFloat(row.marketing_spend);
+    if (row.holiday) row.holiday = parseInt(row.holiday);
+
+    const day = toDayKey(date);
+    if (!day || isNaN(row.sales)) return null;
+    return { day, sales: row.sales, data: row };
+};
+
+const importDataset = (projectId, version, state, seq) => new Promise((resolve, reject) => {
+    const meta = version.metadata || {};
+    const targetCol = meta.target_column || 'sales';
+    const dimensions = (meta.features || []).filter(f => f.type === 'categorical').map(f => f.name);
+    const dataPath = path.join(modelRegistry.VERSIONS_DIR, version.id, version.dataFile);
+    if (!fs.existsSync(dataPath)) {
+        return reject(new Error(`${version.dataFile} not found for model version ${version.id}`));
+    }
+
+    const datasetId = db.prepare(`INSERT INTO datasets (project_id, model_version, file_name, target_column, dimensions, status, created_at)
+                                  VALUES (?, ?, ?, ?, ?, 'loading', ?)`)
+        .run(projectId, version.id, version.dataFile, targetCol, JSON.stringify(dimensions), new Date().toISOString())
+        .lastInsertRowid;
+
+    let batch = [];
+    let rowCount = 0;
+    let columns = null;
+    const flush = () => {
+        insertBatch(datasetId, dimensions, batch);
+        rowCount += batch.length;
+        batch = [];
+    };
+    const fail = (err) => {
+        db.prepare("UPDATE datasets SET status = 'failed', error = ? WHERE id = ?").run(err.message, datasetId);
+        reject(err);
+    };
+
+    // pipe() does not close the file when the parser is destroyed, so both are kept
+    const source = fs.createReadStream(dataPath);
+    const stream = source.pipe(csv());
+    source.on('error', (err) => {
+        stream.destroy();
+        fail(err);
+    });
+    // A newer load started: drop this one along with the rows it inserted so far
+    const abandon = () => {
+        source.destroy();
+        stream.destroy();
+        db.prepare('DELETE FROM datasets WHERE id = ?').run(datasetId);
+        reject(new Error('Superseded by a newer dataset load'));
+    };
+    stream
+        .on('data', (raw) => {
+            if (seq !== state.seq) return abandon();
+            // Columns as they appear in the CSV, before mapRow adds its own keys
+            if (!columns) columns = Object.keys(raw);
+            const mapped = mapRow(raw, targetCol, meta.date_column);
+            if (!mapped) return;
+            batch.push(mapped);
+            if (batch.length >= INSERT_BATCH_SIZE) flush();
+        })
+        .on('end', () => {
+            if (seq !== state.seq) return abandon();
+            flush();
+            db.prepare(`UPDATE datasets SET status = 'ready', row_count = ?, columns = ?, loaded_at = ? WHERE id = ?`)
+                .run(rowCount, JSON.stringify(columns || []), new Date().toISOString(), datasetId);
+            archiveOtherDatasets(projectId, datasetId);
+            console.log(`Sales data loaded from ${version.id}/${version.dataFile}: ${rowCount} rows. Mapped '${targetCol}' to sales.`);
+            resolve(toDataset(db.prepare('SELECT * FROM datasets WHERE id = ?').get(datasetId)));
+        })
+        .on('error', fail);
+});
+
+// Makes the project's active model version's dataset queryable. Safe to call
+// repeatedly; only the latest call's result is kept.
+const loadActiveDataset = (projectId) => {
+    const state = stateOf(projectId);
+    const seq = ++state.seq;
+    const version = modelRegistry.getVersion(projectId, modelRegistry.getActiveVersion(projectId));
+    if (!version) {
+        settle(state, 'empty', null);
+        return state.readyPromise;
+    }
+
+    const existing = db.prepare(`SELECT * FROM datasets WHERE model_version = ? AND status IN ('ready', 'retained')
+                                 ORDER BY id DESC LIMIT 1`).get(version.id);
+    if (existing) {
+        if (existing.status === 'retained') {
+            db.prepare("UPDATE datasets SET status = 'ready' WHERE id = ?").run(existing.id);
+            existing.status = 'ready';
+        }
+        archiveOtherDatasets(projectId, existing.id);
+        settle(state, 'ready', toDataset(existing));
+        return state.readyPromise;
+    }
+
+    if (state.status !== 'loading') markLoading(state);
+    importDataset(projectId, version, state, seq)
+        .then(dataset => { if (seq === state.seq) settle(state, 'ready', dataset); })
+        .catch(err => {
+            if (seq !== state.seq) return;
+            console.error(`Failed to load sales data of project ${projectId}:`, err.message);
+            settle(state, 'failed', null, err.message);
+        });
+    return state.readyPromise;
+};
+
+const getStatus = (projectId) => {
+    const { status, dataset, error } = stateOf(projectId);
+    return { status, dataset, error };
+};
+
+// Picks up row count changes made to the active dataset in place (appends)
+const refreshActiveDataset = (projectId) => {
+    const state = stateOf(projectId);
+    if (state.dataset) {
+        state.dataset = toDataset(db.prepare('SELECT * FROM datasets WHERE id = ?').get(state.dataset.id));
+        notify(state);
+    }
+    return state.dataset;
+};
+
+// Drops a deleted project's datasets and load state; a load still running is abandoned
+const removeProject = db.transaction((projectId) => {
+    if (states.has(projectId)) states.get(projectId).seq++;
+    states.delete(projectId);
+    db.prepare('DELETE FROM datasets WHERE project_id = ?').run(projectId);
+});
+
+// The dataset's current rows as a CSV with its original columns, e.g. to retrain on merged data
+const exportCsv = (dataset) => {
+    const rows = db.prepare('SELECT data FROM sales_rows WHERE dataset_id = ? ORDER BY day, id').all(dataset.id)
+        .map(row => JSON.parse(row.data));
+    return toCsv(rows, dataset.columns);
+};
+
+// Resolves once the project's current load (if any) has finished, successfully or not
+const whenSettled = (projectId) => stateOf(projectId).readyPromise;
+
+module.exports = {
+    loadActiveDataset,
+    getStatus,
+    whenSettled,
+    refreshActiveDataset,
+    removeProject,
+    onChange,
+    exportCsv,
+    mapRow,
+    insertBatch
+};
@@ -0,0 +1,45 @@
+const { db } = require('./db');
+
+// Saved what-if scenarios: named sets of prediction inputs belonging to one user
+// in one project. Only the inputs are stored; they are re-scored with whichever
+// of the project's models is asked for.
+
+const MAX_NAME_LENGTH = 100;
+
+const scenarioError = (message, status) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+const toScenario = (row) => ({
+    id: row.id,
+    name: row.name,
+    inputs: JSON.parse(row.inputs),
+    createdAt: row.created_at
+});
+
+const list = (userId, projectId) =>
+    db.prepare('SELECT * FROM scenarios WHERE user_id = ? AND project_id = ? ORDER BY created_at, id').all(userId, projectId).map(toScenario);
+
+const create = (userId, projectId, { name, inputs } = {}) => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw scenarioError(`Scenario name must be 1 to ${MAX_NAME_LENGTH} characters`, 400);
+    }
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        throw scenarioError('inputs must be an object of feature values', 400);
+    }
+    if (db.prepare('SELECT 1 FROM scenarios WHERE user_id = ? AND project_id = ? AND name = ?').get(userId, projectId, trimmed)) {
+        throw scenarioError(`A scenario named "${trimmed}" already exists`, 409);
+    }
+    const { lastInsertRowid } = db.prepare('INSERT INTO scenarios (user_id, project_id, name, inputs, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(userId, projectId, trimmed, JSON.stringify(inputs), new Date().toISOString());
+    return toScenario(db.prepare('SELECT * FROM scenarios WHERE id = ?').get(lastInsertRowid));
+};
+
+// Returns false if the user has no such scenario in the project
+const remove = (userId, projectId, id) =>
+    db.prepare('DELETE FROM scenarios WHERE id = ? AND user_id = ? AND project_id = ?').run(id, userId, projectId).changes > 0;
+
+module.exports = { list, create, remove };
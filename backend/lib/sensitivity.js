@@ -0,0 +1,55 @@
+// Sensitivity sweeps: one feature is varied while the other prediction inputs
+// stay fixed. Numeric features run over an evenly spaced range (the training
+// min..max unless given), categorical features over every option the model knows.
+
+const DEFAULT_STEPS = 20;
+const MAX_STEPS = 100;
+
+const sweepError = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const numericValues = (feature, { from, to, steps }) => {
+    const lo = from === undefined || from === null ? feature.min : Number(from);
+    const hi = to === undefined || to === null ? feature.max : Number(to);
+    if (!isNumber(lo) || !isNumber(hi)) {
+        throw sweepError(`Give from and to for ${feature.name}; this model has no training range for it`);
+    }
+    if (lo > hi) throw sweepError('from must not be greater than to');
+    const count = steps === undefined || steps === null ? DEFAULT_STEPS : Number(steps);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_STEPS) {
+        throw sweepError(`steps must be an integer between 2 and ${MAX_STEPS}`);
+    }
+    if (lo === hi) return [lo];
+    return Array.from({ length: count }, (_, i) => Number((lo + ((hi - lo) * i) / (count - 1)).toPrecision(12)));
+};
+
+// meta: the version's model_metadata.json. spec: { feature, from, to, steps }.
+// Returns { feature, type, values, rows } where rows are the inputs to score, one per value.
+const buildSweep = (meta, inputs, spec = {}) => {
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        throw sweepError('inputs must be an object of feature values');
+    }
+    const feature = (meta.features || []).find(f => f.name === spec.feature);
+    if (!feature) {
+        throw sweepError(`feature must be one of ${(meta.features || []).map(f => f.name).join(', ')}`);
+    }
+    // A date in the inputs would overwrite the swept value
+    if ((meta.time_features || []).includes(feature.name)) {
+        throw sweepError(`${feature.name} is derived from the date; compare dates with saved scenarios instead`);
+    }
+
+    const values = feature.type === 'categorical' ? feature.options : numericValues(feature, spec);
+    return {
+        feature: feature.name,
+        type: feature.type,
+        values,
+        rows: values.map(value => ({ ...inputs, [feature.name]: value }))
+    };
+};
+
+module.exports = { buildSweep };
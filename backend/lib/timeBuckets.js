@@ -0,0 +1,79 @@
+// Date helpers shared by aggregation and forecasting. Dates are handled as
+// 'YYYY-MM-DD' day keys in UTC so bucketing never shifts with the server timezone.
+
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatUTC = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+// Normalizes a raw CSV date ('2023-01-31', '1/31/2023', ...) to a day key, or null
+const toDayKey = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    const d = new Date(text);
+    if (isNaN(d.getTime())) return null;
+    // Non-ISO strings are parsed as local time; keep the calendar day the user wrote
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const parseDayKey = (key) => new Date(`${key}T00:00:00Z`);
+
+// Start of the bucket a day falls into. Weeks start on Monday.
+const bucketKey = (dayKey, interval) => {
+    const d = parseDayKey(dayKey);
+    switch (interval) {
+        case 'day':
+            return dayKey;
+        case 'week': {
+            const offset = (d.getUTCDay() + 6) % 7;
+            return formatUTC(new Date(d.getTime() - offset * DAY_MS));
+        }
+        case 'month':
+            return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-01`;
+        case 'quarter':
+            return `${d.getUTCFullYear()}-${pad(Math.floor(d.getUTCMonth() / 3) * 3 + 1)}-01`;
+        case 'year':
+            return `${d.getUTCFullYear()}-01-01`;
+        default:
+            throw new Error(`Unknown interval: ${interval}`);
+    }
+};
+
+// The bucket that follows `key` (which must already be a bucket start)
+const nextBucket = (key, interval) => {
+    const d = parseDayKey(key);
+    switch (interval) {
+        case 'day':
+            return formatUTC(new Date(d.getTime() + DAY_MS));
+        case 'week':
+            return formatUTC(new Date(d.getTime() + 7 * DAY_MS));
+        case 'month':
+            return formatUTC(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)));
+        case 'quarter':
+            return formatUTC(new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 3, 1)));
+        case 'year':
+            return formatUTC(new Date(Date.UTC(d.getUTCFullYear() + 1, 0, 1)));
+        default:
+            throw new Error(`Unknown interval: ${interval}`);
+    }
+};
+
+// The day key `days` days after (or, when negative, before) `key`
+const addDays = (key, days) => formatUTC(new Date(parseDayKey(key).getTime() + days * DAY_MS));
+
+// Number of days from `first` to `last` inclusive
+const daySpan = (first, last) => Math.round((parseDayKey(last) - parseDayKey(first)) / DAY_MS) + 1;
+
+// Every bucket start from `first` to `last` inclusive
+const bucketRange = (first, last, interval) => {
+    const keys = [];
+    for (let key = first; key <= last; key = nextBucket(key, interval)) keys.push(key);
+    return keys;
+};
+
+module.exports = { INTERVALS, toDayKey, bucketKey, nextBucket, bucketRange, addDays, daySpan };
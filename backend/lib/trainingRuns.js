@@ -0,0 +1,53 @@
+const { db } = require('./db');
+
+// Persistent history of training jobs (the job queue itself is in-memory)
+
+const record = (job) => {
+    const { stagedPath, ...params } = job.params;
+    db.prepare(`INSERT INTO training_runs (job_id, project_id, version_id, file_name, state, params, error, created_at, started_at, finished_at)
+                VALUES (@jobId, @projectId, @versionId, @fileName, @state, @params, @error, @createdAt, @startedAt, @finishedAt)
+                ON CONFLICT(job_id) DO UPDATE SET
+                    version_id = excluded.version_id, state = excluded.state, params = excluded.params,
+                    error = excluded.error, started_at = excluded.started_at, finished_at = excluded.finished_at`)
+        .run({
+            jobId: job.id,
+            projectId: job.params.projectId,
+            versionId: job.params.version || null,
+            fileName: job.params.fileName || null,
+            state: job.state,
+            params: JSON.stringify(params),
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        });
+};
+
+const list = (projectId, limit = 100) => db.prepare('SELECT * FROM training_runs WHERE project_id = ? ORDER BY created_at DESC LIMIT ?')
+    .all(projectId, limit)
+    .map(row => ({
+        jobId: row.job_id,
+        version: row.version_id,
+        fileName: row.file_name,
+        state: row.state,
+        params: JSON.parse(row.params),
+        error: row.error,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.started_at && row.finished_at ? Date.parse(row.finished_at) - Date.parse(row.started_at) : null
+    }));
+
+// The run that produced a model version, or null (e.g. versions migrated from before the history)
+const findByVersion = (versionId) => {
+    const row = db.prepare('SELECT * FROM training_runs WHERE version_id = ? ORDER BY created_at DESC LIMIT 1').get(versionId);
+    return row ? { jobId: row.job_id, params: JSON.parse(row.params) } : null;
+};
+
+// Jobs that were queued or running when the server stopped can never finish
+const markInterrupted = () => {
+    db.prepare(`UPDATE training_runs SET state = 'interrupted', finished_at = ?
+                WHERE state IN ('queued', 'running')`).run(new Date().toISOString());
+};
+
+module.exports = { record, list, findByVersion, markInterrupted };
@@ -0,0 +1,73 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { MODEL_DIR } = require('./python');
+
+// Uploaded CSVs wait in model/uploads/ under generated names until a training
+// job moves them into a model version. This lets the user preview the schema
+// and confirm (with overrides) without uploading the file twice. Files are
+// checked and converted to plain CSV by lib/csvUpload.js once saved.
+
+const STAGING_DIR = path.join(MODEL_DIR, 'uploads');
+// Previews that are never confirmed are deleted after this long
+const STAGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const staged = new Map();
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        fs.mkdirSync(STAGING_DIR, { recursive: true });
+        cb(null, STAGING_DIR);
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${crypto.randomUUID()}.csv`);
+    }
+});
+
+const pruneExpired = () => {
+    const cutoff = Date.now() - STAGE_TTL_MS;
+    staged.forEach((entry, id) => {
+        if (entry.createdAt < cutoff) {
+            fs.rmSync(entry.path, { force: true });
+            staged.delete(id);
+        }
+    });
+};
+
+// Records a multer-saved file for a project. Returns the staged entry.
+const stage = (file, projectId) => {
+    pruneExpired();
+    const entry = {
+        id: path.parse(file.filename).name,
+        projectId,
+        path: file.path,
+        // The dataset keeps its (sanitized) original name inside the version directory
+        fileName: file.csvName,
+        createdAt: Date.now(),
+        profile: null
+    };
+    staged.set(entry.id, entry);
+    return entry;
+};
+
+// Uploads staged in another project are not visible
+const get = (id, projectId) => {
+    const entry = staged.get(id);
+    return entry && entry.projectId === projectId ? entry : undefined;
+};
+
+// Hands the staged file over to a training job; it is no longer previewable
+const take = (id) => {
+    const entry = staged.get(id);
+    staged.delete(id);
+    return entry;
+};
+
+const discard = (id) => {
+    const entry = staged.get(id);
+    if (entry) fs.rmSync(entry.path, { force: true });
+    staged.delete(id);
+};
+
+module.exports = { STAGING_DIR, storage, stage, get, take, discard };
@@ -0,0 +1,116 @@
+"""Regressors train.py can choose from, with the grids used by hyperparameter search.
+
+Names here must match TRAINING_ALGORITHMS in server.js.
+"""
+import itertools
+import random
+import numpy as np
+import pandas as pd
+from sklearn.base import BaseEstimator, RegressorMixin
+from sklearn.ensemble import RandomForestRegressor, GradientBoostingRegressor
+from sklearn.linear_model import Ridge
+from sklearn.pipeline import make_pipeline
+from sklearn.preprocessing import StandardScaler
+
+DEFAULT_ALGORITHM = 'random_forest'
+
+
+class SeasonalNaiveRegressor(BaseEstimator, RegressorMixin):
+    """Baseline: predicts the most recent value seen in the same season slot.
+
+    The slot is `season_feature` (e.g. day_of_week) within each combination of
+    `group_features`. Rows must be passed to fit() in date order. Unseen
+    combinations fall back to the slot alone, then to the last value seen.
+    """
+
+    def __init__(self, season_feature='day_of_week', group_features=()):
+        self.season_feature = season_feature
+        self.group_features = group_features
+
+    def _levels(self, columns):
+        season = [self.season_feature] if self.season_feature in columns else []
+        groups = [c for c in self.group_features if c in columns]
+        levels = [groups + season, season]
+        return [cols for i, cols in enumerate(levels) if cols and cols not in levels[:i]]
+
+    def fit(self, X, y):
+        X = pd.DataFrame(X).reset_index(drop=True)
+        y = np.asarray(y, dtype=float)
+        frame = X.copy()
+        frame['_y'] = y
+        self.lookups_ = []
+        for cols in self._levels(list(X.columns)):
+            last = frame.groupby(cols, sort=False)['_y'].last()
+            self.lookups_.append((cols, {k if isinstance(k, tuple) else (k,): v for k, v in last.items()}))
+        self.fallback_ = float(y[-1]) if len(y) else 0.0
+        return self
+
+    def predict(self, X):
+        X = pd.DataFrame(X).reset_index(drop=True)
+        preds = np.full(len(X), self.fallback_)
+        filled = np.zeros(len(X), dtype=bool)
+        for cols, lookup in self.lookups_:
+            for i, key in enumerate(X[cols].itertuples(index=False, name=None)):
+                if not filled[i] and key in lookup:
+                    preds[i] = lookup[key]
+                    filled[i] = True
+        return preds
+
+
+# build(params, context) -> unfitted estimator. context carries dataset facts
+# (the categorical feature names) that some algorithms need.
+ALGORITHMS = {
+    'random_forest': {
+        'label': 'Random forest',
+        'defaults': {'n_estimators': 100, 'max_depth': None, 'min_samples_leaf': 1},
+        'grid': {'n_estimators': [100, 300], 'max_depth': [None, 10, 20], 'min_samples_leaf': [1, 5]},
+        'build': lambda params, context: RandomForestRegressor(random_state=42, **params),
+    },
+    'gradient_boosting': {
+        'label': 'Gradient boosting',
+        'defaults': {'n_estimators': 100, 'learning_rate': 0.1, 'max_depth': 3},
+        'grid': {'n_estimators': [100, 300], 'learning_rate': [0.05, 0.1], 'max_depth': [2, 3, 5]},
+        'build': lambda params, context: GradientBoostingRegressor(random_state=42, **params),
+    },
+    'ridge': {
+        'label': 'Ridge (linear)',
+        'defaults': {'alpha': 1.0},
+        'grid': {'alpha': [0.1, 1.0, 10.0, 100.0]},
+        'build': lambda params, context: make_pipeline(StandardScaler(), Ridge(**params)),
+    },
+    'seasonal_naive': {
+        'label': 'Seasonal naive',
+        'defaults': {'season_feature': 'day_of_week'},
+        'grid': {'season_feature': ['day_of_week', 'day_of_year']},
+        'build': lambda params, context: SeasonalNaiveRegressor(
+            group_features=tuple(context.get('group_features', ())), **params),
+    },
+}
+
+
+def build_model(name, params, context):
+    return ALGORITHMS[name]['build'](params, context)
+
+
+def candidates(names, search=False, max_candidates=8, seed=42):
+    """(algorithm, params) pairs to compare.
+
+    Without search each algorithm runs with its defaults. With search every
+    grid point is a candidate; if that exceeds max_candidates, the defaults
+    are kept and the rest is sampled.
+    """
+    defaults = [(name, dict(ALGORITHMS[name]['defaults'])) for name in names]
+    if not search:
+        return defaults
+
+    rest = []
+    for name in names:
+        grid = ALGORITHMS[name]['grid']
+        for values in itertools.product(*grid.values()):
+            params = {**ALGORITHMS[name]['defaults'], **dict(zip(grid.keys(), values))}
+            if (name, params) not in defaults:
+                rest.append((name, params))
+    budget = max(max_candidates - len(defaults), 0)
+    if len(rest) > budget:
+        rest = random.Random(seed).sample(rest, budget)
+    return defaults + rest
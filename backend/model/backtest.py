@@ -0,0 +1,88 @@
+"""Rolling-origin (expanding-window) backtesting keyed on the date column.
+
+The last `folds * horizon_days` days are cut into consecutive test windows of
+`horizon_days` each. Every fold trains only on rows dated on or before its
+cutoff and is scored on the window that follows, so no future rows leak into
+training. Features that depend on other rows' targets (history features) are
+recomputed for the test window from the fold's training rows via test_features.
+"""
+import numpy as np
+import pandas as pd
+from evaluation import metrics
+
+# Folds whose training window has fewer rows than this are skipped
+MIN_TRAIN_ROWS = 20
+
+
+def fold_windows(dates, folds, horizon_days):
+    """Yields (cutoff, end) pairs, oldest first."""
+    last = dates.max().normalize()
+    horizon = pd.Timedelta(days=horizon_days)
+    for k in range(folds, 0, -1):
+        cutoff = last - horizon * k
+        yield cutoff, cutoff + horizon
+
+
+def _day(ts):
+    return ts.strftime('%Y-%m-%d')
+
+
+def run_backtest(make_model, X, y, dates, folds, horizon_days, test_features=None):
+    """Fits a fresh model per fold.
+
+    test_features(fold, train, test), if given, returns the test rows' features
+    as they would be known with only the training rows; X[test] otherwise.
+
+    Returns (report, test_index, predictions) where test_index/predictions
+    hold the pooled out-of-sample rows of all folds, for the evaluation report.
+    """
+    fold_reports = []
+    pooled_index = []
+    pooled_preds = []
+    # Dates are compared by day so a window covers whole days
+    days = dates.dt.normalize()
+
+    for number, (cutoff, end) in enumerate(fold_windows(days, folds, horizon_days), start=1):
+        train = (days <= cutoff).to_numpy()
+        test = ((days > cutoff) & (days <= end)).to_numpy()
+        if train.sum() < MIN_TRAIN_ROWS or not test.any():
+            print(f" skipping fold {number}: {int(train.sum())} training rows, {int(test.sum())} test rows")
+            continue
+
+        model = make_model()
+        model.fit(X[train], y[train])
+        X_test = test_features(number, train, test) if test_features else X[test]
+        preds = model.predict(X_test)
+        scores = metrics(y[test], preds)
+        print(f" fold {number}: train to {_day(cutoff)}, test to {_day(end)}, MAE {scores['mae']}")
+        fold_reports.append({
+            'fold': number,
+            'train_start': _day(days[train].min()),
+            'train_end': _day(cutoff),
+            'test_start': _day(days[test].min()),
+            'test_end': _day(end),
+            'train_rows': int(train.sum()),
+            'test_rows': int(test.sum()),
+            **scores,
+        })
+        pooled_index.extend(X.index[test])
+        pooled_preds.extend(preds)
+
+    if not fold_reports:
+        return None, [], []
+
+    maes = np.array([f['mae'] for f in fold_reports], dtype=float)
+    report = {
+        'method': 'expanding_window',
+        'folds_requested': folds,
+        'horizon_days': horizon_days,
+        'folds': fold_reports,
+        'summary': {
+            'folds': len(fold_reports),
+            'mae_mean': round(float(maes.mean()), 4),
+            'mae_std': round(float(maes.std()), 4),
+            'mae_min': round(float(maes.min()), 4),
+            'mae_max': round(float(maes.max()), 4),
+        },
+    }
+    return report, pooled_index, np.array(pooled_preds)
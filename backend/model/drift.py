@@ -0,0 +1,121 @@
+"""Drift check of a model version against the current dataset.
+
+    python drift.py <version_dir> <current.csv> [--recent-days=30]
+
+Compares the newest rows of the current dataset (the last --recent-days days)
+with the data the version was trained on and prints a JSON report:
+
+    psi                population stability index per numeric feature
+    new_category_rate  share of recent rows per categorical (encoders.pkl)
+                       column whose value the model never saw
+    recent_error       MAE on rows dated after the training data, which the
+                       model has never seen, against the MAE from training
+"""
+import argparse
+import json
+import os
+import sys
+import joblib
+import numpy as np
+import pandas as pd
+
+from schema import parse_dates
+from inputs import preprocess
+from features import generated_features
+
+PSI_BINS = 10
+# Keeps empty bins from dividing by zero
+PSI_EPSILON = 1e-4
+
+
+def psi(reference, recent):
+    reference = pd.to_numeric(reference, errors='coerce').dropna()
+    recent = pd.to_numeric(recent, errors='coerce').dropna()
+    if reference.empty or recent.empty:
+        return None
+    # Quantile bins of the training data; open-ended at both sides
+    edges = np.unique(np.quantile(reference, np.linspace(0, 1, PSI_BINS + 1))[1:-1])
+    bins = np.concatenate([[-np.inf], edges, [np.inf]])
+    expected = np.histogram(reference, bins)[0] / len(reference) + PSI_EPSILON
+    actual = np.histogram(recent, bins)[0] / len(recent) + PSI_EPSILON
+    return round(float(np.sum((actual - expected) * np.log(actual / expected))), 6)
+
+
+def check(version_dir, current_file, recent_days):
+    with open(os.path.join(version_dir, 'model_metadata.json')) as f:
+        metadata = json.load(f)
+    model = joblib.load(os.path.join(version_dir, 'sales_model.pkl'))
+    features = joblib.load(os.path.join(version_dir, 'model_features.pkl'))
+    encoders = joblib.load(os.path.join(version_dir, 'encoders.pkl'))
+    history_file = os.path.join(version_dir, 'feature_history.pkl')
+    history = joblib.load(history_file) if os.path.exists(history_file) else None
+
+    date_col = metadata.get('date_column')
+    if not date_col:
+        return {'error': 'The model has no date column, so there is no "newest" data to compare'}
+    reference = pd.read_csv(os.path.join(version_dir, metadata['data_file']))
+    current = pd.read_csv(current_file)
+    reference[date_col], _ = parse_dates(reference[date_col])
+    current[date_col], _ = parse_dates(current[date_col])
+    reference = reference[reference[date_col].notna()]
+    current = current[current[date_col].notna()]
+    if current.empty:
+        return {'error': 'The current dataset has no dated rows'}
+
+    newest = current[date_col].max().normalize()
+    start = newest - pd.Timedelta(days=recent_days - 1)
+    recent = current[current[date_col] >= start]
+
+    # Generated features are not in the uploaded data
+    generated = {g['name'] for g in generated_features(metadata, features)}
+    numeric = [f['name'] for f in metadata['features']
+               if f['type'] == 'numeric' and f['name'] not in generated and f['name'] in current.columns]
+    report = {
+        'reference_rows': int(len(reference)),
+        'recent_rows': int(len(recent)),
+        'window': {'start': start.strftime('%Y-%m-%d'), 'end': newest.strftime('%Y-%m-%d')},
+        'psi': {col: psi(reference[col], recent[col]) for col in numeric},
+        'new_category_rate': {
+            col: round(float((~recent[col].astype(str).isin(le.classes_)).mean()), 6) if len(recent) else None
+            for col, le in encoders.items() if col in recent.columns
+        },
+        'recent_error': None,
+    }
+
+    # Only rows after the training data are truly held out
+    unseen = current[current[date_col] > reference[date_col].max()]
+    target = metadata['target_column']
+    if len(unseen) and target in unseen.columns:
+        rows = unseen.drop(columns=[target]).rename(columns={date_col: 'date'})
+        rows['date'] = rows['date'].dt.strftime('%Y-%m-%d')
+        X, errors, _ = preprocess(rows.reset_index(drop=True), features, encoders, metadata, history)
+        valid = [i for i in range(len(X)) if i not in errors]
+        actual = pd.to_numeric(unseen[target], errors='coerce').to_numpy()[valid]
+        if valid:
+            mae = float(np.nanmean(np.abs(actual - model.predict(X.iloc[valid]))))
+            baseline = (metadata.get('evaluation') or {}).get('metrics', {}).get('mae', metadata.get('mae'))
+            report['recent_error'] = {
+                'rows': len(valid),
+                'mae': round(mae, 4),
+                'baseline_mae': baseline,
+                'ratio': round(mae / baseline, 4) if baseline else None,
+            }
+    return report
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Compare the newest data with a model's training data")
+    parser.add_argument('version_dir')
+    parser.add_argument('current_file')
+    parser.add_argument('--recent-days', type=int, default=30)
+    args = parser.parse_args()
+    try:
+        report = check(args.version_dir, args.current_file, args.recent_days)
+    except Exception as e:
+        report = {'error': f"Drift check failed: {e}"}
+    print(json.dumps(report))
+    sys.exit(1 if 'error' in report else 0)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,91 @@
+"""Evaluation report for a trained model, stored in model_metadata.json.
+
+Covers overall error metrics, the residual distribution, errors broken down
+by each categorical feature, feature importances and a sample of
+predicted-vs-actual points for plotting.
+"""
+import numpy as np
+import pandas as pd
+from sklearn.metrics import mean_absolute_error, mean_squared_error, r2_score
+
+HISTOGRAM_BINS = 20
+MAX_SCATTER_POINTS = 500
+MAX_CATEGORIES = 20
+
+
+def _round(value, digits=4):
+    if value is None or not np.isfinite(value):
+        return None
+    return round(float(value), digits)
+
+
+def metrics(y_true, y_pred):
+    y_true = np.asarray(y_true, dtype=float)
+    y_pred = np.asarray(y_pred, dtype=float)
+    # MAPE is undefined where the actual value is zero; those rows are left out
+    nonzero = y_true != 0
+    mape = np.mean(np.abs((y_true[nonzero] - y_pred[nonzero]) / y_true[nonzero])) * 100 if nonzero.any() else None
+    return {
+        'mae': _round(mean_absolute_error(y_true, y_pred)),
+        'rmse': _round(np.sqrt(mean_squared_error(y_true, y_pred))),
+        'mape': _round(mape),
+        'r2': _round(r2_score(y_true, y_pred)) if len(y_true) > 1 else None,
+        'count': int(len(y_true)),
+    }
+
+
+def residual_distribution(residuals):
+    """Summary statistics and a histogram of actual - predicted."""
+    counts, edges = np.histogram(residuals, bins=HISTOGRAM_BINS)
+    quantiles = np.percentile(residuals, [5, 25, 50, 75, 95])
+    return {
+        'mean': _round(np.mean(residuals)),
+        'std': _round(np.std(residuals)),
+        'quantiles': dict(zip(['p5', 'p25', 'p50', 'p75', 'p95'], (_round(q) for q in quantiles))),
+        'histogram': [
+            {'from': _round(edges[i]), 'to': _round(edges[i + 1]), 'count': int(counts[i])}
+            for i in range(len(counts))
+        ],
+    }
+
+
+def category_breakdown(categories, y_true, y_pred):
+    """Per-value metrics for each categorical column, largest groups first."""
+    frame = pd.DataFrame({'actual': np.asarray(y_true, dtype=float), 'predicted': np.asarray(y_pred, dtype=float)})
+    breakdown = {}
+    for col, values in categories.items():
+        frame['group'] = np.asarray(values).astype(str)
+        sizes = frame['group'].value_counts().head(MAX_CATEGORIES)
+        breakdown[col] = [
+            {'value': value, **metrics(group['actual'], group['predicted'])}
+            for value, group in ((v, frame[frame['group'] == v]) for v in sizes.index)
+        ]
+    return breakdown
+
+
+def scatter_sample(y_true, y_pred, seed=42):
+    y_true = np.asarray(y_true, dtype=float)
+    y_pred = np.asarray(y_pred, dtype=float)
+    idx = np.arange(len(y_true))
+    if len(idx) > MAX_SCATTER_POINTS:
+        idx = np.sort(np.random.default_rng(seed).choice(idx, MAX_SCATTER_POINTS, replace=False))
+    return [{'actual': _round(y_true[i]), 'predicted': _round(y_pred[i])} for i in idx]
+
+
+def feature_importances(model, feature_names):
+    if not hasattr(model, 'feature_importances_'):
+        return []
+    pairs = sorted(zip(feature_names, model.feature_importances_), key=lambda p: p[1], reverse=True)
+    return [{'feature': name, 'importance': _round(value, 6)} for name, value in pairs]
+
+
+def evaluate(model, feature_names, y_true, y_pred, categories):
+    """categories maps each categorical feature to its raw (unencoded) test values."""
+    residuals = np.asarray(y_true, dtype=float) - np.asarray(y_pred, dtype=float)
+    return {
+        'metrics': metrics(y_true, y_pred),
+        'residuals': residual_distribution(residuals),
+        'by_category': category_breakdown(categories, y_true, y_pred),
+        'feature_importances': feature_importances(model, feature_names),
+        'predicted_vs_actual': scatter_sample(y_true, y_pred),
+    }
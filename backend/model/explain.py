@@ -0,0 +1,100 @@
+"""Per-prediction explanations: how much each feature moved one prediction
+away from a baseline.
+
+Tree ensembles (random forest, gradient boosting) use tree-path
+decomposition: along each tree's decision path, the change in node value at a
+split is credited to the split feature. The baseline is the training mean
+(the root value) and baseline + contributions equals the prediction exactly.
+
+Other models use permutation sampling, an approximation of Shapley values.
+Starting from a baseline row (training medians and most frequent
+categories), the input's values are switched in one feature at a time in
+random orders; each switch's change in prediction is credited to that
+feature and averaged over the orders.
+"""
+import random
+import numpy as np
+import pandas as pd
+from sklearn.ensemble import RandomForestRegressor, GradientBoostingRegressor
+
+PERMUTATIONS = 20
+
+
+def _tree_path(tree, x):
+    """(root value, per-feature contributions) of one fitted regression tree."""
+    t = tree.tree_
+    contributions = np.zeros(len(x))
+    node = 0
+    while t.children_left[node] != -1:
+        feature = t.feature[node]
+        # Trees compare in float32
+        go_left = np.float32(x[feature]) <= t.threshold[node]
+        child = t.children_left[node] if go_left else t.children_right[node]
+        contributions[feature] += t.value[child][0][0] - t.value[node][0][0]
+        node = child
+    return t.value[0][0][0], contributions
+
+
+def tree_path_contributions(model, X_row):
+    x = X_row.to_numpy(dtype=float)[0]
+    if isinstance(model, RandomForestRegressor):
+        paths = [_tree_path(tree, x) for tree in model.estimators_]
+        return float(np.mean([root for root, _ in paths])), np.mean([c for _, c in paths], axis=0)
+
+    # Gradient boosting: init prediction + learning_rate * sum of the trees
+    paths = [_tree_path(tree, x) for tree in model.estimators_[:, 0]]
+    init = 0.0 if model.init_ == 'zero' else float(model.init_.predict(X_row)[0])
+    baseline = init + model.learning_rate * sum(root for root, _ in paths)
+    return float(baseline), model.learning_rate * np.sum([c for _, c in paths], axis=0)
+
+
+def permutation_contributions(model, X_row, baseline_row, permutations=PERMUTATIONS, seed=42):
+    n = X_row.shape[1]
+    rng = random.Random(seed)
+    x = X_row.iloc[0].to_numpy()
+    base = baseline_row.iloc[0].to_numpy()
+
+    # Every step of every order is scored in one predict() call
+    orders = []
+    steps = []
+    for _ in range(permutations):
+        order = list(range(n))
+        rng.shuffle(order)
+        current = base.copy()
+        for j in order:
+            current = current.copy()
+            current[j] = x[j]
+            steps.append(current)
+        orders.append(order)
+    preds = model.predict(pd.DataFrame(steps, columns=X_row.columns).astype(X_row.dtypes.to_dict()))
+    baseline = float(model.predict(baseline_row)[0])
+
+    totals = np.zeros(n)
+    k = 0
+    for order in orders:
+        previous = baseline
+        for j in order:
+            totals[j] += preds[k] - previous
+            previous = preds[k]
+            k += 1
+    return baseline, totals / permutations
+
+
+def explain(model, X_row, baseline_row, display_values):
+    """X_row and baseline_row are one-row frames of the model's features;
+    display_values maps each feature to the input value as the user knows it
+    (decoded categories).
+    """
+    if isinstance(model, (RandomForestRegressor, GradientBoostingRegressor)):
+        method = 'tree_path'
+        baseline, contributions = tree_path_contributions(model, X_row)
+    else:
+        method = 'permutation'
+        baseline, contributions = permutation_contributions(model, X_row, baseline_row)
+
+    items = [
+        {'feature': name, 'value': display_values.get(name), 'contribution': round(float(c), 6)}
+        for name, c in zip(X_row.columns, contributions)
+    ]
+    items.sort(key=lambda item: abs(item['contribution']), reverse=True)
+    return {'method': method, 'baseline': round(baseline, 6), 'contributions': items}
@@ -0,0 +1,183 @@
+"""Feature pipeline shared by training (train.py) and inference (inputs.py), so
+both derive generated features the same way.
+
+Generated features, listed in model_metadata.json as "generated_features":
+
+    calendar  from the date: day_of_week, month, day_of_year, week_of_year,
+              quarter, is_month_start, is_month_end
+    holiday   from the date and --holiday-country (see holidays.py):
+              is_holiday, days_to_holiday (capped at HOLIDAY_HORIZON_DAYS)
+    history   from the target: <target>_lag_1 and <target>_lag_7 (its daily
+              mean 1 and 7 days before the row's date) and
+              <target>_rolling_mean_7 / _28 (the mean over the 7 / 28 days
+              before it), within the row's history group: the total series,
+              or the row's values of up to MAX_GROUP_COLUMNS chosen
+              low-cardinality categorical columns (--history-group)
+
+History features are looked up in a table of the training data's daily means
+(feature_history.pkl), for training rows and prediction input alike. Dates up
+to HISTORY_DAYS_AHEAD days after the training data still find some of them;
+prediction input may also send them itself.
+"""
+import numpy as np
+import pandas as pd
+
+from holidays import holidays
+from schema import DATE_HINTS
+
+CALENDAR = {
+    'day_of_week': lambda d: d.dt.dayofweek,
+    'month': lambda d: d.dt.month,
+    'day_of_year': lambda d: d.dt.dayofyear,
+    'week_of_year': lambda d: d.dt.isocalendar().week.astype(float),
+    'quarter': lambda d: d.dt.quarter,
+    'is_month_start': lambda d: d.dt.is_month_start.astype(int),
+    'is_month_end': lambda d: d.dt.is_month_end.astype(int),
+}
+CALENDAR_FEATURES = list(CALENDAR)
+HOLIDAY_FEATURES = ['is_holiday', 'days_to_holiday']
+HOLIDAY_HORIZON_DAYS = 30
+LAGS = [1, 7]
+ROLLING_WINDOWS = [7, 28]
+HISTORY_DAYS_AHEAD = max(LAGS)
+# Bounds on --history-group; must match server.js. Every group needs enough days
+# of its own for lags to mean anything, and the table has a row per group and day.
+MAX_GROUP_COLUMNS = 2
+MAX_GROUPS = 50
+# Joins a row's categorical values into its history group
+GROUP_SEPARATOR = '\x1f'
+
+DESCRIPTIONS = {
+    'day_of_week': 'Day of the week (0 = Monday)',
+    'month': 'Month (1-12)',
+    'day_of_year': 'Day of the year',
+    'week_of_year': 'ISO week of the year',
+    'quarter': 'Quarter (1-4)',
+    'is_month_start': 'First day of the month',
+    'is_month_end': 'Last day of the month',
+    'is_holiday': 'Public holiday',
+    'days_to_holiday': f'Days until the next public holiday (at most {HOLIDAY_HORIZON_DAYS})',
+}
+
+
+def history_names(target):
+    return [f'{target}_lag_{k}' for k in LAGS] + [f'{target}_rolling_mean_{w}' for w in ROLLING_WINDOWS]
+
+
+def plan(target, holiday_country=None):
+    """The generated features of a model with a date column, as listed in its metadata."""
+    generated = [{'name': name, 'kind': 'calendar', 'source': 'date', 'description': DESCRIPTIONS[name]}
+                 for name in CALENDAR_FEATURES]
+    if holiday_country:
+        generated += [{'name': name, 'kind': 'holiday', 'source': 'date',
+                       'description': f'{DESCRIPTIONS[name]} in {holiday_country}'} for name in HOLIDAY_FEATURES]
+    lag_names, rolling_names = history_names(target)[:len(LAGS)], history_names(target)[len(LAGS):]
+    generated += [{'name': name, 'kind': 'lag', 'source': 'target',
+                   'description': f'Mean {target} {k} day{"s" if k > 1 else ""} earlier in the same group'}
+                  for name, k in zip(lag_names, LAGS)]
+    generated += [{'name': name, 'kind': 'rolling_mean', 'source': 'target',
+                   'description': f'Mean {target} over the {w} days before, in the same group'}
+                  for name, w in zip(rolling_names, ROLLING_WINDOWS)]
+    return generated
+
+
+def generated_features(metadata, features):
+    """The metadata's generated features. Models trained before the pipeline
+    existed only derived the calendar features they list as time_features."""
+    if 'generated_features' in metadata:
+        return metadata['generated_features']
+    if not metadata.get('date_column'):
+        return []
+    names = metadata.get('time_features') or [c for c in ('day_of_week', 'month', 'day_of_year') if c in features]
+    return [{'name': name, 'kind': 'calendar', 'source': 'date'} for name in names]
+
+
+def check_group_columns(df, columns):
+    """Error message if the columns cannot group the history features, else None."""
+    if len(columns) > MAX_GROUP_COLUMNS:
+        return f"At most {MAX_GROUP_COLUMNS} history group columns are allowed"
+    for col in columns:
+        if col not in df.columns:
+            return f"History group column '{col}' is the date column"
+        if pd.api.types.is_numeric_dtype(df[col]):
+            return f"History group column '{col}' is numeric; choose a categorical column"
+        parsed = pd.to_datetime(df[col], errors='coerce', format='mixed')
+        if any(hint in col.lower() for hint in DATE_HINTS) or parsed.notna().mean() > 0.5:
+            return f"History group column '{col}' holds dates; choose a categorical column"
+    groups = len(df[columns].drop_duplicates()) if columns else 1
+    if groups > MAX_GROUPS:
+        return f"History group columns {columns} form {groups} groups; at most {MAX_GROUPS} are allowed"
+    return None
+
+
+def group_keys(df, group_features):
+    """Each row's history group: its categorical values joined together."""
+    if not group_features:
+        return pd.Series('', index=df.index)
+    columns = [df[c].astype(str) if c in df.columns else pd.Series('', index=df.index) for c in group_features]
+    return pd.concat(columns, axis=1).agg(GROUP_SEPARATOR.join, axis=1)
+
+
+def holiday_features(dates, country):
+    days = dates.dt.normalize()
+    result = pd.DataFrame(np.nan, index=dates.index, columns=HOLIDAY_FEATURES)
+    valid = days.notna()
+    if not valid.any():
+        return result
+    # One more year so the last days of the data see next year's first holidays
+    years = range(days[valid].min().year, days[valid].max().year + 2)
+    calendar = np.array(sorted(holidays(country, years)), dtype='datetime64[D]')
+    values = days[valid].to_numpy().astype('datetime64[D]')
+    position = np.searchsorted(calendar, values)
+    upcoming = calendar[np.minimum(position, len(calendar) - 1)]
+    distance = np.where(position < len(calendar), (upcoming - values).astype(int), HOLIDAY_HORIZON_DAYS)
+    distance = np.minimum(distance, HOLIDAY_HORIZON_DAYS)
+    result.loc[valid, 'is_holiday'] = (distance == 0).astype(int)
+    result.loc[valid, 'days_to_holiday'] = distance
+    return result
+
+
+def build_history(dates, keys, y, target):
+    """History features per (day, group), from the training rows' daily means.
+    Each group gets a row for every day from its first one to HISTORY_DAYS_AHEAD
+    days after its last; saved as feature_history.pkl without the rows that
+    have no history at all."""
+    frame = pd.DataFrame({'group': keys.to_numpy(), 'day': dates.dt.normalize().to_numpy(), 'y': y.to_numpy()})
+    daily = frame.groupby(['group', 'day'])['y'].mean()
+    spans = daily.reset_index().groupby('group')['day'].agg(['min', 'max'])
+    ahead = pd.Timedelta(days=HISTORY_DAYS_AHEAD)
+    grid = pd.concat([pd.DataFrame({'group': group, 'day': pd.date_range(first, last + ahead, freq='D')})
+                      for group, first, last in spans.itertuples()])
+    daily = daily.reindex(pd.MultiIndex.from_frame(grid))
+    by_group = daily.groupby(level='group')
+    lag_names, rolling_names = history_names(target)[:len(LAGS)], history_names(target)[len(LAGS):]
+    lookup = pd.DataFrame({name: by_group.shift(k) for name, k in zip(lag_names, LAGS)})
+    # The day itself is never part of its own history
+    previous = by_group.shift(1)
+    for name, w in zip(rolling_names, ROLLING_WINDOWS):
+        lookup[name] = previous.groupby(level='group').rolling(w, min_periods=1).mean().droplevel(0)
+    lookup = lookup.dropna(how='all').swaplevel().sort_index()
+    lookup.index.names = ['day', 'group']
+    return lookup
+
+
+def generate(dates, keys, generated, holiday_country=None, history=None):
+    """Values of the generated features for rows with the given (parsed)
+    dates and history groups. Features that cannot be derived for a row are NaN:
+    rows without a date, and history the lookup does not have."""
+    result = pd.DataFrame(index=dates.index)
+    names = [g['name'] for g in generated]
+    calendar = [g['name'] for g in generated if g['kind'] == 'calendar']
+    for name in calendar:
+        result[name] = CALENDAR[name](dates).where(dates.notna())
+    if any(g['kind'] == 'holiday' for g in generated):
+        result = result.join(holiday_features(dates, holiday_country))
+    target_features = [g['name'] for g in generated if g['source'] == 'target']
+    if target_features:
+        if history is None:
+            values = pd.DataFrame(np.nan, index=dates.index, columns=target_features)
+        else:
+            index = pd.MultiIndex.from_arrays([dates.dt.normalize(), keys], names=['day', 'group'])
+            values = history.reindex(index)[target_features].set_axis(dates.index)
+        result = result.join(values)
+    return result[names]
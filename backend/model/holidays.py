@@ -0,0 +1,131 @@
+"""Offline public holiday calendars, computed from rules so no network or
+package is needed.
+
+Each country lists its nationwide holidays as fixed dates, dates relative to
+Easter Sunday or the nth weekday of a month. Regional holidays and
+substitute days for holidays that fall on a weekend are not included.
+
+Codes here must match HOLIDAY_COUNTRIES in server.js.
+"""
+from datetime import date, timedelta
+
+MON, TUE, WED, THU, FRI, SAT, SUN = range(7)
+
+
+def easter(year):
+    """Easter Sunday of the Gregorian calendar (anonymous Gregorian algorithm)."""
+    a = year % 19
+    b, c = divmod(year, 100)
+    d, e = divmod(b, 4)
+    f = (b + 8) // 25
+    g = (b - f + 1) // 3
+    h = (19 * a + b - d - g + 15) % 30
+    i, k = divmod(c, 4)
+    l = (32 + 2 * e + 2 * i - h - k) % 7
+    m = (a + 11 * h + 22 * l) // 451
+    month, day = divmod(h + l - 7 * m + 114, 31)
+    return date(year, month, day + 1)
+
+
+def nth_weekday(year, month, weekday, n):
+    """The nth (1-based) weekday of a month; n=-1 is the last one."""
+    if n > 0:
+        first = date(year, month, 1)
+        return first + timedelta(days=(weekday - first.weekday()) % 7 + 7 * (n - 1))
+    last = date(year + month // 12, month % 12 + 1, 1) - timedelta(days=1)
+    return last - timedelta(days=(last.weekday() - weekday) % 7)
+
+
+def fixed(month, day, name, since=None):
+    return lambda year: (date(year, month, day), name) if since is None or year >= since else None
+
+
+def weekday(month, day_of_week, n, name):
+    return lambda year: (nth_weekday(year, month, day_of_week, n), name)
+
+
+def from_easter(offset, name):
+    return lambda year: (easter(year) + timedelta(days=offset), name)
+
+
+def victoria_day(year):
+    # The last Monday before May 25
+    may_24 = date(year, 5, 24)
+    return may_24 - timedelta(days=may_24.weekday()), 'Victoria Day'
+
+
+RULES = {
+    'US': [
+        fixed(1, 1, "New Year's Day"),
+        weekday(1, MON, 3, 'Martin Luther King Jr. Day'),
+        weekday(2, MON, 3, "Presidents' Day"),
+        weekday(5, MON, -1, 'Memorial Day'),
+        fixed(6, 19, 'Juneteenth', since=2021),
+        fixed(7, 4, 'Independence Day'),
+        weekday(9, MON, 1, 'Labor Day'),
+        weekday(10, MON, 2, 'Columbus Day'),
+        fixed(11, 11, 'Veterans Day'),
+        weekday(11, THU, 4, 'Thanksgiving'),
+        fixed(12, 25, 'Christmas Day'),
+    ],
+    'GB': [
+        fixed(1, 1, "New Year's Day"),
+        from_easter(-2, 'Good Friday'),
+        from_easter(1, 'Easter Monday'),
+        weekday(5, MON, 1, 'Early May bank holiday'),
+        weekday(5, MON, -1, 'Spring bank holiday'),
+        weekday(8, MON, -1, 'Summer bank holiday'),
+        fixed(12, 25, 'Christmas Day'),
+        fixed(12, 26, 'Boxing Day'),
+    ],
+    'DE': [
+        fixed(1, 1, 'Neujahr'),
+        from_easter(-2, 'Karfreitag'),
+        from_easter(1, 'Ostermontag'),
+        fixed(5, 1, 'Tag der Arbeit'),
+        from_easter(39, 'Christi Himmelfahrt'),
+        from_easter(50, 'Pfingstmontag'),
+        fixed(10, 3, 'Tag der Deutschen Einheit'),
+        fixed(12, 25, 'Erster Weihnachtstag'),
+        fixed(12, 26, 'Zweiter Weihnachtstag'),
+    ],
+    'FR': [
+        fixed(1, 1, "Jour de l'an"),
+        from_easter(1, 'Lundi de Pâques'),
+        fixed(5, 1, 'Fête du Travail'),
+        fixed(5, 8, 'Victoire 1945'),
+        from_easter(39, 'Ascension'),
+        from_easter(50, 'Lundi de Pentecôte'),
+        fixed(7, 14, 'Fête nationale'),
+        fixed(8, 15, 'Assomption'),
+        fixed(11, 1, 'Toussaint'),
+        fixed(11, 11, 'Armistice 1918'),
+        fixed(12, 25, 'Noël'),
+    ],
+    'CA': [
+        fixed(1, 1, "New Year's Day"),
+        from_easter(-2, 'Good Friday'),
+        victoria_day,
+        fixed(7, 1, 'Canada Day'),
+        weekday(9, MON, 1, 'Labour Day'),
+        weekday(10, MON, 2, 'Thanksgiving'),
+        fixed(11, 11, 'Remembrance Day'),
+        fixed(12, 25, 'Christmas Day'),
+        fixed(12, 26, 'Boxing Day'),
+    ],
+}
+
+COUNTRIES = sorted(RULES)
+
+
+def holidays(country, years):
+    """{date: name} of a country's holidays in the given years."""
+    if country not in RULES:
+        raise ValueError(f"Unknown holiday country {country!r}; available: {', '.join(COUNTRIES)}")
+    calendar = {}
+    for year in years:
+        for rule in RULES[country]:
+            holiday = rule(year)
+            if holiday:
+                calendar[holiday[0]] = holiday[1]
+    return calendar
@@ -0,0 +1,116 @@
+"""Turns raw prediction input into a model's feature matrix, checked against
+the version's model_metadata.json. Shared by the prediction worker and the
+drift check.
+"""
+import pandas as pd
+
+from schema import OTHER_CATEGORY
+from features import generated_features, group_keys, generate
+
+
+def is_missing(series):
+    return series.isna() | (series.astype(str).str.strip() == '')
+
+
+def preprocess(df, features, encoders, metadata, history=None):
+    """Turns raw input rows into the model's feature matrix, checked against
+    the version's model_metadata.json. history is the version's
+    feature_history.pkl, if it has one.
+
+    Returns (X, errors, warnings). Both map a row index to a list of
+    {"field", "code", "message"} issues. Rows with errors cannot be scored
+    (they are still present in X); warnings record what was imputed,
+    substituted or ignored.
+    """
+    errors = {}
+    warnings = {}
+
+    def add(target, rows, field, code, message):
+        for i in rows:
+            target.setdefault(i, []).append({
+                'field': field,
+                'code': code,
+                'message': message(i) if callable(message) else message,
+            })
+
+    feature_meta = {f['name']: f for f in metadata.get('features', [])}
+    strategy = metadata.get('unknown_category_strategy')
+    date_column = metadata.get('date_column')
+    generated = [g for g in generated_features(metadata, features) if g['name'] in features]
+    time_features = [g['name'] for g in generated if g['source'] == 'date']
+    history_features = [g['name'] for g in generated if g['source'] == 'target']
+    empty = pd.Series([None] * len(df), index=df.index, dtype=object)
+    X = pd.DataFrame(index=df.index)
+
+    # 1. Fields the model does not use are ignored (the target is expected in scored files)
+    date_fields = [c for c in ('date', date_column) if c and c in df.columns]
+    for col in df.columns:
+        if col not in features and col not in date_fields and col != metadata.get('target_column'):
+            add(warnings, df.index[~is_missing(df[col])], col, 'unknown_field',
+                f"{col!r} is not a model feature and was ignored")
+
+    # 2. A date fills in the features generated from it, and looks up the target
+    # history of the row's group unless the input sends those values itself
+    if date_fields:
+        date_field = date_fields[0]
+        raw = df[date_field]
+        parsed = pd.to_datetime(raw, errors='coerce')
+        add(errors, df.index[parsed.isna() & ~is_missing(raw)], date_field, 'invalid_date',
+            lambda i: f"Invalid date: {raw[i]!r}")
+        keys = group_keys(df, metadata.get('history_group_features', []))
+        derived = generate(parsed, keys, generated, metadata.get('holiday_country'), history)
+        df = df.copy()
+        for col in time_features:
+            df[col] = derived[col].where(parsed.notna(), df[col] if col in df.columns else None)
+        for col in history_features:
+            df[col] = df[col].where(~is_missing(df[col]), derived[col]) if col in df.columns else derived[col]
+
+    # 3. Categoricals: unseen values follow the strategy chosen at train time
+    for col, le in encoders.items():
+        if col not in features:
+            continue
+        codes = {label: code for code, label in enumerate(le.classes_)}
+        raw = df[col] if col in df.columns else empty
+        missing = is_missing(raw)
+        values = raw.astype(str)
+        unknown = ~values.isin(codes.keys()) & ~missing
+
+        if strategy == 'other' and OTHER_CATEGORY in codes:
+            fallback = OTHER_CATEGORY
+        else:
+            # Models trained before strategies existed fall back to the first class, as they always did
+            fallback = feature_meta.get(col, {}).get('most_frequent', le.classes_[0])
+
+        if strategy == 'error':
+            add(errors, df.index[missing], col, 'required', f"{col!r} is required")
+            add(errors, df.index[unknown], col, 'unknown_category',
+                lambda i: f"Unknown {col} {values[i]!r}: not seen in training")
+        else:
+            add(warnings, df.index[missing], col, 'imputed', f"{col!r} was missing; used {fallback!r}")
+            add(warnings, df.index[unknown], col, 'unknown_category',
+                lambda i: f"Unknown {col} {values[i]!r}: treated as {fallback!r}")
+        X[col] = values.where(~missing & ~unknown, fallback).map(codes).fillna(0).astype(int)
+
+    # 4. Numerics may arrive as strings (e.g. from CSV); missing ones get the training median
+    for col in features:
+        if col in encoders:
+            continue
+        raw = df[col] if col in df.columns else empty
+        missing = is_missing(raw)
+        numeric = pd.to_numeric(raw.where(~missing), errors='coerce')
+        add(errors, df.index[numeric.isna() & ~missing], col, 'invalid_type',
+            lambda i: f"{col!r} must be numeric, got {raw[i]!r}")
+        if col in time_features:
+            add(errors, df.index[missing], col, 'required', f"{col!r} is required (or send {date_column!r})")
+        elif col in history_features:
+            fill = feature_meta.get(col, {}).get('impute', 0)
+            add(warnings, df.index[missing], col, 'imputed',
+                f"No {col!r} in the training history for this date and group; used {fill}")
+            numeric = numeric.where(~missing, fill)
+        else:
+            fill = feature_meta.get(col, {}).get('impute', 0)
+            add(warnings, df.index[missing], col, 'imputed', f"{col!r} was missing; used {fill}")
+            numeric = numeric.where(~missing, fill)
+        X[col] = numeric.fillna(0)
+
+    return X[features], errors, warnings
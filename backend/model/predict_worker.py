@@ -0,0 +1,166 @@
+"""Long-lived prediction worker.
+
+Talks to the Node server over stdio using newline-delimited JSON frames:
+
+    request:  {"id": 1, "type": "predict", "version_dir": "...", "input": {...}, "explain": false}
+    response: {"id": 1, "ok": true, "result": {"prediction": 123.4, "warnings": [...]}}
+              {"id": 1, "ok": true, "result": {"error": "...", "errors": [...], "warnings": [...]}}
+              {"id": 1, "ok": false, "error": "..."}
+
+Invalid input comes back as a result with structured "errors"; "ok": false
+is reserved for failures of the worker itself. With "explain": true a scored
+result also carries "explanation" (per-feature contributions, see explain.py).
+
+Other request types: "predict_batch" (a list of "rows", each scored or
+reported with its own error), "load" (force (re)load of a version's
+artifacts) and "ping". Models are cached per version directory, so the
+interpreter start-up and artifact loading are paid once instead of on every
+request.
+"""
+import sys
+import json
+import os
+import traceback
+
+# Reserve the real stdout for protocol frames; anything printed by libraries
+# goes to stderr so it can never corrupt a frame.
+PROTOCOL_OUT = sys.stdout
+sys.stdout = sys.stderr
+
+import joblib
+import pandas as pd
+import numpy as np
+
+from inputs import preprocess
+from explain import explain
+
+MAX_CACHED_VERSIONS = 3
+
+# version_dir -> (model, features, encoders, metadata, history), most recently used last
+cache = {}
+
+
+def load_version(version_dir, force=False):
+    if not force and version_dir in cache:
+        artifacts = cache.pop(version_dir)
+        cache[version_dir] = artifacts
+        return artifacts
+
+    with open(os.path.join(version_dir, 'model_metadata.json')) as f:
+        metadata = json.load(f)
+    artifacts = (
+        joblib.load(os.path.join(version_dir, 'sales_model.pkl')),
+        joblib.load(os.path.join(version_dir, 'model_features.pkl')),
+        joblib.load(os.path.join(version_dir, 'encoders.pkl')),
+        metadata,
+        load_history(version_dir),
+    )
+    cache.pop(version_dir, None)
+    cache[version_dir] = artifacts
+    while len(cache) > MAX_CACHED_VERSIONS:
+        cache.pop(next(iter(cache)))
+    return artifacts
+
+
+def load_history(version_dir):
+    """The version's target history for generated features; older versions have none."""
+    path = os.path.join(version_dir, 'feature_history.pkl')
+    return joblib.load(path) if os.path.exists(path) else None
+
+
+def predict_rows(rows, version_dir):
+    """Scores a list of input dicts. One bad row never fails the others.
+
+    Every result carries its row's warnings; failed rows also carry the
+    structured errors and a combined message in "error".
+    """
+    model, features, encoders, metadata, history = load_version(version_dir)
+    X, errors, warnings = preprocess(pd.DataFrame(rows, index=range(len(rows))), features, encoders, metadata, history)
+
+    results = [None] * len(rows)
+    for i, issues in errors.items():
+        results[i] = {
+            'row': i,
+            'error': '; '.join(issue['message'] for issue in issues),
+            'errors': issues,
+            'warnings': warnings.get(i, []),
+        }
+    valid = [i for i in range(len(rows)) if i not in errors]
+    if valid:
+        try:
+            predictions = model.predict(X.iloc[valid])
+            for i, p in zip(valid, predictions):
+                results[i] = {'row': i, 'prediction': float(p), 'warnings': warnings.get(i, [])}
+        except Exception:
+            # Isolate the offending rows
+            for i in valid:
+                try:
+                    prediction = float(model.predict(X.iloc[[i]])[0])
+                    results[i] = {'row': i, 'prediction': prediction, 'warnings': warnings.get(i, [])}
+                except Exception as e:
+                    results[i] = {'row': i, 'error': str(e), 'warnings': warnings.get(i, [])}
+    return results
+
+
+def baseline_input(metadata):
+    """The typical row: training medians and most frequent categories."""
+    return {
+        f['name']: f.get('most_frequent') if f['type'] == 'categorical' else f.get('impute', 0)
+        for f in metadata.get('features', [])
+    }
+
+
+def explain_input(input_row, version_dir):
+    model, features, encoders, metadata, history = load_version(version_dir)
+    frame = pd.DataFrame([input_row, baseline_input(metadata)], index=[0, 1])
+    X, _, _ = preprocess(frame, features, encoders, metadata, history)
+    # Show categories as their labels, not their codes
+    display = {
+        col: encoders[col].classes_[int(X.at[0, col])] if col in encoders else float(X.at[0, col])
+        for col in features
+    }
+    return explain(model, X.iloc[[0]], X.iloc[[1]], display)
+
+
+def handle(request):
+    kind = request.get('type')
+    if kind == 'ping':
+        return {'pong': True}
+    if kind == 'load':
+        load_version(request['version_dir'], force=True)
+        return {'loaded': request['version_dir']}
+    if kind == 'predict':
+        # Invalid input is a result ({"errors": [...]}), not a worker failure
+        result = predict_rows([request.get('input') or {}], request['version_dir'])[0]
+        result.pop('row')
+        if request.get('explain') and 'prediction' in result:
+            result['explanation'] = explain_input(request.get('input') or {}, request['version_dir'])
+        return result
+    if kind == 'predict_batch':
+        return {'results': predict_rows(request.get('rows') or [], request['version_dir'])}
+    raise ValueError(f"Unknown request type: {kind}")
+
+
+def send(frame):
+    PROTOCOL_OUT.write(json.dumps(frame) + '\n')
+    PROTOCOL_OUT.flush()
+
+
+def main():
+    send({'type': 'ready', 'pid': os.getpid()})
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        request_id = None
+        try:
+            request = json.loads(line)
+            request_id = request.get('id')
+            send({'id': request_id, 'ok': True, 'result': handle(request)})
+        except Exception as e:
+            traceback.print_exc()
+            send({'id': request_id, 'ok': False, 'error': str(e)})
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,130 @@
+"""Column detection and dataset profiling shared by training and upload preview.
+
+Run as a script to profile a CSV without training:
+
+    python schema.py <file.csv>
+
+prints a JSON report (row count, per-column types, null rates, cardinality,
+unparseable dates and the detected date / target columns).
+"""
+import sys
+import json
+import pandas as pd
+
+DATE_HINTS = ['date', 'time', 'year']
+TARGET_HINTS = ['sales', 'revenue', 'profit', 'amount', 'total', 'price']
+# How prediction treats a category that was not seen in training:
+#   error          reject the row
+#   most_frequent  use the most frequent training category
+#   other          use OTHER_CATEGORY, which training fills with rare categories
+UNKNOWN_STRATEGIES = ['error', 'most_frequent', 'other']
+OTHER_CATEGORY = '__other__'
+
+
+def detect_date_column(df):
+    for col in df.columns:
+        if any(hint in col.lower() for hint in DATE_HINTS):
+            return col
+
+    # Fallback: look for object column that parses as date
+    for col in df.select_dtypes(include=['object']).columns:
+        try:
+            pd.to_datetime(df[col], errors='raise')
+            return col
+        except (ValueError, TypeError):
+            pass
+    return None
+
+
+def detect_target_column(df, exclude=()):
+    candidates = [c for c in df.columns if c not in exclude]
+
+    # First check for name matches, in priority order
+    for hint in TARGET_HINTS:
+        for col in candidates:
+            if hint in col.lower() and pd.api.types.is_numeric_dtype(df[col]):
+                return col
+
+    # Fallback: Last numeric column
+    numeric_cols = [c for c in candidates if pd.api.types.is_numeric_dtype(df[c])]
+    return numeric_cols[-1] if numeric_cols else None
+
+
+def parse_dates(series):
+    """Returns (parsed, unparseable_mask) for a raw date column."""
+    parsed = pd.to_datetime(series, errors='coerce')
+    return parsed, parsed.isna() & series.notna()
+
+
+def column_type(series):
+    return 'numeric' if pd.api.types.is_numeric_dtype(series) else 'categorical'
+
+
+def profile(df):
+    date_col = detect_date_column(df)
+    target_col = detect_target_column(df, exclude=[date_col] if date_col else [])
+
+    columns = []
+    for col in df.columns:
+        series = df[col]
+        info = {
+            "name": col,
+            "type": 'date' if col == date_col else column_type(series),
+            "null_count": int(series.isna().sum()),
+            "null_rate": round(float(series.isna().mean()), 4) if len(df) else 0.0,
+            "cardinality": int(series.nunique(dropna=True)),
+            "examples": [str(v) for v in series.dropna().unique()[:5]]
+        }
+        if info["type"] == 'numeric':
+            info["min"] = float(series.min()) if series.notna().any() else None
+            info["max"] = float(series.max()) if series.notna().any() else None
+        columns.append(info)
+
+    report = {
+        "rows": int(len(df)),
+        "columns": columns,
+        "detected": {"date_column": date_col, "target_column": target_col},
+        "date_summary": None,
+        "warnings": []
+    }
+
+    if date_col:
+        parsed, unparseable = parse_dates(df[date_col])
+        report["date_summary"] = {
+            "column": date_col,
+            "unparseable_count": int(unparseable.sum()),
+            "unparseable_examples": [str(v) for v in df.loc[unparseable, date_col].unique()[:5]],
+            "min": parsed.min().isoformat() if parsed.notna().any() else None,
+            "max": parsed.max().isoformat() if parsed.notna().any() else None
+        }
+        if unparseable.any():
+            report["warnings"].append(
+                f"{int(unparseable.sum())} rows have unparseable dates in '{date_col}' and will be dropped")
+    else:
+        report["warnings"].append("No date column detected. Time-based features will be skipped.")
+
+    if not target_col:
+        report["warnings"].append("No numeric target column detected.")
+
+    for info in columns:
+        if info["type"] == 'categorical' and info["cardinality"] > 100:
+            report["warnings"].append(
+                f"'{info['name']}' has {info['cardinality']} categories; only the first 100 are offered in the form")
+
+    return report
+
+
+def main():
+    if len(sys.argv) < 2:
+        print(json.dumps({"error": "Usage: schema.py <file.csv>"}))
+        sys.exit(1)
+    try:
+        df = pd.read_csv(sys.argv[1])
+    except Exception as e:
+        print(json.dumps({"error": f"Could not read CSV: {e}"}))
+        sys.exit(1)
+    print(json.dumps(profile(df)))
+
+
+if __name__ == "__main__":
+    main()
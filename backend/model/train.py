@@ -1,167 +1,350 @@
-import pandas as pd
-import numpy as np
-from sklearn.model_selection import train_test_split
-from sklearn.ensemble import RandomForestRegressor
-from sklearn.metrics import mean_absolute_error
-from sklearn.preprocessing import LabelEncoder
-import joblib
-import sys
-import json
-
-def train_model():
-    # Helper to get data file argument
-    data_file = 'sales_data.csv'
-    if len(sys.argv) > 1:
-        data_file = sys.argv[1]
-
-    print(f"Loading data from {data_file}...")
-    try:
-        df = pd.read_csv(data_file)
-    except FileNotFoundError:
-        print(f"{data_file} not found. Please upload a valid CSV.")
-        sys.exit(1)
-
-    # 1. Identify DATE column
-    date_col = None
-    for col in df.columns:
-        if 'date' in col.lower() or 'time' in col.lower() or 'year' in col.lower():
-            date_col = col
-            break
-    
-    # Fallback: look for object column that parses as date
-    if not date_col:
-        for col in df.select_dtypes(include=['object']).columns:
-            try:
-                pd.to_datetime(df[col], errors='raise')
-                date_col = col
-                break
-            except:
-                pass
-
-    if date_col:
-        print(f" identified Date column: {date_col}")
-        df[date_col] = pd.to_datetime(df[date_col])
-        df['day_of_week'] = df[date_col].dt.dayofweek
-        df['month'] = df[date_col].dt.month
-        df['day_of_year'] = df[date_col].dt.dayofyear
-        # Drop original date col from features
-        df = df.drop(columns=[date_col])
-    else:
-        print("Warning: No Date column found. Skipping time-based features.")
-
-    # 2. Identify TARGET column (Numeric)
-    target_col = None
-    possible_targets = ['sales', 'revenue', 'profit', 'amount', 'total', 'price']
-    
-    # First check for exact matches
-    for t in possible_targets:
-        matches = [c for c in df.columns if t in c.lower()]
-        if matches:
-            # Pick the one that is numeric
-            for m in matches:
-                if pd.api.types.is_numeric_dtype(df[m]):
-                    target_col = m
-                    break
-        if target_col: break
-    
-    # Fallback: Last numeric column
-    if not target_col:
-        numeric_cols = df.select_dtypes(include=[np.number]).columns
-        if len(numeric_cols) > 0:
-            target_col = numeric_cols[-1]
-
-    if not target_col:
-        print("Error: Could not identify a numeric Target column.")
-        sys.exit(1)
-
-    print(f" identified Target column: {target_col}")
-
-    # 3. Identify FEATURES
-    # Everything else is a feature
-    feature_cols = [c for c in df.columns if c != target_col]
-    
-    # 4. Handle Categorical Features
-    encoders = {}
-    metadata_features = []
-    
-    final_features = [] # Final list of columns used for training X
-    
-    # Re-build X dataframe
-    X = pd.DataFrame()
-    
-    # Add time features if they exist
-    # Add time features if they exist
-    # (They are already in df and feature_cols, so they will be added in the loop below)
-
-
-    for col in feature_cols:
-        if pd.api.types.is_numeric_dtype(df[col]):
-            # Numeric Feature
-            X[col] = df[col].fillna(0)
-            final_features.append(col)
-            metadata_features.append({"name": col, "type": "numeric"})
-        else:
-            # Categorical Feature
-            # Limit cardinality to avoid explosion? For now, just encode.
-            le = LabelEncoder()
-            # Convert to string to handle mixed types
-            X[col] = le.fit_transform(df[col].astype(str))
-            encoders[col] = le
-            final_features.append(col)
-            
-            # Get unique options for frontend
-            options = sorted(list(df[col].astype(str).unique()))
-            # Limit options sent to frontend for performance
-            if len(options) > 100:
-                options = options[:100]
-                
-            metadata_features.append({
-                "name": col, 
-                "type": "categorical", 
-                "options": options
-            })
-
-    y = df[target_col]
-
-    # Split
-    X_train, X_test, y_train, y_test = train_test_split(X, y, test_size=0.2, random_state=42)
-    
-    print(f"Training on features: {final_features}")
-    
-    # Train
-    model = RandomForestRegressor(n_estimators=100, random_state=42)
-    model.fit(X_train, y_train)
-    
-    preds = model.predict(X_test)
-    mae = mean_absolute_error(y_test, preds)
-    print(f"Model MAE: {mae:.2f}")
-    
-    # Save artifacts
-    joblib.dump(model, 'sales_model.pkl')
-    
-    # Save training metadata (encoders, feature list, target name)
-    training_metadata = {
-        "features": final_features,
-        "target_col": target_col,
-        "encoders": encoders, # Note: Encoders are not JSON serializable easily.
-        # We'll save Encoders separately via joblib if needed, or re-create simple mapping.
-        # For this demo, let's just save the column names needed for frontend.
-    }
-    
-    # Save Encoders for inference
-    joblib.dump(encoders, 'encoders.pkl')
-    # Save Feature columns for inference alignment
-    joblib.dump(final_features, 'model_features.pkl')
-
-    # Save JSON for Frontend
-    frontend_meta = {
-        "target_column": target_col,
-        "features": metadata_features
-    }
-    with open('model_metadata.json', 'w') as f:
-        json.dump(frontend_meta, f, indent=2)
-
-    print("Model and metadata saved.")
-
-if __name__ == "__main__":
-    train_model()
+import pandas as pd
+from sklearn.model_selection import train_test_split
+from sklearn.preprocessing import LabelEncoder
+import joblib
+import sys
+import json
+import argparse
+from datetime import datetime, timezone
+from schema import detect_date_column, detect_target_column, parse_dates, UNKNOWN_STRATEGIES, OTHER_CATEGORY
+from features import plan, check_group_columns, group_keys, build_history, generate
+from holidays import COUNTRIES
+from evaluation import evaluate, metrics
+from backtest import run_backtest
+from algorithms import ALGORITHMS, DEFAULT_ALGORITHM, build_model, candidates
+
+# With --unknown-category=other, categories with fewer rows than this are merged into OTHER_CATEGORY
+RARE_CATEGORY_MIN_ROWS = 5
+
+def parse_args():
+    parser = argparse.ArgumentParser(description="Train the sales model on a CSV")
+    parser.add_argument('data_file', nargs='?', default='sales_data.csv')
+    # Overrides for the automatic column detection (chosen in the upload preview)
+    parser.add_argument('--date-column')
+    parser.add_argument('--target-column')
+    parser.add_argument('--exclude', action='append', default=[], help="Column to leave out (repeatable)")
+    # Backtesting: number of expanding-window folds and the length of each test window
+    parser.add_argument('--folds', type=int, default=5)
+    parser.add_argument('--horizon-days', type=int, default=30)
+    # Algorithms to compare (repeatable); the best on the validation folds is kept
+    parser.add_argument('--algorithm', action='append', choices=sorted(ALGORITHMS))
+    parser.add_argument('--search', action='store_true', help="Also try each algorithm's hyperparameter grid")
+    parser.add_argument('--max-candidates', type=int, default=8)
+    parser.add_argument('--unknown-category', choices=UNKNOWN_STRATEGIES, default='most_frequent',
+                        help="How prediction treats categories not seen in training")
+    # Adds is_holiday and days_to_holiday from this country's calendar
+    parser.add_argument('--holiday-country', choices=COUNTRIES)
+    # Categorical column whose values group the lag / rolling mean features (repeatable);
+    # without one they follow the total series
+    parser.add_argument('--history-group', action='append', default=[])
+    # JSON file listing the project's excluded anomalies: [{"day", "dimension", "value"}]
+    parser.add_argument('--exclude-anomalies')
+    return parser.parse_args()
+
+def drop_excluded_anomalies(df, date_col, anomalies):
+    """Leaves out the rows behind excluded anomalies: every row of the day, or the
+    day's rows with the anomaly's value of a categorical column."""
+    days = df[date_col].dt.strftime('%Y-%m-%d')
+    skip = pd.Series(False, index=df.index)
+    for anomaly in anomalies:
+        match = days == anomaly['day']
+        if anomaly['dimension']:
+            if anomaly['dimension'] not in df.columns:
+                continue
+            match &= df[anomaly['dimension']].astype(str) == anomaly['value']
+        skip |= match
+    print(f" leaving out {int(skip.sum())} rows of {len(anomalies)} excluded anomalies")
+    return df[~skip], int(skip.sum())
+
+def train_model():
+    args = parse_args()
+    data_file = args.data_file
+
+    print(f"Loading data from {data_file}...")
+    try:
+        df = pd.read_csv(data_file)
+    except FileNotFoundError:
+        print(f"{data_file} not found. Please upload a valid CSV.")
+        sys.exit(1)
+
+    # 0. Apply user overrides
+    for col in [args.date_column, args.target_column, *args.exclude, *args.history_group]:
+        if col and col not in df.columns:
+            print(f"Error: Column '{col}' not found in {data_file}.")
+            sys.exit(1)
+    if args.date_column and args.date_column == args.target_column:
+        print("Error: The date column cannot also be the target column.")
+        sys.exit(1)
+    grouped_out = [c for c in args.history_group if c in args.exclude or c in (args.date_column, args.target_column)]
+    if grouped_out:
+        print(f"Error: History group column(s) {grouped_out} are excluded or the date or target column.")
+        sys.exit(1)
+    if args.folds < 1 or args.horizon_days < 1 or args.max_candidates < 1:
+        print("Error: --folds, --horizon-days and --max-candidates must be at least 1.")
+        sys.exit(1)
+    if args.exclude:
+        print(f" excluding columns: {args.exclude}")
+        df = df.drop(columns=args.exclude)
+
+    # 1. Identify DATE column
+    date_col = args.date_column or detect_date_column(df)
+    dates = None
+    anomaly_rows_excluded = 0
+
+    if date_col:
+        print(f" identified Date column: {date_col}")
+        df[date_col], unparseable = parse_dates(df[date_col])
+        if unparseable.any() or df[date_col].isna().any():
+            print(f" dropping {int(df[date_col].isna().sum())} rows without a valid date")
+            df = df[df[date_col].notna()]
+        # Date order: backtest folds and the seasonal-naive baseline rely on it
+        df = df.sort_values(date_col, kind='stable')
+        if args.exclude_anomalies:
+            with open(args.exclude_anomalies) as f:
+                df, anomaly_rows_excluded = drop_excluded_anomalies(df, date_col, json.load(f))
+        dates = df[date_col]
+        # Drop original date col from features; the feature pipeline derives its own from it
+        df = df.drop(columns=[date_col])
+    else:
+        print("Warning: No Date column found. Skipping time-based features.")
+        if args.exclude_anomalies:
+            print("Warning: excluded anomalies need a date column; all rows are used.")
+
+    # 2. Identify TARGET column (Numeric)
+    target_col = args.target_column or detect_target_column(df)
+    if target_col and not pd.api.types.is_numeric_dtype(df[target_col]):
+        print(f"Error: Target column '{target_col}' is not numeric.")
+        sys.exit(1)
+
+    if not target_col:
+        print("Error: Could not identify a numeric Target column.")
+        sys.exit(1)
+
+    print(f" identified Target column: {target_col}")
+
+    # 3. Generated features (see features.py); prediction derives them the same way.
+    # History features of a row only use days before it. Backtest folds rebuild them
+    # for their test window from the fold's training rows (fold_test_features below).
+    generated = []
+    history = None
+    keys = None
+    group_cols = args.history_group
+    if date_col:
+        error = check_group_columns(df, group_cols)
+        if error:
+            print(f"Error: {error}.")
+            sys.exit(1)
+        keys = group_keys(df, group_cols)
+        generated = plan(target_col, args.holiday_country)
+        history = build_history(dates, keys, df[target_col], target_col)
+        for name, values in generate(dates, keys, generated, args.holiday_country, history).items():
+            df[name] = values
+        print(f" generated features: {[g['name'] for g in generated]}")
+    elif args.holiday_country:
+        print("Warning: --holiday-country needs a date column; no holiday features added.")
+    generated_names = [g['name'] for g in generated]
+
+    # Everything else is a feature
+    feature_cols = [c for c in df.columns if c != target_col]
+    
+    # 4. Handle Categorical Features
+    encoders = {}
+    metadata_features = []
+    
+    final_features = [] # Final list of columns used for training X
+    
+    # Re-build X dataframe (on df's index: rows may have been dropped or re-ordered)
+    X = pd.DataFrame(index=df.index)
+    
+    # Generated features are already in df and feature_cols, so they are added in the loop below
+
+
+    for col in feature_cols:
+        if pd.api.types.is_numeric_dtype(df[col]):
+            # Numeric Feature
+            # Missing values get the training median; prediction imputes the same value
+            median = df[col].median()
+            impute = round(float(median), 6) if pd.notna(median) else 0.0
+            X[col] = df[col].fillna(impute)
+            final_features.append(col)
+            # min/max bound the default range of sensitivity sweeps
+            metadata_features.append({
+                "name": col,
+                "type": "numeric",
+                "impute": impute,
+                "min": round(float(df[col].min()), 6) if pd.notna(median) else None,
+                "max": round(float(df[col].max()), 6) if pd.notna(median) else None,
+                # Derived features are filled in by prediction; the form does not ask for them
+                "derived": col in generated_names
+            })
+        else:
+            # Categorical Feature
+            # Limit cardinality to avoid explosion? For now, just encode.
+            le = LabelEncoder()
+            # Convert to string to handle mixed types
+            values = df[col].astype(str)
+            if args.unknown_category == 'other':
+                # Rare categories train the catch-all that unseen ones map to at prediction time
+                counts = values.value_counts()
+                values = values.where(~values.isin(counts[counts < RARE_CATEGORY_MIN_ROWS].index), OTHER_CATEGORY)
+                le.fit(pd.concat([values, pd.Series([OTHER_CATEGORY])]))
+            else:
+                le.fit(values)
+            X[col] = le.transform(values)
+            encoders[col] = le
+            final_features.append(col)
+            
+            # Get unique options for frontend
+            options = sorted(v for v in values.unique() if v != OTHER_CATEGORY)
+            # Limit options sent to frontend for performance
+            if len(options) > 100:
+                options = options[:100]
+                
+            metadata_features.append({
+                "name": col, 
+                "type": "categorical", 
+                "options": options,
+                "most_frequent": values.mode().iloc[0],
+                "derived": False
+            })
+
+    y = df[target_col]
+
+    categorical_cols = [f["name"] for f in metadata_features if f["type"] == "categorical"]
+    context = {"group_features": categorical_cols}
+
+    # Test windows of a fold must not see their own targets through the history
+    # features: they get them from a table of the fold's training rows, imputed with
+    # the training rows' medians where it runs out, as prediction past the data does.
+    history_generated = [g for g in generated if g["source"] == "target"]
+    fold_features = {}
+
+    def fold_test_features(fold, train, test):
+        if fold not in fold_features:
+            X_test = X[test].copy()
+            fold_history = build_history(dates[train], keys[train], y[train], target_col)
+            values = generate(dates[test], keys[test], history_generated, history=fold_history)
+            for g in history_generated:
+                median = df.loc[train, g["name"]].median()
+                X_test[g["name"]] = values[g["name"]].fillna(median if pd.notna(median) else 0.0)
+            fold_features[fold] = X_test
+        return fold_features[fold]
+
+    def validate(make_model):
+        """Out-of-sample (backtest, test_index, predictions) for one candidate."""
+        # Time-ordered folds so no future rows leak into training
+        if dates is not None:
+            backtest, test_index, preds = run_backtest(make_model, X, y, dates, args.folds, args.horizon_days,
+                                                       fold_test_features if history_generated else None)
+            if backtest is not None:
+                return backtest, test_index, preds
+        print(" not enough dated history to backtest; using a random 80/20 split")
+        X_train, X_test, y_train, _ = train_test_split(X, y, test_size=0.2, random_state=42)
+        return None, X_test.index, make_model().fit(X_train, y_train).predict(X_test)
+
+    print(f"Training on features: {final_features}")
+    print(f"Validating with {args.folds} folds of {args.horizon_days} days")
+
+    # Every candidate is scored on the same folds; the lowest MAE wins
+    runs = []
+    pool = candidates(args.algorithm or [DEFAULT_ALGORITHM], args.search, args.max_candidates)
+    for i, (name, params) in enumerate(pool, start=1):
+        print(f"Candidate {i}/{len(pool)}: {name} {params}")
+        backtest, test_index, preds = validate(lambda: build_model(name, params, context))
+        runs.append({
+            "algorithm": name,
+            "params": params,
+            "scores": metrics(y.loc[test_index], preds),
+            "backtest": backtest,
+            "test_index": test_index,
+            "preds": preds,
+        })
+    best = min(runs, key=lambda r: r["scores"]["mae"])
+    backtest, test_index, preds = best["backtest"], best["test_index"], best["preds"]
+    print(f"Selected {best['algorithm']} {best['params']}")
+
+    # The served model learns from every row
+    model = build_model(best["algorithm"], best["params"], context)
+    model.fit(X, y)
+
+    evaluation = evaluate(model, final_features, y.loc[test_index], preds,
+                          {col: df.loc[test_index, col] for col in categorical_cols})
+    evaluation["validation"] = backtest["method"] if backtest else "random_split"
+    scores = evaluation["metrics"]
+    mae = scores["mae"]
+    print(f"Model MAE: {mae:.2f}  RMSE: {scores['rmse']:.2f}  R2: {scores['r2']}  MAPE: {scores['mape']}")
+    
+    # Save artifacts
+    joblib.dump(model, 'sales_model.pkl')
+    
+    # Save training metadata (encoders, feature list, target name)
+    training_metadata = {
+        "features": final_features,
+        "target_col": target_col,
+        "encoders": encoders, # Note: Encoders are not JSON serializable easily.
+        # We'll save Encoders separately via joblib if needed, or re-create simple mapping.
+        # For this demo, let's just save the column names needed for frontend.
+    }
+    
+    # Save Encoders for inference
+    joblib.dump(encoders, 'encoders.pkl')
+    # Save Feature columns for inference alignment
+    joblib.dump(final_features, 'model_features.pkl')
+    # Daily target history per group, for the history features of prediction input
+    if history is not None:
+        joblib.dump(history, 'feature_history.pkl')
+
+    # Save JSON for Frontend
+    frontend_meta = {
+        "target_column": target_col,
+        "features": metadata_features,
+        "data_file": data_file,
+        "date_column": date_col,
+        "excluded_columns": args.exclude,
+        # Derived from the date column; prediction requests may send the date instead
+        "time_features": [g["name"] for g in generated if g["source"] == "date"],
+        # Every feature the pipeline derives, with its kind (calendar, holiday, lag, rolling_mean)
+        "generated_features": generated,
+        "holiday_country": args.holiday_country if date_col else None,
+        # Categorical columns whose combination groups the history features (--history-group)
+        "history_group_features": group_cols if date_col else [],
+        "date_range": {
+            "start": dates.min().strftime('%Y-%m-%d'),
+            "end": dates.max().strftime('%Y-%m-%d')
+        } if date_col else None,
+        "unknown_category_strategy": args.unknown_category,
+        "overrides": {
+            "date_column": args.date_column,
+            "target_column": args.target_column,
+            "exclude": args.exclude,
+            "holiday_country": args.holiday_country,
+            "history_group": args.history_group
+        },
+        "rows_trained": int(len(df)),
+        # Rows left out because they fall on anomalies marked as excluded
+        "anomaly_rows_excluded": anomaly_rows_excluded,
+        "mae": mae,
+        "evaluation": evaluation,
+        "backtest": backtest,
+        "model": {
+            "algorithm": best["algorithm"],
+            "label": ALGORITHMS[best["algorithm"]]["label"],
+            "params": best["params"]
+        },
+        "search": {
+            "enabled": args.search,
+            "metric": "mae",
+            "candidates": [
+                {"algorithm": r["algorithm"], "params": r["params"], **r["scores"], "selected": r is best}
+                for r in runs
+            ]
+        },
+        "trained_at": datetime.now(timezone.utc).isoformat()
+    }
+    with open('model_metadata.json', 'w') as f:
+        json.dump(frontend_meta, f, indent=2)
+
+    print("Model and metadata saved.")
+
+if __name__ == "__main__":
+    train_model()
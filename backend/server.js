@@ -1,294 +1,1249 @@
-const express = require('express');
-const cors = require('cors');
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-const csv = require('csv-parser');
-const multer = require('multer');
-
-const app = express();
-const PORT = process.env.PORT || 5000;
-
-app.use(cors());
-app.use(express.json());
-
-// Mock Database
-let salesData = [];
-// Current data file - defaults to standard one
-let currentDataFile = 'sales_data.csv';
-
-const loadData = () => {
-    const dataPath = path.join(__dirname, 'model', currentDataFile);
-    const metaPath = path.join(__dirname, 'model/model_metadata.json');
-
-    let targetCol = 'sales';
-    try {
-        if (fs.existsSync(metaPath)) {
-            const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-            if (meta.target_column) targetCol = meta.target_column;
-        }
-    } catch (e) {
-        console.error("Error determining target column:", e);
-    }
-
-    if (fs.existsSync(dataPath)) {
-        fs.createReadStream(dataPath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // Dynamic Date Mapping
-                const keys = Object.keys(row);
-                // Look for a column with 'date' in the name if 'date' doesn't exist
-                if (!row.date) {
-                    const dateKey = keys.find(k => k.toLowerCase().includes('date') || k.toLowerCase().includes('time'));
-                    if (dateKey) row.date = row[dateKey];
-                }
-
-                // Dynamic Target Mapping
-                if (row[targetCol] !== undefined) {
-                    row.sales = parseFloat(row[targetCol]);
-                } else if (row.sales) {
-                    row.sales = parseFloat(row.sales);
-                }
-
-                // Keep these for potential backward compatibility or if they exist
-                if (row.marketing_spend) row.marketing_spend = parseFloat(row.marketing_spend);
-                if (row.holiday) row.holiday = parseInt(row.holiday);
-
-                // Only push if we have at least a date and sales value (or if we want to show it anyway)
-                if (row.date && !isNaN(row.sales)) {
-                    salesData.push(row);
-                }
-            })
-            .on('end', () => {
-                console.log(`Sales data loaded into memory from ${currentDataFile}. Mapped '${targetCol}' to sales.`);
-            });
-    } else {
-        console.warn(`${currentDataFile} not found.`);
-    }
-};
-
-loadData();
-
-// Multer Setup
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, 'model'));
-    },
-    filename: (req, file, cb) => {
-        // Keep original filename
-        cb(null, file.originalname);
-    }
-});
-const upload = multer({ storage: storage });
-
-// Routes
-
-app.get('/api/sales', (req, res) => {
-    res.json(salesData);
-});
-
-app.post('/api/upload', upload.single('file'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
-    }
-
-    // Cleanup: Delete old CSVs and model artifacts
-    const modelDir = path.join(__dirname, 'model');
-    try {
-        const files = fs.readdirSync(modelDir);
-        files.forEach(file => {
-            const filePath = path.join(modelDir, file);
-            // Delete if it's a CSV and NOT the current uploaded file
-            // OR if it's a model artifact
-            if (
-                (file.endsWith('.csv') && file !== req.file.originalname) ||
-                file.endsWith('.pkl') ||
-                file === 'model_metadata.json'
-            ) {
-                fs.unlinkSync(filePath);
-                console.log(`Deleted old file: ${file}`);
-            }
-        });
-    } catch (err) {
-        console.error("Error during cleanup:", err);
-        // Continue anyway, don't block upload
-    }
-
-    console.log(`New CSV uploaded: ${req.file.originalname}. Starting model training...`);
-
-    // Update current file reference
-    currentDataFile = req.file.originalname;
-
-    // Determine Python path (same logic as predict)
-    // Dynamic Python Path Resolution
-    const venvPathWindows = path.join(__dirname, 'model/venv/Scripts/python.exe');
-    const venvPathLinux = path.join(__dirname, 'model/venv/bin/python');
-
-    let cmd = 'python'; // Default fallback
-    if (fs.existsSync(venvPathWindows)) {
-        cmd = venvPathWindows;
-    } else if (fs.existsSync(venvPathLinux)) {
-        cmd = venvPathLinux;
-    } else {
-        if (process.platform === 'linux') {
-            cmd = 'python3';
-        }
-    }
-
-    // Path to training script
-    const trainScript = path.join(__dirname, 'model/train.py');
-
-    // Pass the filename as argument
-    const process = spawn(cmd, [trainScript, currentDataFile], {
-        cwd: path.join(__dirname, 'model')
-    });
-    console.log(`Spawning Python process: ${cmd} ${trainScript} ${currentDataFile}`);
-
-    let output = '';
-
-    process.on('error', (err) => {
-        console.error('Failed to start Python process:', err);
-        res.status(500).json({ error: 'Failed to start training script', details: err.message });
-    });
-
-    process.stdout.on('data', (data) => {
-        console.log(`Training stdout: ${data}`);
-        output += data.toString();
-    });
-
-    process.stderr.on('data', (data) => {
-        console.error(`Training stderr: ${data}`);
-    });
-
-    process.on('close', (code) => {
-        if (code === 0) {
-            console.log('Model training completed successfully.');
-            // Reset and reload
-            salesData = [];
-            loadData();
-            res.json({ message: 'Data updated and model retrained successfully', output: output });
-        } else {
-            console.error('Model training failed.');
-            res.status(500).json({ error: 'Model training failed', details: output });
-        }
-    });
-});
-
-// New Endpoint: Get Model Metadata for Frontend Form
-app.get('/api/metadata', (req, res) => {
-    const metaPath = path.join(__dirname, 'model/model_metadata.json');
-    if (fs.existsSync(metaPath)) {
-        res.sendFile(metaPath);
-    } else {
-        res.status(404).json({ error: 'Metadata not found. Model might not be trained yet.' });
-    }
-});
-
-app.post('/api/predict', (req, res) => {
-    // Inline Python script logic
-    // Using forward slashes for paths to avoid running into escape character issues in Python string
-    const modelPath = path.join(__dirname, 'model/sales_model.pkl').replace(/\\/g, '/');
-    const featuresPath = path.join(__dirname, 'model/model_features.pkl').replace(/\\/g, '/');
-    const encodersPath = path.join(__dirname, 'model/encoders.pkl').replace(/\\/g, '/');
-
-    const pythonCode = `
-import sys, json, joblib
-import pandas as pd
-import numpy as np
-
-try:
-    # Load artifacts
-    model = joblib.load('${modelPath}')
-    features = joblib.load('${featuresPath}')
-    encoders = joblib.load('${encodersPath}')
-    
-    # Read input from stdin
-    input_str = sys.stdin.read()
-    if not input_str:
-        print(json.dumps({"error": "No input received"}))
-        sys.exit(0)
-    
-    input_data = json.loads(input_str)
-    df = pd.DataFrame([input_data])
-    
-    # Preprocessing (Dynamic)
-    # 1. Handle dates if present (assuming input might have date components directly)
-    if 'date' in df.columns:
-        df['date'] = pd.to_datetime(df['date'])
-        df['day_of_week'] = df['date'].dt.dayofweek
-        df['month'] = df['date'].dt.month
-        df['day_of_year'] = df['date'].dt.dayofyear
-        
-    # 2. Encode Categoricals
-    for col, le in encoders.items():
-        if col in df.columns:
-            # Handle unknown labels
-            val = str(df.iloc[0][col])
-            if val in le.classes_:
-                df[col] = le.transform([val])
-            else:
-                # Fallback for unknown: use first class or specific unknown handling
-                # ideally we should have an 'unknown' class, but for now just use 0
-                df[col] = 0 
-    
-    # 3. Align columns
-    # Reindex checks if col exists, fills 0 if missing, drops extras
-    X = df.reindex(columns=features, fill_value=0)
-    
-    # Predict
-    prediction = model.predict(X)[0]
-    print(json.dumps({"prediction": prediction}))
-
-except Exception as e:
-    import traceback
-    traceback.print_exc()
-    print(json.dumps({"error": str(e)}))
-`;
-
-    const venvPathWindows = path.join(__dirname, 'model/venv/Scripts/python.exe');
-    const venvPathLinux = path.join(__dirname, 'model/venv/bin/python');
-    let cmd = 'python';
-    if (fs.existsSync(venvPathWindows)) cmd = venvPathWindows;
-    else if (fs.existsSync(venvPathLinux)) cmd = venvPathLinux;
-    else if (process.platform === 'linux') cmd = 'python3';
-
-    const process = spawn(cmd, ['-c', pythonCode]);
-
-    process.stdin.write(JSON.stringify(req.body));
-    process.stdin.end();
-
-    let dataString = '';
-    process.stdout.on('data', (data) => {
-        dataString += data.toString();
-    });
-
-    process.stderr.on('data', (data) => {
-        console.error(`Python Stderr: ${data}`);
-    });
-
-    process.on('close', (code) => {
-        try {
-            // Find just the JSON part in case there's other stdout noise
-            const jsonStart = dataString.indexOf('{');
-            const jsonEnd = dataString.lastIndexOf('}');
-            if (jsonStart === -1 || jsonEnd === -1) {
-                throw new Error("No JSON found in output");
-            }
-            const jsonPart = dataString.substring(jsonStart, jsonEnd + 1);
-
-            const result = JSON.parse(jsonPart);
-            res.json(result);
-        } catch (e) {
-            console.error('Failed to parse python output:', dataString);
-            res.status(500).json({ error: 'Prediction script failed', details: dataString });
-        }
-    });
-});
-
-app.get('/test',async(req,res)=>{
-    res.json({a:1})
-})
-
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+const express = require('express');
+const cors = require('cors');
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const jobQueue = require('./lib/jobQueue');
+const modelRegistry = require('./lib/modelRegistry');
+const { createPredictionPool } = require('./lib/predictionPool');
+const { parseCsvBuffer, toCsv } = require('./lib/csvUtils');
+const { buildForecast } = require('./lib/forecast');
+const anomalies = require('./lib/anomalies');
+const { querySales, breakdown, seriesRows } = require('./lib/salesQuery');
+const salesStore = require('./lib/salesStore');
+const trainingRuns = require('./lib/trainingRuns');
+const { db } = require('./lib/db');
+const { INTERVALS } = require('./lib/timeBuckets');
+const uploadStaging = require('./lib/uploadStaging');
+const auth = require('./lib/auth');
+const scenarios = require('./lib/scenarios');
+const projects = require('./lib/projects');
+const eventStream = require('./lib/eventStream');
+const predictionLog = require('./lib/predictionLog');
+const csvUpload = require('./lib/csvUpload');
+const datasetAppends = require('./lib/datasetAppends');
+const { createRetrainScheduler, listDecisions } = require('./lib/retrainScheduler');
+const { buildSweep } = require('./lib/sensitivity');
+const { parseFormat, sendTables, seriesTable, forecastTables } = require('./lib/exports');
+const { buildReport } = require('./lib/report');
+const { resolvePythonCmd, runPythonScript } = require('./lib/python');
+
+const app = express();
+const PORT = process.env.PORT || 5000;
+
+// Comma-separated list of origins allowed to call the API; "*" allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+    exposedHeaders: ['X-Model-Version', 'X-Batch-Total', 'X-Batch-Failed', 'Content-Disposition']
+}));
+// Batch predictions post thousands of rows as JSON
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+
+modelRegistry.importLegacyArtifacts();
+auth.ensureAdmin().catch(err => console.error('Could not create admin account:', err.message));
+trainingRuns.markInterrupted();
+jobQueue.onChange(job => {
+    if (job.type === 'training') trainingRuns.record(job);
+});
+
+// Pushes training progress and dataset changes to dashboards (see lib/eventStream.js)
+jobQueue.onChange(job => {
+    if (job.type !== 'training') return;
+    const { stdout, stderr, ...summary } = jobQueue.toJSON(job);
+    eventStream.publish(job.params.projectId, 'job', summary, { role: 'analyst' });
+    if (job.state === 'failed') {
+        eventStream.publish(job.params.projectId, 'failure', { source: 'training', jobId: job.id, message: job.error }, { role: 'analyst' });
+    }
+});
+jobQueue.onLog((job, stream, lines) => {
+    if (job.type === 'training' && stream === 'stdout') {
+        eventStream.publish(job.params.projectId, 'job-log', { jobId: job.id, lines }, { role: 'analyst' });
+    }
+});
+salesStore.onChange((projectId, { status, dataset, error }) => {
+    eventStream.publish(projectId, 'dataset', { status, dataset, error });
+    if (status === 'failed') eventStream.publish(projectId, 'failure', { source: 'dataset', message: error });
+});
+// New or appended rows may hold the actuals of logged predictions
+salesStore.onChange((projectId, { status, dataset }) => {
+    if (status === 'ready' && dataset) predictionLog.matchActuals(dataset);
+});
+
+// Makes each project's active version's dataset queryable (imports it on first use)
+projects.list().forEach(project => salesStore.loadActiveDataset(project.id));
+
+// Resident Python workers serving /api/predict
+const predictionPool = createPredictionPool({
+    size: parseInt(process.env.PREDICT_WORKERS) || 2,
+    timeoutMs: parseInt(process.env.PREDICT_TIMEOUT_MS) || 10000,
+    getWarmVersionDir: () => {
+        const active = modelRegistry.resolveVersion(projects.DEFAULT_PROJECT_ID);
+        return active ? active.dir : null;
+    }
+});
+
+// Called whenever a different model version becomes active in a project.
+// action: train | promote | rollback
+const onActiveModelChanged = (projectId, action) => {
+    salesStore.loadActiveDataset(projectId);
+    const active = modelRegistry.resolveVersion(projectId);
+    if (active) predictionPool.reload(active.dir);
+    eventStream.publish(projectId, 'model', { version: active ? active.id : null, action });
+};
+
+// Multer Setup. Every upload is size-limited and normalized to UTF-8 CSV (see lib/csvUpload.js).
+// Training uploads are staged under generated names until a job picks them up
+const upload = multer({ storage: uploadStaging.storage, ...csvUpload.multerOptions });
+// Files to score are only needed for the duration of the request
+const batchUpload = multer({ storage: multer.memoryStorage(), ...csvUpload.multerOptions });
+const BATCH_MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS) || 100000;
+// Rows to append are merged straight into the database
+const appendUpload = multer({ storage: multer.memoryStorage(), ...csvUpload.multerOptions });
+
+// Receives the file in form field "file" with `uploader` and converts it to plain CSV.
+// Optional form field: encoding, to override detection. Rejections are 4xx JSON errors.
+const receiveCsv = (uploader) => (req, res, next) => {
+    uploader.single('file')(req, res, (err) => {
+        if (err) {
+            const error = csvUpload.fromMulterError(err);
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (!req.file) return next();
+        csvUpload.normalizeFile(req.file, { encoding: req.body.encoding })
+            .then(() => next())
+            .catch(error => {
+                if (req.file.path) fs.rmSync(req.file.path, { force: true });
+                res.status(error.status || 500).json({ error: `${req.file.originalname}: ${error.message}` });
+            });
+    });
+};
+
+const DATA_WAIT_MS = parseInt(process.env.DATA_WAIT_MS) || 5000;
+
+// Holds requests that need sales data until the project's active dataset is loaded.
+// Gives up with a 503 after DATA_WAIT_MS; sets req.dataset when ready.
+const requireSalesData = (req, res, next) => {
+    const projectId = req.project.id;
+    const proceed = () => {
+        const { status, dataset, error } = salesStore.getStatus(projectId);
+        if (status === 'ready') {
+            req.dataset = dataset;
+            return next();
+        }
+        if (status === 'empty') {
+            return res.status(404).json({ error: 'No dataset loaded. Upload a CSV to train a model.' });
+        }
+        if (status === 'failed') {
+            return res.status(500).json({ error: `Sales data failed to load: ${error}` });
+        }
+        res.set('Retry-After', String(Math.ceil(DATA_WAIT_MS / 1000)));
+        res.status(503).json({ error: 'Sales data is still loading. Try again shortly.' });
+    };
+
+    if (salesStore.getStatus(projectId).status !== 'loading') return proceed();
+    const timer = setTimeout(proceed, DATA_WAIT_MS);
+    salesStore.whenSettled(projectId).then(() => {
+        clearTimeout(timer);
+        if (!res.headersSent) proceed();
+    });
+};
+
+// Routes under /api that can be called without signing in
+const PUBLIC_ROUTES = ['POST /api/auth/login'];
+
+// Resolves the bearer token (session token or API key) to req.user; everything else needs one
+const authenticate = (req, res, next) => {
+    if (PUBLIC_ROUTES.includes(`${req.method} ${req.baseUrl}${req.path}`)) return next();
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    req.token = match ? match[1] : null;
+    req.user = auth.authenticate(req.token);
+    if (!req.user) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    next();
+};
+
+// viewer: sales data, metadata, single predictions
+// analyst: + batch scoring, forecasts, anomalies, training jobs
+// admin: + uploads, training, promote/rollback, user management
+const requireRole = (role) => (req, res, next) => {
+    if (!auth.hasRole(req.user, role)) {
+        return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+};
+
+// The project a request works on: the X-Project-Id header or ?project=, else the default project
+const resolveProject = (req, res, next) => {
+    const requested = req.get('X-Project-Id') || req.query.project;
+    req.project = projects.get(requested ? Number(requested) : projects.DEFAULT_PROJECT_ID);
+    if (!req.project) {
+        return res.status(404).json({ error: `Project ${requested} not found` });
+    }
+    next();
+};
+
+app.use('/api', authenticate, resolveProject);
+
+// Routes
+
+// Auth
+// JSON body: { username, password }. Returns a session token to send as "Authorization: Bearer <token>".
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    try {
+        const session = await auth.login(username, password);
+        console.log(`User ${session.user.username} signed in.`);
+        res.json(session);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(req.token);
+    eventStream.revalidate();
+    res.json({ message: 'Signed out' });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// API keys belong to the signed-in user and carry that user's role
+app.get('/api/auth/api-keys', (req, res) => {
+    res.json(auth.listApiKeys(req.user.id));
+});
+
+app.post('/api/auth/api-keys', (req, res) => {
+    const apiKey = auth.createApiKey(req.user.id, req.body && req.body.name);
+    res.status(201).json({ ...apiKey, message: 'Store this key now; it will not be shown again.' });
+});
+
+app.delete('/api/auth/api-keys/:id', (req, res) => {
+    if (!auth.revokeApiKey(req.user.id, parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    eventStream.revalidate();
+    res.json({ message: 'API key revoked' });
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json(auth.listUsers());
+});
+
+// JSON body: { username, password, role }
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await auth.createUser(req.body || {});
+        console.log(`User ${user.username} (${user.role}) created by ${req.user.username}.`);
+        res.status(201).json(user);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// JSON body: { role?, password? }
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const { role, password } = req.body || {};
+    try {
+        const user = await auth.updateUser(parseInt(req.params.id), { role, password });
+        // A new password ends the user's sessions; a new role changes what their streams receive
+        eventStream.revalidate();
+        res.json(user);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        const user = auth.deleteUser(parseInt(req.params.id));
+        eventStream.revalidate();
+        console.log(`User ${user.username} deleted by ${req.user.username}.`);
+        res.json({ message: `User ${user.username} deleted` });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Projects. Every other /api route works on the project chosen by X-Project-Id (or ?project=).
+app.get('/api/projects', (req, res) => {
+    res.json(projects.list());
+});
+
+app.get('/api/projects/:id', (req, res) => {
+    const project = projects.get(Number(req.params.id));
+    if (!project) {
+        return res.status(404).json({ error: `Project ${req.params.id} not found` });
+    }
+    res.json(project);
+});
+
+// JSON body: { name, description? }
+app.post('/api/projects', requireRole('admin'), (req, res) => {
+    try {
+        const project = projects.create(req.body || {}, req.user);
+        console.log(`Project ${project.name} created by ${req.user.username}.`);
+        res.status(201).json(project);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// JSON body: { name?, description? }
+app.patch('/api/projects/:id', requireRole('admin'), (req, res) => {
+    const { name, description } = req.body || {};
+    try {
+        const project = projects.update(Number(req.params.id), { name, description });
+        if (!project) {
+            return res.status(404).json({ error: `Project ${req.params.id} not found` });
+        }
+        res.json(project);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Deletes the project with all of its datasets, models and history
+app.delete('/api/projects/:id', requireRole('admin'), (req, res) => {
+    const id = Number(req.params.id);
+    if (pendingTraining(id).length > 0) {
+        return res.status(409).json({ error: 'Cancel or wait for the project\'s training jobs before deleting it' });
+    }
+    try {
+        const project = projects.remove(id);
+        if (!project) {
+            return res.status(404).json({ error: `Project ${req.params.id} not found` });
+        }
+        console.log(`Project ${project.name} deleted by ${req.user.username}.`);
+        res.json({ message: `Project ${project.name} deleted` });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Live updates for the project as Server-Sent Events. Browsers' EventSource cannot
+// send the Authorization header, so read the stream with fetch().
+app.get('/api/events', eventStream.subscribe);
+
+app.get('/api/status', (req, res) => {
+    const { status, dataset, error } = salesStore.getStatus(req.project.id);
+    res.json({ project: req.project, data: { status, error, dataset }, activeModel: modelRegistry.getActiveVersion(req.project.id) });
+});
+
+// Raw rows (cursor-paginated) or an aggregated series when interval/groupBy is given.
+// See lib/salesQuery.js for the query parameters.
+app.get('/api/sales', requireSalesData, (req, res) => {
+    try {
+        res.json(querySales(req.dataset, req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// One categorical column's values ranked over a date range, with growth against the previous
+// period and a series of the top values. See breakdown() in lib/salesQuery.js for the parameters.
+app.get('/api/sales/breakdown', requireSalesData, (req, res) => {
+    try {
+        res.json(breakdown(req.dataset, req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// List-valued fields may be an array, a JSON array string or a comma-separated string
+const parseList = (value) => {
+    let list = value || [];
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            list = list.split(',');
+        }
+    }
+    return [].concat(list).map(c => String(c).trim()).filter(Boolean);
+};
+
+// Must match MAX_GROUP_COLUMNS / MAX_GROUPS in model/features.py
+const MAX_HISTORY_GROUP_COLUMNS = 2;
+const MAX_HISTORY_GROUPS = 50;
+
+// Column overrides for train.py, from a JSON body or multipart form fields.
+// historyGroupColumns: categorical columns that group the lag / rolling mean features
+const parseOverrides = (source = {}) => ({
+    dateColumn: source.dateColumn || null,
+    targetColumn: source.targetColumn || null,
+    excludeColumns: parseList(source.excludeColumns),
+    historyGroupColumns: parseList(source.historyGroupColumns)
+});
+
+// Checks overrides against a schema preview. Returns an error message or null.
+const validateOverrides = (overrides, profile) => {
+    const columns = new Map(profile.columns.map(c => [c.name, c]));
+    const named = [overrides.dateColumn, overrides.targetColumn, ...overrides.excludeColumns, ...overrides.historyGroupColumns]
+        .filter(Boolean);
+    const missing = named.filter(name => !columns.has(name));
+    if (missing.length) return `Unknown column(s): ${missing.join(', ')}`;
+
+    const target = overrides.targetColumn || profile.detected.target_column;
+    if (overrides.targetColumn && columns.get(target).type !== 'numeric') {
+        return `Target column '${target}' is not numeric`;
+    }
+    if (target && overrides.excludeColumns.includes(target)) return 'The target column cannot be excluded';
+    if (overrides.dateColumn && overrides.dateColumn === target) {
+        return 'The date column cannot also be the target column';
+    }
+    if (overrides.dateColumn && overrides.excludeColumns.includes(overrides.dateColumn)) {
+        return 'The date column cannot be excluded';
+    }
+    if (overrides.historyGroupColumns.length > MAX_HISTORY_GROUP_COLUMNS) {
+        return `At most ${MAX_HISTORY_GROUP_COLUMNS} history group columns are allowed`;
+    }
+    const dateColumn = overrides.dateColumn || profile.detected.date_column;
+    for (const name of overrides.historyGroupColumns) {
+        const column = columns.get(name);
+        if (name === dateColumn || column.type !== 'categorical' || overrides.excludeColumns.includes(name)) {
+            return `History group column '${name}' must be a categorical feature`;
+        }
+        if (column.cardinality > MAX_HISTORY_GROUPS) {
+            return `History group column '${name}' has ${column.cardinality} values; at most ${MAX_HISTORY_GROUPS} are allowed`;
+        }
+    }
+    return null;
+};
+
+const MAX_BACKTEST_FOLDS = 20;
+const MAX_BACKTEST_HORIZON_DAYS = 365;
+// Must match ALGORITHMS in model/algorithms.py
+const TRAINING_ALGORITHMS = ['random_forest', 'gradient_boosting', 'ridge', 'seasonal_naive'];
+const MAX_SEARCH_CANDIDATES = 30;
+// Must match UNKNOWN_STRATEGIES in model/schema.py
+const UNKNOWN_CATEGORY_STRATEGIES = ['error', 'most_frequent', 'other'];
+// Must match RULES in model/holidays.py
+const HOLIDAY_COUNTRIES = ['CA', 'DE', 'FR', 'GB', 'US'];
+
+// Training options other than column choices, from the same body / form fields as the overrides.
+// Unset options are null and train.py uses its defaults (5 folds of 30 days, random forest,
+// no search, 8 candidates, unseen categories mapped to the most frequent one, no holiday features).
+const parseTrainingOptions = (source = {}) => {
+    const toInt = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const algorithms = parseList(source.algorithms);
+    return {
+        backtestFolds: toInt(source.backtestFolds),
+        backtestHorizonDays: toInt(source.backtestHorizonDays),
+        algorithms: algorithms.length ? [...new Set(algorithms)] : null,
+        hyperparameterSearch: source.hyperparameterSearch === true || source.hyperparameterSearch === 'true',
+        maxCandidates: toInt(source.maxCandidates),
+        unknownCategory: source.unknownCategory || null,
+        holidayCountry: source.holidayCountry ? String(source.holidayCountry).toUpperCase() : null
+    };
+};
+
+// Returns an error message or null
+const validateTrainingOptions = (options) => {
+    const inRange = (value, max) => value === null || (Number.isInteger(value) && value >= 1 && value <= max);
+    if (!inRange(options.backtestFolds, MAX_BACKTEST_FOLDS)) {
+        return `backtestFolds must be an integer between 1 and ${MAX_BACKTEST_FOLDS}`;
+    }
+    if (!inRange(options.backtestHorizonDays, MAX_BACKTEST_HORIZON_DAYS)) {
+        return `backtestHorizonDays must be an integer between 1 and ${MAX_BACKTEST_HORIZON_DAYS}`;
+    }
+    const unknown = (options.algorithms || []).filter(a => !TRAINING_ALGORITHMS.includes(a));
+    if (unknown.length) {
+        return `Unknown algorithm(s): ${unknown.join(', ')}. Available: ${TRAINING_ALGORITHMS.join(', ')}`;
+    }
+    if (!inRange(options.maxCandidates, MAX_SEARCH_CANDIDATES)) {
+        return `maxCandidates must be an integer between 1 and ${MAX_SEARCH_CANDIDATES}`;
+    }
+    if (options.unknownCategory !== null && !UNKNOWN_CATEGORY_STRATEGIES.includes(options.unknownCategory)) {
+        return `unknownCategory must be one of ${UNKNOWN_CATEGORY_STRATEGIES.join(', ')}`;
+    }
+    if (options.holidayCountry !== null && !HOLIDAY_COUNTRIES.includes(options.holidayCountry)) {
+        return `holidayCountry must be one of ${HOLIDAY_COUNTRIES.join(', ')}`;
+    }
+    return null;
+};
+
+// Written into the version directory for train.py --exclude-anomalies
+const EXCLUDED_ANOMALIES_FILE = 'excluded_anomalies.json';
+
+const trainingArgs = (overrides, options) => [
+    ...(overrides.dateColumn ? [`--date-column=${overrides.dateColumn}`] : []),
+    ...(overrides.targetColumn ? [`--target-column=${overrides.targetColumn}`] : []),
+    ...overrides.excludeColumns.map(col => `--exclude=${col}`),
+    ...overrides.historyGroupColumns.map(col => `--history-group=${col}`),
+    ...(options.backtestFolds !== null ? [`--folds=${options.backtestFolds}`] : []),
+    ...(options.backtestHorizonDays !== null ? [`--horizon-days=${options.backtestHorizonDays}`] : []),
+    ...(options.algorithms || []).map(name => `--algorithm=${name}`),
+    ...(options.hyperparameterSearch ? ['--search'] : []),
+    ...(options.maxCandidates !== null ? [`--max-candidates=${options.maxCandidates}`] : []),
+    ...(options.unknownCategory ? [`--unknown-category=${options.unknownCategory}`] : []),
+    ...(options.holidayCountry ? [`--holiday-country=${options.holidayCountry}`] : [])
+];
+
+// Job runner: trains a new model version on a staged upload.
+// On success the version becomes active and sales data is reloaded from it.
+const runTraining = (job, hooks) => new Promise((resolve, reject) => {
+    const { projectId, stagedPath, fileName: dataFile, overrides, options, excludedAnomalies } = job.params;
+    // Cancelled between dequeue and spawn
+    if (hooks.isCancelled()) {
+        return reject(new Error('Training cancelled'));
+    }
+    const version = modelRegistry.allocateVersion();
+    job.params.version = version.id;
+
+    // The dataset lives with the model it trained
+    try {
+        fs.renameSync(stagedPath, path.join(version.dir, dataFile));
+    } catch (err) {
+        modelRegistry.discardVersion(version.id);
+        return reject(new Error(`Uploaded file ${dataFile} is missing: ${err.message}`));
+    }
+
+    const fail = (err) => {
+        modelRegistry.discardVersion(version.id);
+        reject(err);
+    };
+
+    const cmd = resolvePythonCmd();
+    const trainScript = path.join(__dirname, 'model/train.py');
+
+    // Pass the filename, overrides and options as arguments; artifacts are written into the version directory
+    // -u: unbuffered stdout so progress lines reach the job as they are printed
+    const args = ['-u', trainScript, dataFile, ...trainingArgs(overrides, options)];
+    // The list can be long, so it goes in a file; it stays with the version as a record
+    if (excludedAnomalies.length) {
+        const marks = excludedAnomalies.map(({ day, dimension, value }) => ({ day, dimension, value }));
+        fs.writeFileSync(path.join(version.dir, EXCLUDED_ANOMALIES_FILE), JSON.stringify(marks));
+        args.push(`--exclude-anomalies=${EXCLUDED_ANOMALIES_FILE}`);
+    }
+    const child = spawn(cmd, args, {
+        cwd: version.dir
+    });
+    hooks.setChild(child);
+    console.log(`[job ${job.id}] Spawning Python process: ${cmd} ${args.join(' ')}`);
+
+    child.on('error', (err) => {
+        console.error('Failed to start Python process:', err);
+        fail(new Error(`Failed to start training script: ${err.message}`));
+    });
+
+    child.stdout.on('data', (data) => {
+        console.log(`Training stdout: ${data}`);
+        hooks.onStdout(data);
+    });
+
+    child.stderr.on('data', (data) => {
+        console.error(`Training stderr: ${data}`);
+        hooks.onStderr(data);
+    });
+
+    child.on('close', (code, signal) => {
+        if (hooks.isCancelled()) {
+            console.log(`[job ${job.id}] Training cancelled (${signal || code}).`);
+            return fail(new Error('Training cancelled'));
+        }
+        if (code === 0) {
+            console.log(`Model training completed successfully. Activating ${version.id}.`);
+            const entry = modelRegistry.registerVersion({ projectId, id: version.id, dataFile, jobId: job.id });
+            if (excludedAnomalies.length) anomalies.markApplied(excludedAnomalies.map(m => m.id), job.id);
+            onActiveModelChanged(projectId, 'train');
+            resolve({ message: 'Data updated and model retrained successfully', dataFile, version: entry });
+        } else {
+            console.error('Model training failed.');
+            fail(new Error(`Model training failed with exit code ${code}`));
+        }
+    });
+});
+
+// Training moves the staged upload into its version directory, so one still
+// staged when the job finished belongs to a job that never got that far
+const removeStagedUpload = (job) => fs.rmSync(job.params.stagedPath, { force: true });
+
+// Every training run leaves out the rows behind the project's excluded anomalies
+const queueTraining = (projectId, entry, overrides, options) => {
+    const marks = anomalies.exclusions(projectId);
+    const job = jobQueue.enqueue('training', {
+        projectId,
+        fileName: entry.fileName,
+        stagedPath: entry.path,
+        overrides,
+        options,
+        excludedAnomalies: marks
+    }, runTraining, { cleanup: removeStagedUpload });
+    console.log(`Queued training job ${job.id} for ${entry.fileName} in project ${projectId}.`);
+    if (marks.length) {
+        console.log(`Training job ${job.id} leaves out the rows of ${marks.length} excluded anomalies.`);
+    }
+    return job;
+};
+
+const enqueueTraining = (res, entry, overrides, options) => {
+    const job = queueTraining(entry.projectId, entry, overrides, options);
+
+    res.status(202).json({
+        message: 'Upload received, training queued',
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        job: jobQueue.toJSON(job)
+    });
+};
+
+// Upload and train in one step. Optional form fields: dateColumn, targetColumn, excludeColumns, historyGroupColumns,
+// backtestFolds, backtestHorizonDays, algorithms, hyperparameterSearch, maxCandidates, unknownCategory,
+// holidayCountry
+app.post('/api/upload', requireRole('admin'), receiveCsv(upload), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { id } = uploadStaging.stage(req.file, req.project.id);
+    const options = parseTrainingOptions(req.body);
+    const error = validateTrainingOptions(options);
+    if (error) {
+        uploadStaging.discard(id);
+        return res.status(400).json({ error });
+    }
+
+    console.log(`New CSV uploaded: ${req.file.originalname} (${req.file.csvInfo.delimiter} separated, ${req.file.csvInfo.encoding}${req.file.csvInfo.compression ? `, ${req.file.csvInfo.compression}` : ''}).`);
+    enqueueTraining(res, uploadStaging.take(id), parseOverrides(req.body), options);
+});
+
+// Dry run: stage the CSV and report what training would detect, without training
+app.post('/api/upload/preview', requireRole('admin'), receiveCsv(upload), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const entry = uploadStaging.stage(req.file, req.project.id);
+    try {
+        entry.profile = await runPythonScript('schema.py', [entry.path]);
+    } catch (err) {
+        uploadStaging.discard(entry.id);
+        return res.status(400).json({ error: `Could not profile ${entry.fileName}: ${err.message}` });
+    }
+
+    res.json({ uploadId: entry.id, fileName: entry.fileName, profile: entry.profile });
+});
+
+// Confirms a previewed upload.
+// JSON body: { dateColumn, targetColumn, excludeColumns, historyGroupColumns, backtestFolds, backtestHorizonDays,
+//              algorithms, hyperparameterSearch, maxCandidates, unknownCategory, holidayCountry }
+app.post('/api/upload/:uploadId/train', requireRole('admin'), (req, res) => {
+    const staged = uploadStaging.get(req.params.uploadId, req.project.id);
+    if (!staged) {
+        return res.status(404).json({ error: 'Upload not found or expired. Upload the file again.' });
+    }
+
+    const overrides = parseOverrides(req.body);
+    const options = parseTrainingOptions(req.body);
+    const error = validateOverrides(overrides, staged.profile) || validateTrainingOptions(options);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    enqueueTraining(res, uploadStaging.take(staged.id), overrides, options);
+});
+
+app.delete('/api/upload/:uploadId', requireRole('admin'), (req, res) => {
+    if (!uploadStaging.get(req.params.uploadId, req.project.id)) {
+        return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    uploadStaging.discard(req.params.uploadId);
+    res.json({ message: 'Upload discarded' });
+});
+
+// Queues training on a dataset's current rows (e.g. after appends), with the
+// column choices and options that produced the dataset's model version.
+const retrainOnDataset = (dataset) => {
+    const run = trainingRuns.findByVersion(dataset.modelVersion);
+    const overrides = { ...parseOverrides({}), ...(run && run.params.overrides) };
+    const options = { ...parseTrainingOptions({}), ...(run && run.params.options) };
+    const stagedPath = path.join(uploadStaging.STAGING_DIR, `${crypto.randomUUID()}.csv`);
+    fs.mkdirSync(uploadStaging.STAGING_DIR, { recursive: true });
+    fs.writeFileSync(stagedPath, salesStore.exportCsv(dataset));
+    return queueTraining(dataset.projectId, { fileName: dataset.fileName, path: stagedPath }, overrides, options);
+};
+
+// Appends a CSV to the active dataset instead of replacing it (see lib/datasetAppends.js).
+// Form fields: file, keyColumns (default: date column + categorical columns), retrain=true to
+// train a new version on the merged data with the active version's settings.
+// Appended rows belong to the active version's dataset; retrain to keep them with a model version.
+app.post('/api/data/append', requireRole('admin'), requireSalesData, receiveCsv(appendUpload), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    let rows;
+    try {
+        rows = await parseCsvBuffer(req.file.buffer);
+    } catch (err) {
+        return res.status(400).json({ error: `Could not parse CSV: ${err.message}` });
+    }
+
+    const meta = modelRegistry.readMetadata(req.dataset.modelVersion) || {};
+    let append;
+    try {
+        append = datasetAppends.appendRows(req.dataset, rows, {
+            fileName: req.file.csvName,
+            keyColumns: parseList(req.body.keyColumns),
+            dateColumn: meta.date_column,
+            user: req.user
+        });
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    if (req.body.retrain !== 'true') {
+        return res.status(201).json({ append });
+    }
+    const job = retrainOnDataset(req.dataset);
+    datasetAppends.setRetrainJob(append.id, job.id);
+    res.status(201).json({
+        append: { ...append, retrainJobId: job.id },
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        job: jobQueue.toJSON(job)
+    });
+});
+
+// Audit trail of appends, newest first, including reverted ones
+app.get('/api/data/appends', requireRole('analyst'), (req, res) => {
+    const { dataset } = salesStore.getStatus(req.project.id);
+    const meta = (dataset && modelRegistry.readMetadata(dataset.modelVersion)) || {};
+    res.json({
+        datasetId: dataset ? dataset.id : null,
+        columns: dataset ? dataset.columns : [],
+        defaultKeyColumns: dataset ? datasetAppends.defaultKeyColumns(dataset, meta.date_column) : [],
+        appends: datasetAppends.listAppends(req.project.id, Math.min(parseInt(req.query.limit) || 100, 1000))
+    });
+});
+
+// Undoes the most recent append to the active dataset: its rows are removed and the rows it replaced restored
+app.post('/api/data/appends/revert', requireRole('admin'), requireSalesData, (req, res) => {
+    try {
+        res.json({ append: datasetAppends.revertLastAppend(req.dataset, req.user) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Training jobs of a project that are queued or running
+const pendingTraining = (projectId) =>
+    jobQueue.listJobs().filter(job => job.type === 'training' && job.params.projectId === projectId && !jobQueue.isFinished(job));
+
+// Scheduled retraining with drift detection (see lib/retrainScheduler.js)
+const retrainScheduler = createRetrainScheduler({
+    retrain: retrainOnDataset,
+    isTraining: (projectId) => pendingTraining(projectId).length > 0
+});
+
+// Schedule, thresholds and the next planned run
+app.get('/api/retraining/schedule', requireRole('analyst'), (req, res) => {
+    res.json(retrainScheduler.status());
+});
+
+// JSON body (all optional): { enabled, cron, recentDays, thresholds: { psi, newCategoryRate, errorRatio } }
+app.put('/api/retraining/schedule', requireRole('admin'), (req, res) => {
+    try {
+        res.json(retrainScheduler.updateConfig(req.body || {}));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Runs the project's drift check now. JSON body: { force: true } retrains even without drift
+app.post('/api/retraining/check', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await retrainScheduler.check(req.project.id, 'manual', { force: Boolean(req.body && req.body.force) }));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Every drift check with its measures and decision, newest first
+app.get('/api/retraining/history', requireRole('analyst'), (req, res) => {
+    res.json(listDecisions(req.project.id, Math.min(parseInt(req.query.limit) || 100, 1000)));
+});
+
+// Training jobs of the project
+app.get('/api/jobs', requireRole('analyst'), (req, res) => {
+    res.json(jobQueue.listJobs().filter(job => job.params.projectId === req.project.id));
+});
+
+// Persisted outcome of every training job, including those from before a restart
+app.get('/api/training/history', requireRole('analyst'), (req, res) => {
+    res.json(trainingRuns.list(req.project.id, Math.min(parseInt(req.query.limit) || 100, 1000)));
+});
+
+// A job of the request's project, or undefined
+const projectJob = (req) => {
+    const job = jobQueue.getJob(req.params.id);
+    return job && job.params.projectId === req.project.id ? job : undefined;
+};
+
+app.get('/api/jobs/:id', requireRole('analyst'), (req, res) => {
+    const job = projectJob(req);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobQueue.toJSON(job));
+});
+
+app.post('/api/jobs/:id/cancel', requireRole('admin'), (req, res) => {
+    const job = projectJob(req);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!jobQueue.cancel(job.id)) {
+        return res.status(409).json({ error: `Job already ${job.state}`, job: jobQueue.toJSON(job) });
+    }
+    res.json({ message: 'Cancellation requested', job: jobQueue.toJSON(job) });
+});
+
+// Model versions
+app.get('/api/models', (req, res) => {
+    res.json(modelRegistry.listVersions(req.project.id));
+});
+
+app.post('/api/models/rollback', requireRole('admin'), (req, res) => {
+    const entry = modelRegistry.rollback(req.project.id);
+    if (!entry) {
+        return res.status(409).json({ error: 'No previous version to roll back to' });
+    }
+    console.log(`Rolled back project ${req.project.id} to model version ${entry.id}.`);
+    onActiveModelChanged(req.project.id, 'rollback');
+    res.json({ message: `Rolled back to ${entry.id}`, active: entry.id });
+});
+
+app.get('/api/models/:version', (req, res) => {
+    const version = modelRegistry.getVersion(req.project.id, req.params.version);
+    if (!version) {
+        return res.status(404).json({ error: `Model version ${req.params.version} not found` });
+    }
+    res.json(version);
+});
+
+app.post('/api/models/:version/promote', requireRole('admin'), (req, res) => {
+    const entry = modelRegistry.promote(req.project.id, req.params.version);
+    if (!entry) {
+        return res.status(404).json({ error: `Model version ${req.params.version} not found` });
+    }
+    console.log(`Promoted model version ${entry.id} to active in project ${req.project.id}.`);
+    onActiveModelChanged(req.project.id, 'promote');
+    res.json({ message: `${entry.id} is now active`, active: entry.id });
+});
+
+// New Endpoint: Get Model Metadata for Frontend Form
+// Serves the project's active version unless ?version= is given
+app.get('/api/metadata', (req, res) => {
+    const version = modelRegistry.resolveVersion(req.project.id, req.query.version);
+    const metaPath = version && path.join(version.dir, 'model_metadata.json');
+    if (metaPath && fs.existsSync(metaPath)) {
+        res.set('X-Model-Version', version.id);
+        res.sendFile(metaPath);
+    } else if (req.query.version) {
+        res.status(404).json({ error: `Model version ${req.query.version} not found` });
+    } else {
+        res.status(404).json({ error: 'Metadata not found. Model might not be trained yet.' });
+    }
+});
+
+// Resolves ?version= (or the active version) for prediction routes; sends a 404 if there is none
+const resolveModelVersion = (req, res) => {
+    const version = modelRegistry.resolveVersion(req.project.id, req.query.version);
+    if (!version) {
+        const error = req.query.version
+            ? `Model version ${req.query.version} not found`
+            : 'No trained model available. Upload a CSV first.';
+        res.status(404).json({ error });
+    }
+    return version;
+};
+
+// Evaluation report written by train.py: error metrics, residual distribution,
+// per-category errors, feature importances, predicted-vs-actual points and the algorithm search. ?version= as for /api/metadata
+app.get('/api/model/evaluation', (req, res) => {
+    const version = resolveModelVersion(req, res);
+    if (!version) return;
+
+    const meta = modelRegistry.readMetadata(version.id);
+    if (!meta || !meta.evaluation) {
+        return res.status(404).json({ error: `No evaluation report for ${version.id}. Retrain the model to create one.` });
+    }
+    res.json({
+        version: version.id,
+        targetColumn: meta.target_column,
+        trainedAt: meta.trained_at,
+        // Chosen algorithm and the candidates it was compared against
+        model: meta.model || null,
+        search: meta.search || null,
+        ...meta.evaluation
+    });
+});
+
+// Per-fold results of the expanding-window backtest run at training time. ?version= as for /api/metadata
+app.get('/api/model/backtest', (req, res) => {
+    const version = resolveModelVersion(req, res);
+    if (!version) return;
+
+    const meta = modelRegistry.readMetadata(version.id);
+    if (!meta || !meta.backtest) {
+        const reason = meta && meta.evaluation
+            ? 'it was evaluated on a random split because the data has too little dated history'
+            : 'it was trained before backtesting was added';
+        return res.status(404).json({ error: `No backtest for ${version.id}: ${reason}.` });
+    }
+    res.json({ version: version.id, targetColumn: meta.target_column, ...meta.backtest });
+});
+
+// Adds served predictions to the audit log (lib/predictionLog.js). A logging
+// failure is reported but does not fail the prediction.
+const logPredictions = (req, version, source, results) => {
+    try {
+        predictionLog.record({ projectId: req.project.id, version: version.id, source, user: req.user }, results);
+    } catch (err) {
+        console.error('Could not log predictions:', err.message);
+    }
+};
+
+// JSON body: feature values (or the date instead of the generated features; see model/features.py).
+// The input is checked against the version's model_metadata.json; problems come back as
+// 400 { error, errors: [{ field, code, message }] }. Successful responses carry warnings
+// for fields that were imputed, unknown categories that were substituted and ignored fields.
+// ?explain=true adds explanation: { method, baseline, contributions: [{ feature, value, contribution }] },
+// where baseline + the contributions add up to the prediction.
+app.post('/api/predict', (req, res) => {
+    const version = resolveModelVersion(req, res);
+    if (!version) return;
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Send a JSON object of feature values. Use /api/predict/batch for arrays.' });
+    }
+
+    predictionPool.predict(version.dir, req.body, { explain: req.query.explain === 'true' })
+        .then(result => {
+            if (result.errors) {
+                return res.status(400).json({
+                    error: 'Invalid prediction input',
+                    errors: result.errors,
+                    warnings: result.warnings,
+                    version: version.id
+                });
+            }
+            logPredictions(req, version, 'single', [{ inputs: req.body, ...result }]);
+            res.json({ ...result, version: version.id });
+        })
+        .catch(err => {
+            console.error('Prediction failed:', err.message);
+            res.status(err.status || 500).json({ error: err.message });
+        });
+});
+
+// Batch scoring: JSON array body (or { rows: [...] }) or a CSV upload in field "file".
+// Responds with JSON, or with a CSV download when ?format=csv / Accept: text/csv.
+app.post('/api/predict/batch', requireRole('analyst'), receiveCsv(batchUpload), async (req, res) => {
+    const version = resolveModelVersion(req, res);
+    if (!version) return;
+
+    let rows;
+    try {
+        if (req.file) rows = await parseCsvBuffer(req.file.buffer);
+        else if (Array.isArray(req.body)) rows = req.body;
+        else if (req.body && Array.isArray(req.body.rows)) rows = req.body.rows;
+    } catch (err) {
+        return res.status(400).json({ error: `Could not parse CSV: ${err.message}` });
+    }
+    if (!rows) {
+        return res.status(400).json({ error: 'Send a JSON array of rows or a CSV file in field "file"' });
+    }
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'No rows to score' });
+    }
+    if (rows.length > BATCH_MAX_ROWS) {
+        return res.status(413).json({ error: `Batch too large: ${rows.length} rows (max ${BATCH_MAX_ROWS})` });
+    }
+
+    const results = await predictionPool.predictBatch(version.dir, rows);
+    const failed = results.filter(r => r.error).length;
+    console.log(`Batch prediction on ${version.id}: ${rows.length} rows, ${failed} failed.`);
+    logPredictions(req, version, 'batch', results.map((result, i) => ({ inputs: rows[i], ...result })));
+
+    res.set({
+        'X-Model-Version': version.id,
+        'X-Batch-Total': String(rows.length),
+        'X-Batch-Failed': String(failed)
+    });
+
+    const wantsCsv = req.query.format === 'csv' || (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv');
+    if (wantsCsv) {
+        const scored = rows.map((row, i) => ({
+            ...row,
+            prediction: results[i].prediction,
+            error: results[i].error,
+            warnings: (results[i].warnings || []).map(w => w.message).join('; ')
+        }));
+        const columns = [...new Set([...rows.flatMap(row => Object.keys(row)), 'prediction', 'error', 'warnings'])];
+        const baseName = req.file ? path.parse(req.file.csvName).name : 'batch';
+        res.attachment(`${baseName}_predictions.csv`);
+        return res.type('text/csv').send(toCsv(scored, columns));
+    }
+
+    res.json({
+        version: version.id,
+        total: rows.length,
+        succeeded: rows.length - failed,
+        failed,
+        results
+    });
+});
+
+// Logged predictions, newest first. See lib/predictionLog.js for the query parameters.
+app.get('/api/predictions', requireRole('analyst'), (req, res) => {
+    try {
+        res.json(predictionLog.history(req.project.id, req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Realized error of logged predictions whose actuals have been uploaded, over time.
+// ?interval= (default week) plus the history filters.
+app.get('/api/predictions/accuracy', requireRole('analyst'), (req, res) => {
+    try {
+        res.json(predictionLog.accuracy(req.project.id, req.query));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Sensitivity sweep: scores the inputs once per value of one feature, in a single batch.
+// JSON body: { inputs: {...}, feature, from, to, steps } (from/to/steps are for numeric features
+// and default to the training range in 20 steps). ?version= as for /api/predict
+app.post('/api/predict/sweep', async (req, res) => {
+    const version = resolveModelVersion(req, res);
+    if (!version) return;
+
+    const meta = modelRegistry.readMetadata(version.id);
+    if (!meta) {
+        return res.status(404).json({ error: `No metadata for ${version.id}` });
+    }
+    let sweep;
+    try {
+        sweep = buildSweep(meta, (req.body || {}).inputs, req.body || {});
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+
+    const results = await predictionPool.predictBatch(version.dir, sweep.rows);
+    res.json({
+        version: version.id,
+        feature: sweep.feature,
+        type: sweep.type,
+        targetColumn: meta.target_column,
+        current: req.body.inputs[sweep.feature] ?? null,
+        points: sweep.values.map((value, i) => ({
+            value,
+            prediction: results[i].prediction ?? null,
+            error: results[i].error || null,
+            warnings: results[i].warnings || []
+        }))
+    });
+});
+
+// Saved what-if scenarios of the signed-in user. The list is scored with the active model
+// (or ?version=) so scenarios can be compared side by side.
+app.get('/api/scenarios', async (req, res) => {
+    const saved = scenarios.list(req.user.id, req.project.id);
+    const version = modelRegistry.resolveVersion(req.project.id, req.query.version);
+    if (req.query.version && !version) {
+        return res.status(404).json({ error: `Model version ${req.query.version} not found` });
+    }
+    const results = version && saved.length
+        ? await predictionPool.predictBatch(version.dir, saved.map(s => s.inputs))
+        : [];
+    res.json({
+        version: version ? version.id : null,
+        scenarios: saved.map((scenario, i) => ({
+            ...scenario,
+            prediction: results[i] ? results[i].prediction ?? null : null,
+            error: results[i] ? results[i].error || null : null,
+            warnings: results[i] ? results[i].warnings || [] : []
+        }))
+    });
+});
+
+// JSON body: { name, inputs }
+app.post('/api/scenarios', (req, res) => {
+    try {
+        res.status(201).json(scenarios.create(req.user.id, req.project.id, req.body));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/scenarios/:id', (req, res) => {
+    if (!scenarios.remove(req.user.id, req.project.id, parseInt(req.params.id))) {
+        return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json({ message: 'Scenario deleted' });
+});
+
+app.get('/api/predict/workers', requireRole('analyst'), (req, res) => {
+    res.json(predictionPool.stats());
+});
+
+const MAX_FORECAST_HORIZON = 365;
+
+// Forecast parameters from the query string: { options } or { error } for a 400
+const parseForecastQuery = (query, dataset) => {
+    const horizon = query.horizon === undefined ? 30 : parseInt(query.horizon);
+    if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_FORECAST_HORIZON) {
+        return { error: `horizon must be an integer between 1 and ${MAX_FORECAST_HORIZON}` };
+    }
+    const { interval, groupBy } = query;
+    if (interval && !INTERVALS.includes(interval)) {
+        return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+    }
+    if (groupBy && !dataset.dimensions.includes(groupBy)) {
+        return { error: `groupBy must be a categorical column: ${dataset.dimensions.join(', ')}` };
+    }
+    return {
+        options: {
+            horizon,
+            interval,
+            groupBy,
+            level: query.level === undefined ? 0.95 : parseFloat(query.level)
+        }
+    };
+};
+
+// Projects the aggregated date/target series forward with prediction bounds.
+// ?horizon=N&interval=day|week|month|quarter|year&groupBy=<categorical>&level=0.95
+app.get('/api/forecast', requireRole('analyst'), requireSalesData, (req, res) => {
+    const { options, error } = parseForecastQuery(req.query, req.dataset);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(buildForecast(seriesRows(req.dataset, options.groupBy), options));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Unusual days of the daily date/target series, overall or per group, with the
+// marks users gave them. ?method=seasonal|zscore|iqr&sensitivity=low|medium|high
+// &groupBy=<categorical>&from=&to= (see lib/anomalies.js)
+app.get('/api/anomalies', requireRole('analyst'), requireSalesData, (req, res) => {
+    try {
+        const options = anomalies.parseAnomalyQuery(req.query, req.dataset.dimensions);
+        res.json(anomalies.findAnomalies(req.project.id, seriesRows(req.dataset, options.groupBy), options));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Marks an anomaly. JSON body: { date, dimension, group, status: 'acknowledged' | 'excluded' | null }
+// (dimension and group for an anomaly of a group). Excluded anomalies are left out of the
+// next retrain on the stored dataset, so excluding one needs the admin role like training does.
+app.put('/api/anomalies/marks', requireRole('analyst'), (req, res) => {
+    const body = req.body || {};
+    if (body.status === 'excluded' && !auth.hasRole(req.user, 'admin')) {
+        return res.status(403).json({ error: 'Requires the admin role' });
+    }
+    try {
+        res.json(anomalies.mark(req.project.id, body, req.user));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Exports. ?format=csv|xlsx (default csv); the remaining parameters are those of the
+// endpoint being exported. Scripts can call them with an API key instead of a session.
+
+// The aggregated series of /api/sales; without interval or groupBy it is daily
+app.get('/api/export/sales', requireSalesData, async (req, res) => {
+    try {
+        const format = parseFormat(req.query.format);
+        const query = req.query.interval || req.query.groupBy ? req.query : { ...req.query, interval: 'day' };
+        const result = querySales(req.dataset, query);
+        await sendTables(res, `${path.parse(req.dataset.fileName).name}_series`, [seriesTable(result, req.dataset)], format);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// The forecast points of /api/forecast; the XLSX file also has a sheet of the fitted parameters
+app.get('/api/export/forecast', requireRole('analyst'), requireSalesData, async (req, res) => {
+    const { options, error } = parseForecastQuery(req.query, req.dataset);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const format = parseFormat(req.query.format);
+        const result = buildForecast(seriesRows(req.dataset, options.groupBy), options);
+        await sendTables(res, `${path.parse(req.dataset.fileName).name}_forecast`, forecastTables(result, req.dataset), format);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// PDF summary: the trend chart with the forecast, the active model's metrics and the
+// forecast table. ?horizon, ?interval and ?level as for /api/forecast (without groupBy).
+app.get('/api/export/report', requireRole('analyst'), requireSalesData, (req, res) => {
+    const { options, error } = parseForecastQuery({ ...req.query, groupBy: undefined }, req.dataset);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let forecast;
+    try {
+        forecast = buildForecast(seriesRows(req.dataset), options);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
+    // Same buckets as the forecast, which leaves out a trailing partial one
+    const series = querySales(req.dataset, { interval: forecast.interval }).series
+        .filter(point => point.date <= forecast.lastDate);
+    const version = modelRegistry.resolveVersion(req.project.id);
+
+    res.attachment(`${path.parse(req.dataset.fileName).name}_report.pdf`);
+    res.type('application/pdf');
+    buildReport({
+        title: req.project.isDefault ? 'Sales Report' : `Sales Report: ${req.project.name}`,
+        dataset: req.dataset,
+        series,
+        forecast,
+        model: version ? modelRegistry.readMetadata(version.id) : null,
+        version: version ? version.id : null
+    }).pipe(res);
+});
+
+app.get('/test',async(req,res)=>{
+    res.json({a:1})
+})
+
+const server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    retrainScheduler.schedule();
+    const { enabled, cron, nextRunAt } = retrainScheduler.status();
+    if (enabled) console.log(`Scheduled retraining (${cron}), next drift check at ${nextRunAt}.`);
+});
+
+const shutdown = () => {
+    retrainScheduler.stop();
+    predictionPool.shutdown();
+    // Open event streams would otherwise keep the server from closing
+    eventStream.closeAll();
+    server.close(() => {
+        db.close();
+        process.exit(0);
+    });
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,136 @@
+'use client';
+
+// Must match TRAINING_ALGORITHMS in the backend
+const ALGORITHMS = [
+  { name: 'random_forest', label: 'Random forest' },
+  { name: 'gradient_boosting', label: 'Gradient boosting' },
+  { name: 'ridge', label: 'Ridge (linear)' },
+  { name: 'seasonal_naive', label: 'Seasonal naive baseline' },
+];
+
+// How predictions treat a category value that was not in the training data
+const UNKNOWN_CATEGORY_STRATEGIES = [
+  { value: 'most_frequent', label: 'Use the most frequent category' },
+  { value: 'other', label: 'Use an "other" bucket learned from rare categories' },
+  { value: 'error', label: 'Reject the prediction' },
+];
+
+// Must match HOLIDAY_COUNTRIES in the backend
+const HOLIDAY_COUNTRIES = [
+  { code: 'CA', label: 'Canada' },
+  { code: 'DE', label: 'Germany' },
+  { code: 'FR', label: 'France' },
+  { code: 'GB', label: 'United Kingdom' },
+  { code: 'US', label: 'United States' },
+];
+
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Algorithms to compare, hyperparameter search, backtest setup, the
+// unseen-category strategy and the holiday calendar for the next training run. Every candidate is
+// scored on the same backtest folds and the one with the lowest MAE is kept.
+export default function AdvancedTrainingOptions({ options, onChange, disabled }) {
+  const toggleAlgorithm = (name) => {
+    const algorithms = options.algorithms.includes(name)
+      ? options.algorithms.filter(a => a !== name)
+      : [...options.algorithms, name];
+    // At least one algorithm has to run
+    if (algorithms.length > 0) onChange({ ...options, algorithms });
+  };
+
+  return (
+    <details className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-xl text-sm">
+      <summary className="cursor-pointer font-semibold text-gray-700">Advanced training options</summary>
+      <fieldset disabled={disabled} className="mt-3 space-y-4">
+        <div>
+          <span className="text-xs font-bold text-gray-600 uppercase tracking-wide">Algorithms</span>
+          <div className="mt-1 grid grid-cols-2 gap-1">
+            {ALGORITHMS.map(a => (
+              <label key={a.name} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={options.algorithms.includes(a.name)}
+                  onChange={() => toggleAlgorithm(a.name)}
+                />
+                {a.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.hyperparameterSearch}
+              onChange={(e) => onChange({ ...options, hyperparameterSearch: e.target.checked })}
+            />
+            Hyperparameter search
+          </label>
+          <label className="flex items-center gap-2 text-gray-600">
+            Max candidates
+            <input
+              type="number"
+              min="1"
+              max="30"
+              placeholder="8"
+              className="w-20 px-2 py-1 rounded-lg border border-gray-200 bg-white"
+              value={options.maxCandidates ?? ''}
+              onChange={(e) => onChange({ ...options, maxCandidates: toNumberOrNull(e.target.value) })}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-gray-600">
+            Backtest folds
+            <input
+              type="number"
+              min="1"
+              max="20"
+              placeholder="5"
+              className="w-20 px-2 py-1 rounded-lg border border-gray-200 bg-white"
+              value={options.backtestFolds ?? ''}
+              onChange={(e) => onChange({ ...options, backtestFolds: toNumberOrNull(e.target.value) })}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-gray-600">
+            Test window per fold (days)
+            <input
+              type="number"
+              min="1"
+              max="365"
+              placeholder="30"
+              className="w-20 px-2 py-1 rounded-lg border border-gray-200 bg-white"
+              value={options.backtestHorizonDays ?? ''}
+              onChange={(e) => onChange({ ...options, backtestHorizonDays: toNumberOrNull(e.target.value) })}
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center gap-2 text-gray-600">
+          Unseen categories at prediction time
+          <select
+            className="px-2 py-1 rounded-lg border border-gray-200 bg-white"
+            value={options.unknownCategory || 'most_frequent'}
+            onChange={(e) => onChange({ ...options, unknownCategory: e.target.value })}
+          >
+            {UNKNOWN_CATEGORY_STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2 text-gray-600">
+          Holiday calendar
+          <select
+            className="px-2 py-1 rounded-lg border border-gray-200 bg-white"
+            value={options.holidayCountry || ''}
+            onChange={(e) => onChange({ ...options, holidayCountry: e.target.value || null })}
+          >
+            <option value="">None</option>
+            {HOLIDAY_COUNTRIES.map(c => <option key={c.code} value={c.code}>{c.label}</option>)}
+          </select>
+        </label>
+      </fieldset>
+    </details>
+  );
+}
@@ -0,0 +1,154 @@
+'use client';
+
+// Must match METHODS in backend/lib/anomalies.js
+const METHODS = [
+  { value: 'seasonal', label: 'Seasonal residual' },
+  { value: 'zscore', label: 'Robust z-score' },
+  { value: 'iqr', label: 'Interquartile range' },
+];
+const SENSITIVITIES = ['low', 'medium', 'high'];
+
+const STATUS_CLASSES = {
+  acknowledged: 'bg-gray-100 text-gray-600',
+  excluded: 'bg-amber-100 text-amber-800',
+};
+
+const formatNumber = (value) => Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const markTitle = (a) => [
+  a.markedBy && `Marked by ${a.markedBy}`,
+  a.status === 'excluded' && (a.appliedJobId
+    ? `Left out of training since job ${a.appliedJobId}; reopen to train on it again`
+    : 'Left out of the next training run'),
+].filter(Boolean).join('. ') || undefined;
+
+// Unusual days found by GET /api/anomalies, overall or per group of a categorical
+// column. The same days are highlighted on the trend chart. Analysts acknowledge
+// them; admins can exclude them, which leaves their rows out of every training run
+// (uploads and retrains) until the anomaly is reopened.
+export default function AnomalyList({ anomalies, query, dimensions, canExclude, onQueryChange, onMark }) {
+  const counts = anomalies
+    ? anomalies.anomalies.reduce((acc, a) => ({ ...acc, [a.status || 'open']: (acc[a.status || 'open'] || 0) + 1 }), {})
+    : {};
+  const failedGroups = anomalies && anomalies.groups ? anomalies.groups.filter(g => g.error) : [];
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div className="flex flex-wrap items-baseline justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">Anomalies</h2>
+          <p className="text-sm text-gray-500">
+            Days whose total departs from the expected value. Excluded days are left out of every training run until reopened.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={query.method}
+            onChange={(e) => onQueryChange({ method: e.target.value })}
+          >
+            {METHODS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+          <label className="flex items-center gap-2">
+            Sensitivity
+            <select
+              className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+              value={query.sensitivity}
+              onChange={(e) => onQueryChange({ sensitivity: e.target.value })}
+            >
+              {SENSITIVITIES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </label>
+          {dimensions.length > 0 && (
+            <label className="flex items-center gap-2">
+              Per
+              <select
+                className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+                value={query.groupBy}
+                onChange={(e) => onQueryChange({ groupBy: e.target.value })}
+              >
+                <option value="">Total</option>
+                {dimensions.map(d => <option key={d} value={d}>{d}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+      </div>
+
+      {!anomalies ? (
+        <p className="text-sm text-gray-500">Anomaly detection is not available for this data.</p>
+      ) : anomalies.anomalies.length === 0 ? (
+        <p className="text-sm text-gray-500">No anomalies at this sensitivity.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">
+            {anomalies.anomalies.length} found · {counts.open || 0} open · {counts.acknowledged || 0} acknowledged · {counts.excluded || 0} excluded
+          </p>
+          <div className="max-h-96 overflow-y-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs text-gray-500 uppercase sticky top-0 bg-white">
+                <tr>
+                  <th className="py-2 pr-4">Date</th>
+                  {anomalies.groupBy && <th className="py-2 pr-4">{anomalies.groupBy}</th>}
+                  <th className="py-2 pr-4 text-right">Actual</th>
+                  <th className="py-2 pr-4 text-right">Expected</th>
+                  <th className="py-2 pr-4 text-right">Score</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...anomalies.anomalies].reverse().map(a => (
+                  <tr key={`${a.date}-${a.group}`} className="border-t border-gray-100">
+                    <td className="py-2 pr-4 whitespace-nowrap">{a.date}</td>
+                    {anomalies.groupBy && <td className="py-2 pr-4">{a.group}</td>}
+                    <td className={`py-2 pr-4 text-right font-medium ${a.direction === 'spike' ? 'text-red-600' : 'text-blue-700'}`}>
+                      {formatNumber(a.value)}
+                    </td>
+                    <td className="py-2 pr-4 text-right text-gray-500">{formatNumber(a.expected)}</td>
+                    <td className="py-2 pr-4 text-right">{a.score.toFixed(1)}</td>
+                    <td className="py-2 pr-4">
+                      {a.status ? (
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_CLASSES[a.status]}`}
+                          title={markTitle(a)}
+                        >
+                          {a.status === 'excluded' && a.appliedJobId ? 'excluded (applied)' : a.status}
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-400">open</span>
+                      )}
+                    </td>
+                    <td className="py-2 text-right whitespace-nowrap space-x-3">
+                      {a.status !== 'acknowledged' && (
+                        <button type="button" onClick={() => onMark(a, 'acknowledged')} className="text-blue-600 hover:text-blue-700">
+                          Acknowledge
+                        </button>
+                      )}
+                      {canExclude && a.status !== 'excluded' && (
+                        <button type="button" onClick={() => onMark(a, 'excluded')} className="text-amber-700 hover:text-amber-800">
+                          Exclude from training
+                        </button>
+                      )}
+                      {a.status && (
+                        <button type="button" onClick={() => onMark(a, null)} className="text-gray-500 hover:text-gray-700">
+                          Reopen
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {failedGroups.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Not checked: {failedGroups.map(g => `${g.group} (${g.error})`).join('; ')}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,56 @@
+'use client';
+
+const formatMetric = (value, suffix = '') => (value === null || value === undefined ? '—' : `${Number(value).toFixed(2)}${suffix}`);
+
+// Per-fold results of the expanding-window backtest (GET /api/model/backtest).
+// Each fold trains on everything up to its cutoff and is scored on the window after it.
+export default function BacktestResults({ backtest }) {
+  const { summary } = backtest;
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-xl font-semibold text-gray-700">Backtest</h2>
+        <span className="text-sm text-gray-500">
+          {summary.folds} of {backtest.folds_requested} folds, {backtest.horizon_days}-day test windows
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        MAE across folds: mean {formatMetric(summary.mae_mean)} ± {formatMetric(summary.mae_std)}
+        {' '}(best {formatMetric(summary.mae_min)}, worst {formatMetric(summary.mae_max)})
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="py-2 pr-4">Fold</th>
+              <th className="py-2 pr-4">Trained on</th>
+              <th className="py-2 pr-4">Tested on</th>
+              <th className="py-2 pr-4">Test rows</th>
+              <th className="py-2 pr-4">MAE</th>
+              <th className="py-2 pr-4">RMSE</th>
+              <th className="py-2 pr-4">MAPE</th>
+              <th className="py-2">R²</th>
+            </tr>
+          </thead>
+          <tbody>
+            {backtest.folds.map(fold => (
+              <tr key={fold.fold} className="border-t border-gray-100">
+                <td className="py-2 pr-4 font-medium text-gray-700">{fold.fold}</td>
+                <td className="py-2 pr-4">{fold.train_start} – {fold.train_end} ({fold.train_rows.toLocaleString()} rows)</td>
+                <td className="py-2 pr-4">{fold.test_start} – {fold.test_end}</td>
+                <td className="py-2 pr-4">{fold.test_rows.toLocaleString()}</td>
+                <td className="py-2 pr-4">{formatMetric(fold.mae)}</td>
+                <td className="py-2 pr-4">{formatMetric(fold.rmse)}</td>
+                <td className="py-2 pr-4">{formatMetric(fold.mape, '%')}</td>
+                <td className="py-2">{formatMetric(fold.r2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,126 @@
+'use client';
+
+import { useState } from 'react';
+
+// Appends a CSV to the current dataset (POST /api/data/append) and lists the
+// append history (GET /api/data/appends). Only the latest append can be reverted.
+export default function DataAppends({ history, canEdit, busy, onAppend, onRevert }) {
+  const [file, setFile] = useState(null);
+  const [keyColumns, setKeyColumns] = useState(null); // null: server default
+  const [retrain, setRetrain] = useState(false);
+  const selectedKeys = keyColumns || history.defaultKeyColumns;
+  const latest = history.appends[0];
+  const canRevert = canEdit && latest && !latest.revertedAt && latest.datasetId === history.datasetId;
+
+  const toggleKey = (column) => {
+    const next = selectedKeys.includes(column)
+      ? selectedKeys.filter(c => c !== column)
+      : [...selectedKeys, column];
+    if (next.length > 0) setKeyColumns(next);
+  };
+
+  const handleAppend = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    if (await onAppend(file, selectedKeys, retrain)) {
+      setFile(null);
+      e.target.reset();
+    }
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-700">Append Data</h2>
+        <p className="text-sm text-gray-500">
+          Add new rows to the current dataset without re-uploading its history. The file needs the same columns;
+          a row with the same key as a stored row replaces it.
+        </p>
+      </div>
+
+      {canEdit && history.datasetId && (
+        <form onSubmit={handleAppend} className="space-y-3 text-sm">
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.gz,.zip"
+              onChange={(e) => setFile(e.target.files[0])}
+              className="text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700"
+            />
+            <label className="flex items-center gap-2 text-gray-700">
+              <input type="checkbox" checked={retrain} onChange={(e) => setRetrain(e.target.checked)} />
+              Retrain on the merged data
+            </label>
+            <button
+              type="submit"
+              disabled={!file || busy}
+              className="whitespace-nowrap px-6 py-2 bg-green-600 text-white font-medium rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Appending...' : 'Append'}
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-3 text-gray-600">
+            <span className="text-xs font-bold uppercase tracking-wide">De-duplicate on</span>
+            {history.columns.map(column => (
+              <label key={column} className="flex items-center gap-1">
+                <input type="checkbox" checked={selectedKeys.includes(column)} onChange={() => toggleKey(column)} />
+                {column}
+              </label>
+            ))}
+          </div>
+        </form>
+      )}
+
+      {history.appends.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing has been appended yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-2 pr-4">When</th>
+                <th className="py-2 pr-4">File</th>
+                <th className="py-2 pr-4">By</th>
+                <th className="py-2 pr-4">Key</th>
+                <th className="py-2 pr-4">Added</th>
+                <th className="py-2 pr-4">Replaced</th>
+                <th className="py-2 pr-4">Skipped</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.appends.map(a => (
+                <tr key={a.id} className={`border-t border-gray-100 ${a.revertedAt ? 'text-gray-400' : ''}`}>
+                  <td className="py-2 pr-4">{new Date(a.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4 font-medium">{a.fileName}</td>
+                  <td className="py-2 pr-4">{a.createdBy || '—'}</td>
+                  <td className="py-2 pr-4">{a.keyColumns.join(', ')}</td>
+                  <td className="py-2 pr-4">{a.rowsAdded}</td>
+                  <td className="py-2 pr-4">{a.rowsReplaced}</td>
+                  <td className="py-2 pr-4">{a.rowsSkipped}</td>
+                  <td className="py-2">
+                    {a.revertedAt
+                      ? `Reverted by ${a.revertedBy || 'unknown'}`
+                      : a.retrainJobId
+                        ? 'Merged, retrained'
+                        : a.datasetId !== history.datasetId ? `Merged into ${a.modelVersion} data` : 'Merged'}
+                    {canRevert && a === latest && (
+                      <button
+                        type="button"
+                        onClick={onRevert}
+                        disabled={busy}
+                        className="ml-3 text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Revert
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,253 @@
+'use client';
+
+import { useState } from 'react';
+import { Bar, Line } from 'react-chartjs-2';
+
+const PALETTE = ['#3b82f6', '#f97316', '#16a34a', '#a855f7', '#ef4444', '#0ea5e9', '#eab308', '#ec4899', '#14b8a6', '#6366f1'];
+const OTHER_COLOR = '#9ca3af';
+const AGGREGATES = { sum: 'Total', mean: 'Average', count: 'Rows' };
+
+const formatNumber = (value) => (value === null || value === undefined
+  ? '—'
+  : Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 }));
+const formatGrowth = (value) => (value === null || value === undefined
+  ? '—'
+  : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`);
+const growthClass = (value) => (value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-gray-500');
+const groupLabel = (value) => (value === null ? '(blank)' : value);
+
+// Breakdown of the target by one categorical column (GET /api/sales/breakdown).
+// Clicking a bar, point or table row filters to that value and breaks it down by
+// the next column in `dimensions`; the breadcrumb goes back up.
+//
+// query: { dimension, path: [{ dimension, value }], from, to, interval, agg, top }
+export default function DrillDownDashboard({ dimensions, targetColumn, query, breakdown, loading, onChange, onDrill, onDrillUp }) {
+  const [chartType, setChartType] = useState('bar'); // bar (stacked) | line
+  const drilled = query.path.map(step => step.dimension);
+  const nextDimension = dimensions.find(d => d !== query.dimension && !drilled.includes(d));
+  const canDrill = (value) => Boolean(nextDimension) && value !== null;
+  // Columns already fixed by the drill path cannot be broken down again
+  const choices = dimensions.filter(d => !drilled.includes(d));
+
+  const groups = breakdown ? breakdown.groups : [];
+  const dates = breakdown
+    ? [...new Set([...breakdown.series, ...(breakdown.other || [])].map(p => p.date))].sort()
+    : [];
+  const valuesFor = (points) => {
+    const byDate = new Map(points.map(p => [p.date, p.value]));
+    // Empty buckets add nothing to a sum or count; other aggregates have no value there
+    return dates.map(d => byDate.get(d) ?? (['sum', 'count'].includes(query.agg) ? 0 : null));
+  };
+  const datasets = groups.map((group, i) => ({
+    label: groupLabel(group.value),
+    group: group.value,
+    data: valuesFor(breakdown.series.filter(p => p.group === group.value)),
+    borderColor: PALETTE[i % PALETTE.length],
+    backgroundColor: PALETTE[i % PALETTE.length],
+    tension: 0.2,
+    pointRadius: 2,
+  }));
+  if (breakdown && breakdown.other) {
+    datasets.push({
+      label: `Other (${breakdown.totalGroups - groups.length})`,
+      other: true,
+      data: valuesFor(breakdown.other),
+      borderColor: OTHER_COLOR,
+      backgroundColor: OTHER_COLOR,
+      tension: 0.2,
+      pointRadius: 2,
+    });
+  }
+  const stacked = chartType === 'bar' && ['sum', 'count'].includes(query.agg);
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'nearest', intersect: true },
+    plugins: { legend: { position: 'bottom' } },
+    scales: {
+      x: { stacked, grid: { display: false } },
+      y: { stacked, grid: { color: '#f3f4f6' } },
+    },
+    onClick: (event, elements) => {
+      if (elements.length === 0) return;
+      const dataset = datasets[elements[0].datasetIndex];
+      if (!dataset.other && canDrill(dataset.group)) onDrill(dataset.group);
+    },
+  };
+  const chartData = { labels: dates, datasets };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">Breakdown</h2>
+          <p className="text-sm text-gray-500">
+            {targetColumn} by category. Click a bar, line or row to drill into it
+            {nextDimension ? ` by ${nextDimension}` : ''}.
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+          {[['bar', 'Stacked bars'], ['line', 'Lines']].map(([type, label]) => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setChartType(type)}
+              className={`px-3 py-1 ${chartType === type ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          Break down by
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={query.dimension}
+            onChange={(e) => onChange({ dimension: e.target.value })}
+          >
+            {choices.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Measure
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={query.agg}
+            onChange={(e) => onChange({ agg: e.target.value })}
+          >
+            {Object.entries(AGGREGATES).map(([agg, label]) => <option key={agg} value={agg}>{label}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Every
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={query.interval}
+            onChange={(e) => onChange({ interval: e.target.value })}
+          >
+            {['day', 'week', 'month', 'quarter', 'year'].map(i => <option key={i} value={i}>{i}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          Top
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={query.top}
+            onChange={(e) => onChange({ top: Number(e.target.value) })}
+          >
+            {[5, 10, 20].map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2">
+          From
+          <input
+            type="date"
+            className="px-2 py-1 rounded-lg border border-gray-200"
+            value={query.from || (breakdown && breakdown.from) || ''}
+            onChange={(e) => onChange({ from: e.target.value })}
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          To
+          <input
+            type="date"
+            className="px-2 py-1 rounded-lg border border-gray-200"
+            value={query.to || (breakdown && breakdown.to) || ''}
+            onChange={(e) => onChange({ to: e.target.value })}
+          />
+        </label>
+        {(query.from || query.to) && (
+          <button type="button" onClick={() => onChange({ from: '', to: '' })} className="text-blue-600 hover:text-blue-700">
+            All dates
+          </button>
+        )}
+      </div>
+
+      <nav className="flex flex-wrap items-center gap-1 text-sm">
+        <button type="button" onClick={() => onDrillUp(0)} className="text-blue-600 hover:text-blue-700">
+          All data
+        </button>
+        {query.path.map((step, i) => (
+          <span key={step.dimension} className="flex items-center gap-1">
+            <span className="text-gray-400">›</span>
+            <button
+              type="button"
+              onClick={() => onDrillUp(i + 1)}
+              disabled={i === query.path.length - 1}
+              className="text-blue-600 hover:text-blue-700 disabled:text-gray-700 disabled:font-medium"
+            >
+              {step.dimension}: {step.value}
+            </button>
+          </span>
+        ))}
+        <span className="text-gray-400">›</span>
+        <span className="text-gray-500">by {query.dimension}</span>
+      </nav>
+
+      {breakdown && breakdown.total.rows > 0 ? (
+        <>
+          <div className="flex flex-wrap items-baseline gap-x-6 gap-y-1 text-sm">
+            <span className="text-2xl font-bold text-gray-900">{formatNumber(breakdown.total.current)}</span>
+            <span className={`font-medium ${growthClass(breakdown.total.growth)}`}>
+              {formatGrowth(breakdown.total.growth)}
+            </span>
+            <span className="text-gray-500">
+              {breakdown.from} to {breakdown.to} vs {breakdown.previous.from} to {breakdown.previous.to}
+              {' '}({formatNumber(breakdown.total.previous)})
+            </span>
+          </div>
+
+          <div className={`h-80 ${loading ? 'opacity-50' : ''}`}>
+            {chartType === 'bar'
+              ? <Bar data={chartData} options={chartOptions} />
+              : <Line data={chartData} options={chartOptions} />}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs text-gray-500 uppercase">
+                <tr>
+                  <th className="py-2 pr-4">#</th>
+                  <th className="py-2 pr-4">{query.dimension}</th>
+                  <th className="py-2 pr-4 text-right">{AGGREGATES[query.agg]}</th>
+                  <th className="py-2 pr-4 text-right">Share</th>
+                  <th className="py-2 pr-4 text-right">Previous period</th>
+                  <th className="py-2 text-right">Growth</th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.map((group, i) => (
+                  <tr
+                    key={String(group.value)}
+                    onClick={() => canDrill(group.value) && onDrill(group.value)}
+                    className={`border-t border-gray-100 ${canDrill(group.value) ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+                  >
+                    <td className="py-2 pr-4 text-gray-400">{i + 1}</td>
+                    <td className="py-2 pr-4 font-medium text-gray-700">
+                      <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ backgroundColor: PALETTE[i % PALETTE.length] }} />
+                      {groupLabel(group.value)}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatNumber(group.current)}</td>
+                    <td className="py-2 pr-4 text-right">{group.share === null ? '—' : `${group.share.toFixed(1)}%`}</td>
+                    <td className="py-2 pr-4 text-right">{formatNumber(group.previous)}</td>
+                    <td className={`py-2 text-right font-medium ${growthClass(group.growth)}`}>{formatGrowth(group.growth)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {breakdown.totalGroups > groups.length && (
+              <p className="mt-2 text-xs text-gray-500">
+                Top {groups.length} of {breakdown.totalGroups} values of {query.dimension}.
+              </p>
+            )}
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">{loading ? 'Loading...' : 'No sales in this selection.'}</p>
+      )}
+    </section>
+  );
+}
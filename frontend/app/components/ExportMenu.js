@@ -0,0 +1,30 @@
+'use client';
+
+// Download buttons for the trend chart: the daily series, the forecast
+// (analysts) and the server-rendered PDF report (analysts).
+const EXPORTS = [
+  { kind: 'series', format: 'csv', label: 'Series CSV' },
+  { kind: 'series', format: 'xlsx', label: 'Series XLSX' },
+  { kind: 'forecast', format: 'csv', label: 'Forecast CSV', forecast: true },
+  { kind: 'forecast', format: 'xlsx', label: 'Forecast XLSX', forecast: true },
+  { kind: 'report', format: 'pdf', label: 'PDF report', forecast: true },
+];
+
+export default function ExportMenu({ canForecast, exporting, onExport }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-xs font-bold uppercase tracking-wide text-gray-500">Export</span>
+      {EXPORTS.filter(e => canForecast || !e.forecast).map(({ kind, format, label }) => (
+        <button
+          key={`${kind}-${format}`}
+          type="button"
+          onClick={() => onExport(kind, format)}
+          disabled={Boolean(exporting)}
+          className="px-3 py-1 rounded-lg border border-gray-200 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {exporting === `${kind}-${format}` ? 'Preparing...' : label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+'use client';
+
+import { useState } from 'react';
+
+// Sign-in screen. onLogin(username, password) resolves on success or throws
+// an Error whose message is shown under the form.
+export default function LoginForm({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onLogin(username, password);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <main className="min-h-screen bg-gray-50 flex items-center justify-center p-6 font-sans text-gray-800">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white p-8 rounded-2xl shadow-sm border border-gray-100 space-y-5"
+      >
+        <div className="text-center space-y-1">
+          <h1 className="text-2xl font-bold tracking-tight text-gray-900">Sales Analytics Dashboard</h1>
+          <p className="text-sm text-gray-500">Sign in to continue</p>
+        </div>
+
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-bold text-gray-600 uppercase tracking-wide">Username</span>
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-100 outline-none text-sm"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-bold text-gray-600 uppercase tracking-wide">Password</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-gray-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-100 outline-none text-sm"
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={busy || !username || !password}
+          className="w-full px-6 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {busy ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </main>
+  );
+}
@@ -0,0 +1,191 @@
+'use client';
+
+import { useState } from 'react';
+import { Bar, Scatter } from 'react-chartjs-2';
+
+const formatMetric = (value, suffix = '') => (value === null || value === undefined ? '—' : `${Number(value).toFixed(2)}${suffix}`);
+const formatParams = (params) => Object.entries(params || {}).map(([k, v]) => `${k}=${v === null ? 'None' : v}`).join(', ');
+
+// Evaluation report of the active model (GET /api/model/evaluation): headline
+// metrics, the chosen algorithm, feature importances, predicted vs actual and
+// per-category errors.
+export default function ModelQuality({ evaluation }) {
+  const categoryColumns = Object.keys(evaluation.by_category || {});
+  const [categoryColumn, setCategoryColumn] = useState(categoryColumns[0] || '');
+  const { metrics, residuals } = evaluation;
+  const points = evaluation.predicted_vs_actual;
+  const categoryRows = (evaluation.by_category || {})[categoryColumn] || [];
+  const searchCandidates = (evaluation.search && evaluation.search.candidates) || [];
+
+  const importanceData = {
+    labels: evaluation.feature_importances.map(f => f.feature),
+    datasets: [{
+      label: 'Importance',
+      data: evaluation.feature_importances.map(f => f.importance),
+      backgroundColor: 'rgba(59, 130, 246, 0.7)', // Tailwind blue-500
+    }],
+  };
+
+  // A perfect model puts every point on the diagonal
+  const values = points.flatMap(p => [p.actual, p.predicted]);
+  const lo = values.length ? Math.min(...values) : 0;
+  const hi = values.length ? Math.max(...values) : 0;
+  const scatterData = {
+    datasets: [
+      {
+        label: 'Test rows',
+        data: points.map(p => ({ x: p.actual, y: p.predicted })),
+        backgroundColor: 'rgba(59, 130, 246, 0.5)',
+        pointRadius: 3,
+      },
+      {
+        label: 'Perfect prediction',
+        data: [{ x: lo, y: lo }, { x: hi, y: hi }],
+        borderColor: 'rgb(156, 163, 175)', // Tailwind gray-400
+        borderDash: [6, 4],
+        showLine: true,
+        pointRadius: 0,
+      },
+    ],
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-6">
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-xl font-semibold text-gray-700">Model Quality</h2>
+        <span className="text-sm text-gray-500">
+          Model {evaluation.version}, {metrics.count.toLocaleString()} held-out rows
+          {evaluation.validation === 'random_split' ? ' (random split)' : evaluation.validation ? ' (backtest folds)' : ''}
+        </span>
+      </div>
+
+      {evaluation.model && (
+        <p className="text-sm text-gray-600">
+          Algorithm: <span className="font-medium text-gray-800">{evaluation.model.label}</span>
+          {' '}<span className="font-mono text-xs text-gray-500">({formatParams(evaluation.model.params)})</span>
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          ['MAE', formatMetric(metrics.mae)],
+          ['RMSE', formatMetric(metrics.rmse)],
+          ['MAPE', formatMetric(metrics.mape, '%')],
+          ['R²', formatMetric(metrics.r2)],
+        ].map(([label, value]) => (
+          <div key={label} className="p-4 bg-gray-50 rounded-xl border border-gray-100">
+            <div className="text-xs font-bold text-gray-500 uppercase tracking-wide">{label}</div>
+            <div className="text-2xl font-semibold text-gray-800">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-600 mb-2">Feature importance</h3>
+          <div className="h-72">
+            <Bar
+              data={importanceData}
+              options={{
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: { x: { grid: { color: '#f3f4f6' } }, y: { grid: { display: false } } },
+              }}
+            />
+          </div>
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-600 mb-2">Predicted vs actual</h3>
+          <div className="h-72">
+            <Scatter
+              data={scatterData}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { position: 'top' } },
+                scales: {
+                  x: { title: { display: true, text: `Actual ${evaluation.targetColumn || ''}` }, grid: { color: '#f3f4f6' } },
+                  y: { title: { display: true, text: 'Predicted' }, grid: { color: '#f3f4f6' } },
+                },
+              }}
+            />
+          </div>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Residuals (actual − predicted): mean {formatMetric(residuals.mean)}, std {formatMetric(residuals.std)},
+        {' '}middle 90% between {formatMetric(residuals.quantiles.p5)} and {formatMetric(residuals.quantiles.p95)}.
+      </p>
+
+      {searchCandidates.length > 1 && (
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-gray-600">
+            Candidates compared{evaluation.search.enabled ? ' (hyperparameter search)' : ''}
+          </h3>
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-2 pr-4">Algorithm</th>
+                <th className="py-2 pr-4">Parameters</th>
+                <th className="py-2 pr-4">MAE</th>
+                <th className="py-2 pr-4">RMSE</th>
+                <th className="py-2">R²</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...searchCandidates].sort((a, b) => a.mae - b.mae).map((c, i) => (
+                <tr key={i} className={`border-t border-gray-100 ${c.selected ? 'font-semibold text-green-700' : ''}`}>
+                  <td className="py-2 pr-4">{c.algorithm}{c.selected ? ' ✓' : ''}</td>
+                  <td className="py-2 pr-4 font-mono text-xs">{formatParams(c.params)}</td>
+                  <td className="py-2 pr-4">{formatMetric(c.mae)}</td>
+                  <td className="py-2 pr-4">{formatMetric(c.rmse)}</td>
+                  <td className="py-2">{formatMetric(c.r2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {categoryColumns.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <h3 className="font-semibold">Errors by</h3>
+            <select
+              className="px-3 py-1 rounded-lg border border-gray-200 bg-white text-sm"
+              value={categoryColumn}
+              onChange={(e) => setCategoryColumn(e.target.value)}
+            >
+              {categoryColumns.map(col => <option key={col} value={col}>{col}</option>)}
+            </select>
+          </div>
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-2 pr-4">{categoryColumn}</th>
+                <th className="py-2 pr-4">Rows</th>
+                <th className="py-2 pr-4">MAE</th>
+                <th className="py-2 pr-4">RMSE</th>
+                <th className="py-2">MAPE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categoryRows.map(row => (
+                <tr key={row.value} className="border-t border-gray-100">
+                  <td className="py-2 pr-4 font-medium text-gray-700">{row.value}</td>
+                  <td className="py-2 pr-4">{row.count}</td>
+                  <td className="py-2 pr-4">{formatMetric(row.mae)}</td>
+                  <td className="py-2 pr-4">{formatMetric(row.rmse)}</td>
+                  <td className="py-2">{formatMetric(row.mape, '%')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,141 @@
+'use client';
+
+import { Line } from 'react-chartjs-2';
+
+const INTERVALS = ['day', 'week', 'month', 'quarter'];
+
+const formatMetric = (value, suffix = '') => (value === null || value === undefined ? '—' : `${Number(value).toFixed(2)}${suffix}`);
+const formatInputs = (inputs) => Object.entries(inputs).map(([name, value]) => `${name}=${value}`).join(', ');
+
+// Realized error of logged predictions (GET /api/predictions/accuracy) and the
+// latest entries of the prediction audit log (GET /api/predictions). Actuals
+// are joined in when sales rows for a prediction's date and categories are uploaded.
+export default function PredictionAccuracy({ accuracy, history, interval, onIntervalChange }) {
+  const { overall } = accuracy;
+  const chartData = {
+    labels: accuracy.series.map(point => point.date),
+    datasets: [
+      {
+        label: 'MAE',
+        data: accuracy.series.map(point => point.mae),
+        borderColor: '#3b82f6',
+        backgroundColor: '#3b82f6',
+        tension: 0.2,
+      },
+      {
+        label: 'Bias (predicted − actual)',
+        data: accuracy.series.map(point => point.bias),
+        borderColor: '#f97316',
+        backgroundColor: '#f97316',
+        borderDash: [5, 5],
+        tension: 0.2,
+      },
+    ],
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          afterBody: (items) => `${accuracy.series[items[0].dataIndex].count} predictions`,
+        },
+      },
+    },
+    scales: {
+      x: { grid: { display: false } },
+      y: { grid: { color: '#f3f4f6' } },
+    },
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div className="flex flex-wrap items-baseline justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">Prediction Accuracy</h2>
+          <p className="text-sm text-gray-500">
+            Served predictions compared with the actuals uploaded later, by predicted date.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Every
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={interval}
+            onChange={(e) => onIntervalChange(e.target.value)}
+          >
+            {INTERVALS.map(i => <option key={i} value={i}>{i}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+        {[
+          ['With actuals', overall.count.toLocaleString()],
+          ['Awaiting actuals', accuracy.pending.toLocaleString()],
+          ['MAE', formatMetric(overall.mae)],
+          ['MAPE', formatMetric(overall.mape, '%')],
+          ['Bias', formatMetric(overall.bias)],
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 rounded-lg bg-gray-50 border border-gray-100">
+            <div className="text-xs font-bold uppercase tracking-wide text-gray-500">{label}</div>
+            <div className="text-lg font-semibold text-gray-800">{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {accuracy.series.length > 0 ? (
+        <div className="h-64">
+          <Line data={chartData} options={chartOptions} />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No actuals yet. Upload or append sales rows for the dates that were predicted.
+        </p>
+      )}
+
+      {accuracy.versions.length > 1 && (
+        <p className="text-sm text-gray-600">
+          By model version: {accuracy.versions.map(v => `${v.version} MAE ${formatMetric(v.mae)} (${v.count})`).join(' · ')}
+        </p>
+      )}
+
+      {history && history.predictions.length > 0 && (
+        <div className="overflow-x-auto">
+          <h3 className="text-sm font-semibold text-gray-600 mb-2">
+            Latest predictions ({history.total.toLocaleString()} logged)
+          </h3>
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-2 pr-4">When</th>
+                <th className="py-2 pr-4">Caller</th>
+                <th className="py-2 pr-4">Model</th>
+                <th className="py-2 pr-4">Inputs</th>
+                <th className="py-2 pr-4 text-right">Predicted</th>
+                <th className="py-2 pr-4 text-right">Actual</th>
+                <th className="py-2 text-right">Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.predictions.map(entry => (
+                <tr key={entry.id} className="border-t border-gray-100">
+                  <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4">{entry.caller || '—'}{entry.source === 'batch' ? ' (batch)' : ''}</td>
+                  <td className="py-2 pr-4">{entry.version}</td>
+                  <td className="py-2 pr-4 text-gray-500 max-w-xs truncate" title={formatInputs(entry.inputs)}>
+                    {formatInputs(entry.inputs)}
+                  </td>
+                  <td className="py-2 pr-4 text-right">{formatMetric(entry.prediction)}</td>
+                  <td className="py-2 pr-4 text-right">{formatMetric(entry.actual)}</td>
+                  <td className="py-2 text-right">{formatMetric(entry.error)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,83 @@
+'use client';
+
+import { Bar } from 'react-chartjs-2';
+
+// Bars beyond this many features are folded into one "Other features" step
+const MAX_STEPS = 8;
+
+const METHODS = {
+  tree_path: { label: 'tree-path decomposition', baseline: 'the average training value' },
+  permutation: { label: 'permutation sampling', baseline: 'a typical row' },
+};
+
+const formatValue = (value) => (typeof value === 'number' ? Number(value.toFixed(2)) : value);
+
+// Waterfall of the per-feature contributions returned by /api/predict?explain=true:
+// from the baseline, each feature pushes the forecast up or down.
+export default function PredictionExplanation({ explanation, prediction }) {
+  const method = METHODS[explanation.method] || { label: explanation.method, baseline: 'the baseline' };
+  const top = explanation.contributions.slice(0, MAX_STEPS);
+  const rest = explanation.contributions.slice(MAX_STEPS);
+  const steps = top.map(c => ({ label: `${c.feature} = ${formatValue(c.value)}`, contribution: c.contribution }));
+  if (rest.length > 0) {
+    steps.push({ label: `Other features (${rest.length})`, contribution: rest.reduce((sum, c) => sum + c.contribution, 0) });
+  }
+
+  // Floating bars: each step spans from the running total before it to the one after
+  let running = explanation.baseline;
+  const bars = steps.map(step => {
+    const start = running;
+    running += step.contribution;
+    return [start, running];
+  });
+
+  const data = {
+    labels: ['Baseline', ...steps.map(s => s.label), 'Forecast'],
+    datasets: [{
+      label: 'Contribution',
+      data: [[0, explanation.baseline], ...bars, [0, prediction]],
+      backgroundColor: [
+        'rgba(156, 163, 175, 0.7)', // Tailwind gray-400
+        ...steps.map(s => (s.contribution >= 0 ? 'rgba(22, 163, 74, 0.7)' : 'rgba(220, 38, 38, 0.7)')),
+        'rgba(59, 130, 246, 0.7)', // Tailwind blue-500
+      ],
+    }],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => {
+            const [start, end] = ctx.raw;
+            const isStep = ctx.dataIndex > 0 && ctx.dataIndex <= steps.length;
+            const amount = isStep ? end - start : end;
+            return `${isStep && amount >= 0 ? '+' : ''}${amount.toFixed(2)}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: { grid: { display: false }, ticks: { autoSkip: false, maxRotation: 45, minRotation: 0 } },
+      y: { grid: { color: '#f3f4f6' } },
+    },
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-3">
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-xl font-semibold text-gray-700">Why this forecast</h2>
+        <span className="text-sm text-gray-500">{method.label}</span>
+      </div>
+      <p className="text-sm text-gray-600">
+        Starting from {method.baseline} ({explanation.baseline.toFixed(2)}), green features raised the forecast and red ones lowered it.
+      </p>
+      <div className="h-72">
+        <Bar data={data} options={options} />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,98 @@
+'use client';
+
+import { useState } from 'react';
+
+// Picks the project the dashboard works on. Admins can also create projects
+// and delete the current one (except the default project).
+// onCreate(name, description) resolves to true once created.
+export default function ProjectSwitcher({ projects, projectId, canManage, onSelect, onCreate, onDelete }) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [busy, setBusy] = useState(false);
+  const current = projects.find(p => p.id === projectId) || projects.find(p => p.isDefault);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (await onCreate(name.trim(), description.trim())) {
+        setName('');
+        setDescription('');
+        setCreating(false);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!current) return null;
+
+  return (
+    <div className="flex flex-col items-center gap-2 text-sm text-gray-600">
+      <div className="flex flex-wrap items-center justify-center gap-3">
+        <label className="flex items-center gap-2">
+          Project
+          <select
+            className="px-3 py-1 rounded-lg border border-gray-200 bg-white"
+            value={current.id}
+            onChange={(e) => onSelect(Number(e.target.value))}
+          >
+            {projects.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        {canManage && (
+          <>
+            <button
+              type="button"
+              onClick={() => setCreating(!creating)}
+              className="font-medium text-blue-600 hover:text-blue-700"
+            >
+              {creating ? 'Cancel' : 'New project'}
+            </button>
+            {!current.isDefault && (
+              <button
+                type="button"
+                onClick={() => onDelete(current)}
+                className="font-medium text-red-600 hover:text-red-700"
+              >
+                Delete project
+              </button>
+            )}
+          </>
+        )}
+      </div>
+      {current.description && <p className="text-xs text-gray-500">{current.description}</p>}
+      {creating && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center justify-center gap-2">
+          <input
+            type="text"
+            placeholder="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={100}
+            required
+            className="px-3 py-1 rounded-lg border border-gray-200"
+          />
+          <input
+            type="text"
+            placeholder="Description (optional)"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={500}
+            className="px-3 py-1 rounded-lg border border-gray-200 w-64"
+          />
+          <button
+            type="submit"
+            disabled={busy || !name.trim()}
+            className="px-3 py-1 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {busy ? 'Creating...' : 'Create'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+'use client';
+
+import { useState } from 'react';
+
+const formatPrediction = (value) => (value === null || value === undefined ? '—' : `$${Number(value).toFixed(2)}`);
+
+// Saved what-if scenarios side by side (GET /api/scenarios). Inputs that differ
+// from the first scenario are highlighted, predictions are shown against it.
+export default function ScenarioComparison({ scenarios, version, features, currentInputs, onSave, onLoad, onDelete }) {
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const base = scenarios[0];
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    try {
+      if (await onSave(name.trim(), currentInputs)) setName('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-700">What-if Scenarios</h2>
+          <p className="text-sm text-gray-500">
+            Save the current prediction parameters under a name to compare them later.
+            {version && ` Predictions use model ${version}.`}
+          </p>
+        </div>
+        <form onSubmit={handleSave} className="flex items-center gap-2">
+          <input
+            type="text"
+            maxLength={100}
+            placeholder="Scenario name"
+            className="px-3 py-2 rounded-lg border border-gray-200 text-sm"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={saving || !name.trim()}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Save Scenario'}
+          </button>
+        </form>
+      </div>
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-500">No saved scenarios yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="py-2 pr-4">Input</th>
+                {scenarios.map(s => (
+                  <th key={s.id} className="py-2 pr-4 normal-case text-sm font-semibold text-gray-700">{s.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {features.map(f => (
+                <tr key={f.name} className="border-t border-gray-100">
+                  <td className="py-2 pr-4 text-gray-600">{f.name}</td>
+                  {scenarios.map(s => {
+                    const value = s.inputs[f.name];
+                    const changed = s !== base && String(value) !== String(base.inputs[f.name]);
+                    return (
+                      <td key={s.id} className={`py-2 pr-4 ${changed ? 'font-semibold text-blue-700' : 'text-gray-700'}`}>
+                        {value === undefined || value === null || value === '' ? '—' : String(value)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr className="border-t-2 border-gray-200">
+                <td className="py-2 pr-4 font-semibold text-gray-700">Prediction</td>
+                {scenarios.map(s => {
+                  const delta = s !== base && s.prediction !== null && base.prediction !== null ? s.prediction - base.prediction : null;
+                  return (
+                    <td key={s.id} className="py-2 pr-4">
+                      {s.error ? (
+                        <span className="text-red-600" title={s.error}>Failed</span>
+                      ) : (
+                        <>
+                          <span className="font-bold text-green-800">{formatPrediction(s.prediction)}</span>
+                          {delta !== null && (
+                            <span className={`ml-2 text-xs ${delta >= 0 ? 'text-green-700' : 'text-red-600'}`}>
+                              {delta >= 0 ? '+' : ''}{delta.toFixed(2)}
+                            </span>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+              <tr>
+                <td />
+                {scenarios.map(s => (
+                  <td key={s.id} className="py-2 pr-4 space-x-3 text-xs">
+                    <button type="button" onClick={() => onLoad(s)} className="text-blue-600 hover:underline">Load</button>
+                    <button type="button" onClick={() => onDelete(s)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,160 @@
+'use client';
+
+// Must match MAX_HISTORY_GROUP_COLUMNS / MAX_HISTORY_GROUPS in backend/server.js
+const MAX_HISTORY_GROUP_COLUMNS = 2;
+const MAX_HISTORY_GROUPS = 50;
+
+// Shows what training detected in an uploaded CSV and lets the user override
+// the date column, the target and excluded columns before confirming, and pick
+// the columns that group the lag / rolling mean features.
+export default function SchemaPreview({ preview, overrides, onChange, onConfirm, onCancel, busy }) {
+  const { profile, fileName } = preview;
+  const detected = profile.detected;
+  const dateColumn = overrides.dateColumn || detected.date_column;
+  const targetColumn = overrides.targetColumn || detected.target_column;
+  const numericColumns = profile.columns.filter(c => c.type === 'numeric' || c.name === detected.target_column);
+
+  const toggleExclude = (name) => {
+    const excluded = overrides.excludeColumns.includes(name)
+      ? overrides.excludeColumns.filter(c => c !== name)
+      : [...overrides.excludeColumns, name];
+    onChange({
+      ...overrides,
+      excludeColumns: excluded,
+      historyGroupColumns: overrides.historyGroupColumns.filter(c => !excluded.includes(c)),
+    });
+  };
+
+  const toggleGroup = (name) => {
+    const grouped = overrides.historyGroupColumns.includes(name)
+      ? overrides.historyGroupColumns.filter(c => c !== name)
+      : [...overrides.historyGroupColumns, name];
+    onChange({ ...overrides, historyGroupColumns: grouped });
+  };
+
+  const canGroup = (c) => c.type === 'categorical' && c.cardinality <= MAX_HISTORY_GROUPS
+    && c.name !== dateColumn && !overrides.excludeColumns.includes(c.name)
+    && (overrides.historyGroupColumns.includes(c.name) || overrides.historyGroupColumns.length < MAX_HISTORY_GROUP_COLUMNS);
+
+  const roleOf = (name) => {
+    if (name === dateColumn) return 'Date';
+    if (name === targetColumn) return 'Target';
+    if (overrides.excludeColumns.includes(name)) return 'Excluded';
+    return 'Feature';
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 text-sm space-y-4">
+      <h2 className="text-xl font-semibold text-gray-700">
+        Dataset Preview: {fileName} <span className="text-base font-normal text-gray-500">({profile.rows.toLocaleString()} rows)</span>
+      </h2>
+
+      {profile.warnings.length > 0 && (
+        <ul className="p-3 bg-yellow-50 border border-yellow-100 rounded-lg text-yellow-800 list-disc list-inside">
+          {profile.warnings.map(w => <li key={w}>{w}</li>)}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-bold text-gray-600 uppercase tracking-wide">Date column</span>
+          <select
+            className="px-3 py-2 rounded-lg border border-gray-200 bg-white"
+            value={overrides.dateColumn || ''}
+            onChange={(e) => onChange({ ...overrides, dateColumn: e.target.value || null })}
+          >
+            <option value="">Auto ({detected.date_column || 'none'})</option>
+            {profile.columns.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="text-xs font-bold text-gray-600 uppercase tracking-wide">Target column</span>
+          <select
+            className="px-3 py-2 rounded-lg border border-gray-200 bg-white"
+            value={overrides.targetColumn || ''}
+            onChange={(e) => onChange({ ...overrides, targetColumn: e.target.value || null })}
+          >
+            <option value="">Auto ({detected.target_column || 'none'})</option>
+            {numericColumns.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {profile.date_summary && profile.date_summary.unparseable_count > 0 && (
+        <p className="text-red-600">
+          {profile.date_summary.unparseable_count} unparseable dates in {profile.date_summary.column}
+          {' '}(e.g. {profile.date_summary.unparseable_examples.join(', ')})
+        </p>
+      )}
+
+      <p className="text-gray-500">
+        Lag and rolling mean features follow the total series, or per group of up to {MAX_HISTORY_GROUP_COLUMNS} categorical
+        columns with at most {MAX_HISTORY_GROUPS} values each.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead className="text-xs text-gray-500 uppercase">
+            <tr>
+              <th className="py-2 pr-4">Exclude</th>
+              <th className="py-2 pr-4">Group history</th>
+              <th className="py-2 pr-4">Column</th>
+              <th className="py-2 pr-4">Type</th>
+              <th className="py-2 pr-4">Role</th>
+              <th className="py-2 pr-4">Nulls</th>
+              <th className="py-2 pr-4">Distinct</th>
+              <th className="py-2">Examples</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profile.columns.map(c => (
+              <tr key={c.name} className="border-t border-gray-100">
+                <td className="py-2 pr-4">
+                  <input
+                    type="checkbox"
+                    checked={overrides.excludeColumns.includes(c.name)}
+                    disabled={c.name === dateColumn || c.name === targetColumn}
+                    onChange={() => toggleExclude(c.name)}
+                  />
+                </td>
+                <td className="py-2 pr-4">
+                  <input
+                    type="checkbox"
+                    checked={overrides.historyGroupColumns.includes(c.name)}
+                    disabled={!canGroup(c)}
+                    onChange={() => toggleGroup(c.name)}
+                  />
+                </td>
+                <td className="py-2 pr-4 font-medium text-gray-700">{c.name}</td>
+                <td className="py-2 pr-4">{c.type}</td>
+                <td className="py-2 pr-4">{roleOf(c.name)}</td>
+                <td className="py-2 pr-4">{(c.null_rate * 100).toFixed(1)}%</td>
+                <td className="py-2 pr-4">{c.cardinality}</td>
+                <td className="py-2 text-gray-500 truncate max-w-xs">{c.examples.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex gap-3 justify-end">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={busy}
+          className="px-4 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={onConfirm}
+          disabled={busy || !targetColumn}
+          className="px-6 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Confirm & Train
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,103 @@
+'use client';
+
+import { useState } from 'react';
+import { Bar, Line } from 'react-chartjs-2';
+
+// Varies one feature while the other prediction parameters stay as they are
+// (POST /api/predict/sweep) and charts the prediction against it. Numeric
+// features default to their training range; categorical ones try every option.
+export default function SensitivitySweep({ features, timeFeatures, sweep, running, onRun }) {
+  // Date-derived features follow the date and cannot be swept on their own
+  const sweepable = features.filter(f => !timeFeatures.includes(f.name));
+  const [featureName, setFeatureName] = useState(sweepable[0] ? sweepable[0].name : '');
+  const [range, setRange] = useState({ from: '', to: '', steps: '' });
+  const feature = sweepable.find(f => f.name === featureName);
+
+  const handleRun = (e) => {
+    e.preventDefault();
+    if (!feature) return;
+    const toNumber = (value) => (value === '' ? undefined : Number(value));
+    onRun(feature.type === 'categorical'
+      ? { feature: feature.name }
+      : { feature: feature.name, from: toNumber(range.from), to: toNumber(range.to), steps: toNumber(range.steps) });
+  };
+
+  const points = sweep ? sweep.points.filter(p => p.prediction !== null) : [];
+  const failed = sweep ? sweep.points.length - points.length : 0;
+  const isCurrent = (p) => sweep && String(p.value) === String(sweep.current);
+  const chartData = {
+    labels: points.map(p => (typeof p.value === 'number' ? Number(p.value.toFixed(2)) : p.value)),
+    datasets: [{
+      label: `Predicted ${sweep ? sweep.targetColumn : ''}`,
+      data: points.map(p => p.prediction),
+      borderColor: 'rgb(59, 130, 246)', // Tailwind blue-500
+      backgroundColor: points.map(p => (isCurrent(p) ? 'rgba(22, 163, 74, 0.8)' : 'rgba(59, 130, 246, 0.6)')),
+      pointRadius: points.map(p => (isCurrent(p) ? 6 : 3)),
+      tension: 0.2,
+    }],
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: { legend: { display: false } },
+    scales: {
+      x: { title: { display: true, text: sweep ? sweep.feature : '' }, grid: { display: false } },
+      y: { title: { display: true, text: 'Prediction' }, grid: { color: '#f3f4f6' } },
+    },
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 space-y-4">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-700">Sensitivity</h2>
+        <p className="text-sm text-gray-500">How the prediction moves when one parameter changes and the others stay fixed.</p>
+      </div>
+
+      <form onSubmit={handleRun} className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-2 text-gray-600">
+          Vary
+          <select
+            className="px-3 py-2 rounded-lg border border-gray-200 bg-white"
+            value={featureName}
+            onChange={(e) => setFeatureName(e.target.value)}
+          >
+            {sweepable.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+          </select>
+        </label>
+        {feature && feature.type !== 'categorical' && ['from', 'to', 'steps'].map(key => (
+          <label key={key} className="flex items-center gap-2 text-gray-600">
+            {key}
+            <input
+              type="number"
+              className="w-24 px-2 py-2 rounded-lg border border-gray-200"
+              placeholder={key === 'from' ? String(feature.min ?? '') : key === 'to' ? String(feature.max ?? '') : '20'}
+              value={range[key]}
+              onChange={(e) => setRange({ ...range, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+        <button
+          type="submit"
+          disabled={running || !feature}
+          className="px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {running ? 'Running...' : 'Run Sweep'}
+        </button>
+      </form>
+
+      {sweep && (
+        <>
+          <div className="h-72">
+            {sweep.type === 'categorical'
+              ? <Bar data={chartData} options={chartOptions} />
+              : <Line data={chartData} options={chartOptions} />}
+          </div>
+          <p className="text-xs text-gray-500">
+            Model {sweep.version}. The highlighted point is the current value ({String(sweep.current ?? '—')}).
+            {failed > 0 && <span className="text-red-600"> {failed} values could not be scored.</span>}
+          </p>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+const KIND_CLASSES = {
+  info: 'border-blue-200 bg-white text-gray-700',
+  error: 'border-red-200 bg-red-50 text-red-700',
+};
+
+// Notifications in the bottom-right corner. toasts: [{ id, kind, message }]
+export default function Toasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) return null;
+  return (
+    <div className="fixed bottom-6 right-6 z-50 flex flex-col gap-2 w-80" role="status" aria-live="polite">
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          className={`flex items-start justify-between gap-3 p-4 rounded-xl border shadow-md text-sm ${KIND_CLASSES[toast.kind] || KIND_CLASSES.info}`}
+        >
+          <p>{toast.message}</p>
+          <button
+            type="button"
+            onClick={() => onDismiss(toast.id)}
+            className="text-gray-400 hover:text-gray-600"
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
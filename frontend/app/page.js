@@ -1,6 +1,6 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -11,8 +11,94 @@ import {
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import SchemaPreview from './components/SchemaPreview';
+import LoginForm from './components/LoginForm';
+import ModelQuality from './components/ModelQuality';
+import BacktestResults from './components/BacktestResults';
+import AdvancedTrainingOptions from './components/AdvancedTrainingOptions';
+import ScenarioComparison from './components/ScenarioComparison';
+import SensitivitySweep from './components/SensitivitySweep';
+import PredictionExplanation from './components/PredictionExplanation';
+import DataAppends from './components/DataAppends';
+import ExportMenu from './components/ExportMenu';
+import DrillDownDashboard from './components/DrillDownDashboard';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import Toasts from './components/Toasts';
+import PredictionAccuracy from './components/PredictionAccuracy';
+import AnomalyList from './components/AnomalyList';
+
+const API_BASE = 'https://predictive-sales-analytics.onrender.com';
+const JOB_POLL_INTERVAL_MS = 1000;
+const SESSION_STORAGE_KEY = 'salesDashboardSession';
+const PROJECT_STORAGE_KEY = 'salesDashboardProject';
+// Wait before reconnecting to the event stream, and how long toasts stay up
+const EVENT_RETRY_MS = 3000;
+const TOAST_MS = 8000;
+const ACTIVATION_LABELS = { train: 'newly trained', promote: 'promoted', rollback: 'rolled back' };
+// Audit log entries listed under the realized-error chart
+const PREDICTION_HISTORY_LIMIT = 10;
+// The trend chart's series; exports download the same aggregation
+const SALES_QUERY = 'interval=day&agg=sum';
+// Same order as the server: each role can do everything the previous ones can
+const ROLES = ['viewer', 'analyst', 'admin'];
+// Column choices from the schema preview
+const DEFAULT_TRAINING_OVERRIDES = { dateColumn: null, targetColumn: null, excludeColumns: [], historyGroupColumns: [] };
+// Advanced training options; null means "server default"
+const DEFAULT_TRAINING_OPTIONS = {
+  algorithms: ['random_forest'],
+  hyperparameterSearch: false,
+  maxCandidates: null,
+  backtestFolds: null,
+  backtestHorizonDays: null,
+  unknownCategory: null,
+  holidayCountry: null,
+};
+// Breakdown dashboard query; path holds the values drilled into, e.g. [{ dimension: 'Region', value: 'Europe' }]
+const DEFAULT_DRILL = { dimension: null, path: [], from: '', to: '', interval: 'month', agg: 'sum', top: 5 };
+
+// Inputs the prediction form asks for. Models with a feature pipeline take the date
+// instead of the features generated from it and from the target's history.
+const formFields = (meta) => {
+  if (!meta.generated_features || !meta.date_column) return meta.features;
+  return [{ name: meta.date_column, type: 'date' }, ...meta.features.filter(f => !f.derived)];
+};
+
+// Default prediction date: the day after the training data, the last one with full history
+const dayAfter = (day) => new Date(Date.parse(`${day}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+
+// Anomaly detection settings; groupBy '' checks the total series
+const DEFAULT_ANOMALY_QUERY = { method: 'seasonal', sensitivity: 'medium', groupBy: '' };
+
+// Categorical model features, in metadata order; the drill-down walks them in this order
+const categoricalColumns = (meta) => (meta ? meta.features.filter(f => f.type === 'categorical').map(f => f.name) : []);
+
+// Reads a text/event-stream response body, calling onEvent({ id, type, data }) for
+// every event until the stream ends. The server sends one JSON data line per event.
+const readEvents = async (body, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffered += value;
+    const blocks = buffered.split(/\r?\n\r?\n/);
+    buffered = blocks.pop();
+    blocks.forEach(block => {
+      const event = { id: null, type: 'message', data: '' };
+      block.split(/\r?\n/).forEach(line => {
+        // Lines starting with ':' are comments (heartbeats)
+        const [, field, text] = /^([^:]*):? ?(.*)$/.exec(line);
+        if (field === 'id') event.id = text;
+        else if (field === 'event') event.type = text;
+        else if (field === 'data') event.data += text;
+      });
+      if (event.data) onEvent({ ...event, data: JSON.parse(event.data) });
+    });
+  }
+};
 
 ChartJS.register(
   CategoryScale,
@@ -22,16 +108,52 @@ ChartJS.register(
   BarElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 );
 
 export default function Home() {
-  const [salesData, setSalesData] = useState([]);
-  const [regions, setRegions] = useState([]); // This might become redundant if regions are part of dynamicForm
+  const [session, setSession] = useState(null); // { token, expiresAt, user: { username, role } }
+  const [sessionChecked, setSessionChecked] = useState(false);
+  const [projects, setProjects] = useState([]); // Response of /api/projects
+  const [projectId, setProjectId] = useState(null); // null until restored; the server then uses the default project
+  const [salesData, setSalesData] = useState([]); // Daily totals: [{ date, value, count }]
   const [prediction, setPrediction] = useState(null);
+  const [predictionWarnings, setPredictionWarnings] = useState([]); // [{ field, code, message }]
+  const [explanation, setExplanation] = useState(null); // { method, baseline, contributions }
   const [loading, setLoading] = useState(true); // General loading state for data fetching and prediction
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
+  const [trainingJob, setTrainingJob] = useState(null); // Latest status from /api/jobs/:id
+  const [uploadPreview, setUploadPreview] = useState(null); // { uploadId, fileName, profile }
+  const [trainingOverrides, setTrainingOverrides] = useState(DEFAULT_TRAINING_OVERRIDES);
+  const [trainingOptions, setTrainingOptions] = useState(DEFAULT_TRAINING_OPTIONS);
+  const [batchFile, setBatchFile] = useState(null);
+  const [batchScoring, setBatchScoring] = useState(false);
+  const [batchSummary, setBatchSummary] = useState(null); // { total, failed, version }
+  const [forecastHorizon, setForecastHorizon] = useState(30);
+  const [forecast, setForecast] = useState(null); // Response of /api/forecast
+  const [anomalyQuery, setAnomalyQuery] = useState(DEFAULT_ANOMALY_QUERY);
+  const [anomalies, setAnomalies] = useState(null); // Response of /api/anomalies
+  const [evaluation, setEvaluation] = useState(null); // Response of /api/model/evaluation
+  const [backtest, setBacktest] = useState(null); // Response of /api/model/backtest
+  const [scenarios, setScenarios] = useState({ version: null, scenarios: [] }); // Response of /api/scenarios
+  const [sweep, setSweep] = useState(null); // Response of /api/predict/sweep
+  const [sweepRunning, setSweepRunning] = useState(false);
+  const [appendHistory, setAppendHistory] = useState(null); // Response of /api/data/appends
+  const [appending, setAppending] = useState(false);
+  const [exporting, setExporting] = useState(null); // Export being downloaded, e.g. 'forecast-xlsx'
+  const [drill, setDrill] = useState(DEFAULT_DRILL);
+  const [breakdown, setBreakdown] = useState(null); // Response of /api/sales/breakdown
+  const [breakdownLoading, setBreakdownLoading] = useState(false);
+  const [predictionAccuracy, setPredictionAccuracy] = useState(null); // Response of /api/predictions/accuracy
+  const [predictionHistory, setPredictionHistory] = useState(null); // Response of /api/predictions
+  const [accuracyInterval, setAccuracyInterval] = useState('week');
+  const [toasts, setToasts] = useState([]); // [{ id, kind, message }]
+  const [liveTraining, setLiveTraining] = useState(null); // { jobId, fileName, progress } of a job started elsewhere
+  const toastSeq = useRef(0);
+  // The stream outlives renders, so it calls the latest handler through this ref
+  const serverEventHandler = useRef(null);
 
   // Dynamic Model State
   const [modelMetadata, setModelMetadata] = useState(null); // { features: [], target_column: '' }
@@ -45,20 +167,267 @@ export default function Home() {
   //   holiday: 0
   // });
 
+  // Restore the saved session, refreshing the user's role from the server
   useEffect(() => {
+    const restoreSession = async () => {
+      setProjectId(JSON.parse(localStorage.getItem(PROJECT_STORAGE_KEY) || 'null'));
+      const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+      if (saved) {
+        try {
+          const res = await fetch(`${API_BASE}/api/auth/me`, { headers: { Authorization: `Bearer ${saved.token}` } });
+          if (res.ok) {
+            setSession({ ...saved, user: await res.json() });
+          } else {
+            localStorage.removeItem(SESSION_STORAGE_KEY);
+          }
+        } catch (error) {
+          console.error('Error restoring session:', error);
+        }
+      }
+      setSessionChecked(true);
+    };
+    restoreSession();
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+    fetchProjects();
     fetchSalesData();
     fetchMetadata();
-  }, []);
+    fetchEvaluation();
+    fetchScenarios();
+    if (can('analyst')) {
+      fetchAppends();
+      fetchPredictionAccuracy(accuracyInterval);
+    }
+  }, [session, projectId]);
+
+  // Live updates from /api/events. Reconnects (resuming after the last event seen)
+  // until the session or project changes.
+  useEffect(() => {
+    if (!session) return;
+    const controller = new AbortController();
+    let lastEventId = null;
+    const listen = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          const headers = { Authorization: `Bearer ${session.token}` };
+          if (projectId) headers['X-Project-Id'] = projectId;
+          if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+          const res = await fetch(`${API_BASE}/api/events`, { headers, signal: controller.signal });
+          if (res.status === 401) return clearSession();
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          await readEvents(res.body, (event) => {
+            lastEventId = event.id;
+            serverEventHandler.current(event);
+          });
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          console.error('Event stream interrupted:', error);
+        }
+        await new Promise(resolve => setTimeout(resolve, EVENT_RETRY_MS));
+      }
+    };
+    listen();
+    return () => controller.abort();
+  }, [session, projectId]);
+
+  useEffect(() => {
+    if (salesData.length > 0 && can('analyst')) fetchForecast(forecastHorizon);
+  }, [salesData, forecastHorizon]);
+
+  useEffect(() => {
+    if (salesData.length > 0 && can('analyst')) fetchAnomalies(anomalyQuery);
+  }, [salesData, anomalyQuery]);
+
+  // A new model may have other categorical columns, so the drill-down starts over
+  useEffect(() => {
+    setDrill({ ...DEFAULT_DRILL, dimension: categoricalColumns(modelMetadata)[0] || null });
+    setAnomalyQuery(current => (current.groupBy && !categoricalColumns(modelMetadata).includes(current.groupBy)
+      ? { ...current, groupBy: '' }
+      : current));
+  }, [modelMetadata]);
+
+  useEffect(() => {
+    if (salesData.length > 0 && drill.dimension) fetchBreakdown(drill);
+  }, [salesData, drill]);
+
+  const can = (role) => Boolean(session) && ROLES.indexOf(session.user.role) >= ROLES.indexOf(role);
+
+  // fetch() against the API with the session token, scoped to the selected project;
+  // a 401 means the session is gone
+  const apiFetch = async (path, options = {}) => {
+    const headers = { ...options.headers, Authorization: `Bearer ${session.token}` };
+    if (projectId) headers['X-Project-Id'] = projectId;
+    const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
+    if (res.status === 401) clearSession();
+    return res;
+  };
+
+  const clearSession = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSession(null);
+    clearProjectData();
+  };
+
+  // Everything shown for one project
+  const clearProjectData = () => {
+    setSalesData([]);
+    setForecast(null);
+    setAnomalies(null);
+    setBreakdown(null);
+    setModelMetadata(null);
+    setEvaluation(null);
+    setBacktest(null);
+    setScenarios({ version: null, scenarios: [] });
+    setSweep(null);
+    setAppendHistory(null);
+    setPrediction(null);
+    setExplanation(null);
+    setUploadPreview(null);
+    setTrainingJob(null);
+    setLiveTraining(null);
+    setPredictionAccuracy(null);
+    setPredictionHistory(null);
+  };
+
+  const showToast = (message, kind = 'info') => {
+    const id = ++toastSeq.current;
+    setToasts(current => [...current, { id, kind, message }]);
+    setTimeout(() => dismissToast(id), TOAST_MS);
+  };
+
+  const dismissToast = (id) => setToasts(current => current.filter(t => t.id !== id));
+
+  // Keeps the dashboard in step with changes made by other users and the retrain scheduler
+  const handleServerEvent = ({ type, data }) => {
+    if (type === 'dataset') {
+      if (data.status === 'ready') {
+        fetchSalesData();
+        if (can('analyst')) {
+          fetchAppends();
+          fetchPredictionAccuracy(accuracyInterval); // New rows may hold actuals
+        }
+      } else if (data.status === 'empty') {
+        setSalesData([]);
+      }
+    } else if (type === 'model') {
+      // Predictions shown were made with the previous model's inputs
+      fetchMetadata();
+      fetchEvaluation();
+      fetchScenarios();
+      setPrediction(null);
+      setPredictionWarnings([]);
+      setExplanation(null);
+      setSweep(null);
+      showToast(`Model ${data.version} (${ACTIVATION_LABELS[data.action] || data.action}) is now active. The prediction form was updated to its inputs.`);
+    } else if (type === 'job') {
+      const running = data.state === 'queued' || data.state === 'running';
+      setLiveTraining(current => {
+        if (running) return { jobId: data.id, fileName: data.params.fileName, progress: data.progress };
+        return current && current.jobId === data.id ? null : current;
+      });
+    } else if (type === 'job-log') {
+      setLiveTraining(current => (current && current.jobId === data.jobId
+        ? { ...current, progress: data.lines[data.lines.length - 1] }
+        : current));
+    } else if (type === 'failure') {
+      showToast(`${data.source === 'training' ? 'Training failed' : 'Sales data failed to load'}: ${data.message}`, 'error');
+    }
+  };
+  serverEventHandler.current = handleServerEvent;
+
+  const handleLogin = async (username, password) => {
+    const res = await fetch(`${API_BASE}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Sign in failed');
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(data));
+    setSession(data);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    clearSession();
+  };
+
+  const fetchProjects = async () => {
+    try {
+      const res = await apiFetch('/api/projects');
+      if (!res.ok) return;
+      const list = await res.json();
+      setProjects(list);
+      // The saved project may have been deleted in the meantime
+      if (projectId && !list.some(p => p.id === projectId)) handleSelectProject(null);
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  };
+
+  // null selects the default project
+  const handleSelectProject = (id) => {
+    if (id === projectId) return;
+    localStorage.setItem(PROJECT_STORAGE_KEY, JSON.stringify(id));
+    clearProjectData();
+    setDrill(DEFAULT_DRILL);
+    setFile(null);
+    setBatchSummary(null);
+    setProjectId(id);
+  };
+
+  // Returns true once created, so the form can close
+  const handleCreateProject = async (name, description) => {
+    try {
+      const res = await apiFetch('/api/projects', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, description })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Could not create project: ' + (data.error || 'Unknown error'));
+        return false;
+      }
+      setProjects(current => [...current, data]);
+      handleSelectProject(data.id);
+      return true;
+    } catch (error) {
+      console.error('Error creating project:', error);
+      alert('Failed to create project');
+      return false;
+    }
+  };
+
+  const handleDeleteProject = async (project) => {
+    if (!confirm(`Delete project "${project.name}" with all of its data, models and history?`)) return;
+    try {
+      const res = await apiFetch(`/api/projects/${project.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Could not delete project: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      setProjects(current => current.filter(p => p.id !== project.id));
+      handleSelectProject(null);
+    } catch (error) {
+      console.error('Error deleting project:', error);
+    }
+  };
 
   const fetchSalesData = async () => {
     setLoading(true);
     try {
-      const res = await fetch('https://predictive-sales-analytics.onrender.com/api/sales');
+      // The server aggregates; only the series the chart draws is transferred
+      const res = await apiFetch(`/api/sales?${SALES_QUERY}`);
       const data = await res.json();
-      setSalesData(data);
-      // Extract unique regions (still useful for historical data display if needed)
-      const uniqueRegions = [...new Set(data.map(item => item.region))].sort();
-      setRegions(uniqueRegions);
+      setSalesData(res.ok ? data.series : []);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -66,20 +435,115 @@ export default function Home() {
     }
   };
 
+  // The trend chart is daily, so forecast daily buckets too
+  const forecastQuery = (horizon) => `horizon=${horizon}&interval=day`;
+
+  const fetchForecast = async (horizon) => {
+    try {
+      const res = await apiFetch(`/api/forecast?${forecastQuery(horizon)}`);
+      const data = await res.json();
+      if (res.ok) {
+        setForecast(data);
+      } else {
+        console.error('Forecast unavailable:', data.error);
+        setForecast(null);
+      }
+    } catch (error) {
+      console.error('Error fetching forecast:', error);
+    }
+  };
+
+  const fetchAnomalies = async (query) => {
+    try {
+      const params = new URLSearchParams({ method: query.method, sensitivity: query.sensitivity });
+      if (query.groupBy) params.set('groupBy', query.groupBy);
+      const res = await apiFetch(`/api/anomalies?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setAnomalies(data);
+      } else {
+        console.error('Anomaly detection unavailable:', data.error);
+        setAnomalies(null);
+      }
+    } catch (error) {
+      console.error('Error fetching anomalies:', error);
+    }
+  };
+
+  // status: acknowledged | excluded | null to reopen
+  const handleMarkAnomaly = async (anomaly, status) => {
+    try {
+      const res = await apiFetch('/api/anomalies/marks', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ date: anomaly.date, dimension: anomaly.dimension, group: anomaly.group, status })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Could not update the anomaly: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      fetchAnomalies(anomalyQuery);
+    } catch (error) {
+      console.error('Error marking anomaly:', error);
+    }
+  };
+
+  const fetchBreakdown = async (query) => {
+    setBreakdownLoading(true);
+    try {
+      const params = new URLSearchParams({ dimension: query.dimension, interval: query.interval, agg: query.agg, top: query.top });
+      if (query.from) params.set('from', query.from);
+      if (query.to) params.set('to', query.to);
+      query.path.forEach(step => params.append(`filter[${step.dimension}]`, step.value));
+      const res = await apiFetch(`/api/sales/breakdown?${params}`);
+      const data = await res.json();
+      if (res.ok) {
+        setBreakdown(data);
+      } else {
+        console.error('Breakdown unavailable:', data.error);
+        setBreakdown(null);
+      }
+    } catch (error) {
+      console.error('Error fetching breakdown:', error);
+    } finally {
+      setBreakdownLoading(false);
+    }
+  };
+
+  // Filters to a value of the current dimension and breaks it down by the next unused one
+  const handleDrill = (value) => {
+    setDrill(current => {
+      const drilled = [...current.path.map(step => step.dimension), current.dimension];
+      const next = categoricalColumns(modelMetadata).find(d => !drilled.includes(d));
+      if (!next) return current;
+      return { ...current, path: [...current.path, { dimension: current.dimension, value }], dimension: next };
+    });
+  };
+
+  // Back to `level` steps of the drill path, broken down by the column drilled at that step
+  const handleDrillUp = (level) => {
+    setDrill(current => (level >= current.path.length ? current : {
+      ...current,
+      path: current.path.slice(0, level),
+      dimension: current.path[level].dimension
+    }));
+  };
+
   const fetchMetadata = async () => {
     try {
-      const res = await fetch('https://predictive-sales-analytics.onrender.com/api/metadata');
+      const res = await apiFetch('/api/metadata');
       if (res.ok) {
         const meta = await res.json();
         setModelMetadata(meta);
 
         // Initialize form state
         const initialForm = {};
-        meta.features.forEach(f => {
+        formFields(meta).forEach(f => {
           if (f.type === 'categorical') {
             initialForm[f.name] = f.options[0] || '';
           } else if (f.type === 'date') {
-            initialForm[f.name] = '2025-01-01'; // Default date
+            initialForm[f.name] = meta.date_range ? dayAfter(meta.date_range.end) : '2025-01-01'; // Default date
           } else {
             initialForm[f.name] = 0; // Default for numerical
           }
@@ -91,6 +555,88 @@ export default function Home() {
     }
   };
 
+  // Evaluation report and backtest of the active model.
+  // Models trained before these existed have neither (404).
+  const fetchEvaluation = async () => {
+    try {
+      const res = await apiFetch('/api/model/evaluation');
+      setEvaluation(res.ok ? await res.json() : null);
+    } catch (error) {
+      console.error('Error fetching evaluation:', error);
+    }
+    try {
+      const res = await apiFetch('/api/model/backtest');
+      setBacktest(res.ok ? await res.json() : null);
+    } catch (error) {
+      console.error('Error fetching backtest:', error);
+    }
+  };
+
+  // Saved scenarios, scored with the active model
+  const fetchScenarios = async () => {
+    try {
+      const res = await apiFetch('/api/scenarios');
+      if (res.ok) setScenarios(await res.json());
+    } catch (error) {
+      console.error('Error fetching scenarios:', error);
+    }
+  };
+
+  // Returns true once saved, so the form can clear the name
+  const handleSaveScenario = async (name, inputs) => {
+    try {
+      const res = await apiFetch('/api/scenarios', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, inputs })
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        alert('Could not save scenario: ' + (data.error || 'Unknown error'));
+        return false;
+      }
+      await fetchScenarios();
+      return true;
+    } catch (error) {
+      console.error('Error saving scenario:', error);
+      alert('Failed to save scenario');
+      return false;
+    }
+  };
+
+  const handleDeleteScenario = async (scenario) => {
+    if (!confirm(`Delete scenario "${scenario.name}"?`)) return;
+    try {
+      await apiFetch(`/api/scenarios/${scenario.id}`, { method: 'DELETE' });
+      await fetchScenarios();
+    } catch (error) {
+      console.error('Error deleting scenario:', error);
+    }
+  };
+
+  // spec: { feature, from, to, steps }; the rest of the form stays fixed
+  const handleSweep = async (spec) => {
+    setSweepRunning(true);
+    try {
+      const res = await apiFetch('/api/predict/sweep', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...spec, inputs: dynamicForm })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Sweep Failed: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      setSweep(data);
+    } catch (error) {
+      console.error('Error running sweep:', error);
+      alert('Failed to run sweep');
+    } finally {
+      setSweepRunning(false);
+    }
+  };
+
   const handleInputChange = (featureName, value) => {
     setDynamicForm(prev => ({
       ...prev,
@@ -98,30 +644,45 @@ export default function Home() {
     }));
   };
 
+  const pollJob = async (jobId) => {
+    const res = await apiFetch(`/api/jobs/${jobId}`);
+    if (!res.ok) throw new Error('Lost track of training job');
+    const job = await res.json();
+    setTrainingJob(job);
+    if (job.state === 'queued' || job.state === 'running') {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+      return pollJob(jobId);
+    }
+    return job;
+  };
+
+  // Step 1: upload the CSV and show what training would detect
   const handleUpload = async (e) => {
     e.preventDefault();
     if (!file) return;
     setUploading(true);
+    setTrainingJob(null);
+    setUploadPreview(null);
     const formData = new FormData();
     formData.append('file', file);
 
     try {
-      const res = await fetch('https://predictive-sales-analytics.onrender.com/api/upload', {
+      const res = await apiFetch('/api/upload/preview', {
         method: 'POST',
         body: formData
       });
       const data = await res.json();
-      if (res.ok) {
-        alert('Upload Successful! Model retrained.');
-        setFile(null);
-        // Clear file input
-        const fileInput = document.getElementById('csvInput');
-        if (fileInput) fileInput.value = "";
-        fetchSalesData();
-        fetchMetadata(); // Refresh form fields
-      } else {
+      if (!res.ok) {
         alert('Upload Failed: ' + (data.error || 'Unknown error'));
+        return;
       }
+
+      setUploadPreview(data);
+      setTrainingOverrides(DEFAULT_TRAINING_OVERRIDES);
+      setFile(null);
+      // Clear file input
+      const fileInput = document.getElementById('csvInput');
+      if (fileInput) fileInput.value = "";
     } catch (e) {
       alert('Upload failed');
       console.error(e);
@@ -130,12 +691,157 @@ export default function Home() {
     }
   };
 
+  // Step 2: train on the previewed upload with the chosen overrides
+  const handleConfirmTraining = async () => {
+    if (!uploadPreview) return;
+    setUploading(true);
+
+    try {
+      const res = await apiFetch(`/api/upload/${uploadPreview.uploadId}/train`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...trainingOverrides, ...trainingOptions })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Training Failed: ' + (data.error || 'Unknown error'));
+        return;
+      }
+
+      setUploadPreview(null);
+      setTrainingJob(data.job);
+      const job = await pollJob(data.jobId);
+      if (job.state === 'succeeded') {
+        alert('Upload Successful! Model retrained.');
+        refreshAfterTraining();
+      } else if (job.state === 'failed') {
+        alert('Training Failed: ' + (job.error || 'Unknown error'));
+      }
+    } catch (e) {
+      alert('Training failed');
+      console.error(e);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Everything that depends on the active model version
+  const refreshAfterTraining = () => {
+    fetchSalesData();
+    fetchMetadata(); // Refresh form fields
+    fetchEvaluation();
+    fetchScenarios(); // Re-scored with the new model
+    fetchAppends();
+    setSweep(null);
+  };
+
+  // Realized error of logged predictions and the latest log entries
+  const fetchPredictionAccuracy = async (interval) => {
+    try {
+      const res = await apiFetch(`/api/predictions/accuracy?interval=${interval}`);
+      if (res.ok) setPredictionAccuracy(await res.json());
+    } catch (error) {
+      console.error('Error fetching prediction accuracy:', error);
+    }
+    try {
+      const res = await apiFetch(`/api/predictions?limit=${PREDICTION_HISTORY_LIMIT}`);
+      if (res.ok) setPredictionHistory(await res.json());
+    } catch (error) {
+      console.error('Error fetching prediction history:', error);
+    }
+  };
+
+  const handleAccuracyIntervalChange = (interval) => {
+    setAccuracyInterval(interval);
+    fetchPredictionAccuracy(interval);
+  };
+
+  const fetchAppends = async () => {
+    try {
+      const res = await apiFetch('/api/data/appends');
+      if (res.ok) setAppendHistory(await res.json());
+    } catch (error) {
+      console.error('Error fetching append history:', error);
+    }
+  };
+
+  // Returns true once merged, so the form can reset
+  const handleAppend = async (appendFile, keyColumns, retrain) => {
+    setAppending(true);
+    const formData = new FormData();
+    formData.append('file', appendFile);
+    formData.append('keyColumns', keyColumns.join(','));
+    formData.append('retrain', String(retrain));
+
+    try {
+      const res = await apiFetch('/api/data/append', { method: 'POST', body: formData });
+      const data = await res.json();
+      if (!res.ok) {
+        alert('Append Failed: ' + (data.error || 'Unknown error'));
+        return false;
+      }
+      fetchSalesData();
+      fetchAppends();
+      if (data.jobId) {
+        setTrainingJob(data.job);
+        pollJob(data.jobId).then(job => {
+          if (job.state === 'succeeded') refreshAfterTraining();
+          else if (job.state === 'failed') alert('Training Failed: ' + (job.error || 'Unknown error'));
+        });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error appending data:', error);
+      alert('Append failed');
+      return false;
+    } finally {
+      setAppending(false);
+    }
+  };
+
+  const handleRevertAppend = async () => {
+    if (!confirm('Revert the last append? Its rows are removed and the rows it replaced are restored.')) return;
+    setAppending(true);
+    try {
+      const res = await apiFetch('/api/data/appends/revert', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) alert('Revert Failed: ' + (data.error || 'Unknown error'));
+      fetchSalesData();
+      fetchAppends();
+    } catch (error) {
+      console.error('Error reverting append:', error);
+    } finally {
+      setAppending(false);
+    }
+  };
+
+  const handleDiscardPreview = async () => {
+    if (!uploadPreview) return;
+    try {
+      await apiFetch(`/api/upload/${uploadPreview.uploadId}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error discarding upload:', error);
+    }
+    setUploadPreview(null);
+  };
+
+  const handleCancelTraining = async () => {
+    if (!trainingJob) return;
+    try {
+      await apiFetch(`/api/jobs/${trainingJob.id}/cancel`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+    }
+  };
+
   const handlePredict = async (e) => {
     e.preventDefault();
     setLoading(true);
     setPrediction(null);
+    setPredictionWarnings([]);
+    setExplanation(null);
     try {
-      const res = await fetch('https://predictive-sales-analytics.onrender.com/api/predict', {
+      const res = await apiFetch('/api/predict?explain=true', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -145,9 +851,14 @@ export default function Home() {
       const data = await res.json();
       if (data.error) {
         console.error("Backend Error:", data.error);
-        alert('Prediction Error: ' + data.error);
+        // Validation failures list every offending field
+        const details = (data.errors || []).map(issue => `\n- ${issue.message}`).join('');
+        alert('Prediction Error: ' + data.error + details);
       } else {
         setPrediction(data.prediction);
+        setPredictionWarnings(data.warnings || []);
+        setExplanation(data.explanation || null);
+        if (can('analyst')) fetchPredictionAccuracy(accuracyInterval); // Now in the audit log
       }
     } catch (error) {
       console.error('Error predicting:', error);
@@ -157,18 +868,108 @@ export default function Home() {
     }
   };
 
+  // kind: series | forecast | report; format: csv | xlsx | pdf
+  const handleExport = async (kind, format) => {
+    const paths = {
+      series: `/api/export/sales?${SALES_QUERY}&format=${format}`,
+      forecast: `/api/export/forecast?${forecastQuery(forecastHorizon)}&format=${format}`,
+      report: `/api/export/report?horizon=${forecastHorizon}`
+    };
+    setExporting(`${kind}-${format}`);
+    try {
+      const res = await apiFetch(paths[kind]);
+      if (!res.ok) {
+        const data = await res.json();
+        alert('Export Failed: ' + (data.error || 'Unknown error'));
+        return;
+      }
+
+      // The server names the file after the dataset
+      const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `${kind}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      alert('Failed to export');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleBatchScore = async () => {
+    if (!batchFile) return;
+    setBatchScoring(true);
+    setBatchSummary(null);
+    const formData = new FormData();
+    formData.append('file', batchFile);
+
+    try {
+      const res = await apiFetch('/api/predict/batch?format=csv', {
+        method: 'POST',
+        body: formData
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        alert('Scoring Failed: ' + (data.error || 'Unknown error'));
+        return;
+      }
+      setBatchSummary({
+        total: Number(res.headers.get('X-Batch-Total')),
+        failed: Number(res.headers.get('X-Batch-Failed')),
+        version: res.headers.get('X-Model-Version')
+      });
+      fetchPredictionAccuracy(accuracyInterval);
+
+      // Download the scored CSV
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = batchFile.name.replace(/\.csv$/i, '') + '_predictions.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error scoring file:', error);
+      alert('Failed to score file');
+    } finally {
+      setBatchScoring(false);
+    }
+  };
+
+  if (!session) {
+    return sessionChecked ? <LoginForm onLogin={handleLogin} /> : null;
+  }
+
   // Chart Data Preparation
-  const aggregatedData = {};
-  salesData.forEach(row => {
-    if (!aggregatedData[row.date]) aggregatedData[row.date] = 0;
-    aggregatedData[row.date] += row.sales;
-  });
+  const dates = salesData.map(point => point.date);
+  const sales = salesData.map(point => point.value);
 
-  const dates = Object.keys(aggregatedData).sort();
-  const sales = dates.map(d => aggregatedData[d]);
+  // Forecast continues from the last actual point; history slots stay empty
+  const forecastPoints = (forecast && forecast.forecast) || [];
+  const padding = dates.length > 0 ? Array(dates.length - 1).fill(null) : [];
+  const lastActual = sales.length > 0 ? [sales[sales.length - 1]] : [];
+  const forecastSeries = (key) => forecastPoints.length > 0
+    ? [...padding, ...lastActual, ...forecastPoints.map(p => p[key])]
+    : [];
+
+  // Anomalies by date, drawn as points on the daily total
+  const anomaliesByDate = new Map();
+  ((anomalies && anomalies.anomalies) || []).forEach(a => {
+    if (!anomaliesByDate.has(a.date)) anomaliesByDate.set(a.date, []);
+    anomaliesByDate.get(a.date).push(a);
+  });
+  const anomalyTooltip = (date) => (anomaliesByDate.get(date) || []).map(a => (
+    `${a.group !== null ? `${a.dimension} ${a.group}: ` : ''}${a.direction} ${a.value.toLocaleString()} ` +
+    `(expected ${Math.round(a.expected).toLocaleString()}, score ${a.score.toFixed(1)})${a.status ? ` · ${a.status}` : ''}`
+  ));
 
   const lineChartData = {
-    labels: dates,
+    labels: [...dates, ...forecastPoints.map(p => p.date)],
     datasets: [
       {
         label: 'Daily Sales',
@@ -177,6 +978,39 @@ export default function Home() {
         backgroundColor: 'rgba(59, 130, 246, 0.5)',
         tension: 0.1
       },
+      {
+        label: 'Anomalies',
+        data: dates.map((date, i) => (anomaliesByDate.has(date) ? sales[i] : null)),
+        borderColor: 'rgb(220, 38, 38)', // Tailwind red-600
+        backgroundColor: 'rgba(220, 38, 38, 0.8)',
+        pointRadius: 5,
+        pointHoverRadius: 7,
+        showLine: false
+      },
+      {
+        label: 'Forecast',
+        data: forecastSeries('value'),
+        borderColor: 'rgb(249, 115, 22)', // Tailwind orange-500
+        backgroundColor: 'rgba(249, 115, 22, 0.5)',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.1
+      },
+      {
+        label: `${Math.round(((forecast && forecast.level) || 0.95) * 100)}% Interval`,
+        data: forecastSeries('lower'),
+        borderColor: 'transparent',
+        pointRadius: 0,
+        fill: false
+      },
+      {
+        label: 'Upper Bound',
+        data: forecastSeries('upper'),
+        borderColor: 'transparent',
+        backgroundColor: 'rgba(249, 115, 22, 0.15)',
+        pointRadius: 0,
+        fill: '-1' // Shade down to the lower bound
+      },
     ],
   };
 
@@ -184,8 +1018,20 @@ export default function Home() {
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
-      legend: { position: 'top' },
+      legend: {
+        position: 'top',
+        // The upper bound only exists to draw the band
+        labels: { filter: (item) => item.text !== 'Upper Bound' }
+      },
       title: { display: false },
+      tooltip: {
+        callbacks: {
+          // Anomaly points explain themselves; the other series keep the default label
+          label: (context) => (context.dataset.label === 'Anomalies'
+            ? anomalyTooltip(context.label)
+            : `${context.dataset.label}: ${context.formattedValue}`),
+        },
+      },
     },
     scales: {
       x: { grid: { display: false } },
@@ -203,11 +1049,53 @@ export default function Home() {
             Sales Analytics Dashboard
           </h1>
           <p className="text-gray-500">Forecast and analyze your business performance</p>
+          <div className="flex items-center justify-center gap-3 text-sm text-gray-500">
+            <span>
+              Signed in as <span className="font-medium text-gray-700">{session.user.username}</span> ({session.user.role})
+            </span>
+            <button type="button" onClick={handleLogout} className="font-medium text-blue-600 hover:text-blue-700">
+              Sign out
+            </button>
+          </div>
+          <ProjectSwitcher
+            projects={projects}
+            projectId={projectId}
+            canManage={can('admin')}
+            onSelect={handleSelectProject}
+            onCreate={handleCreateProject}
+            onDelete={handleDeleteProject}
+          />
+          {liveTraining && (!trainingJob || trainingJob.id !== liveTraining.jobId) && (
+            <p className="text-sm text-blue-700">
+              Training on {liveTraining.fileName}: <span className="font-mono text-xs">{liveTraining.progress}</span>
+            </p>
+          )}
         </header>
 
         {/* 1. Main Chart Section - Bigger & Top */}
         <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
-          <h2 className="text-xl font-semibold mb-4 text-gray-700">Historical Trends</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-700">Historical Trends</h2>
+            <div className="flex flex-wrap items-center justify-end gap-4">
+              {salesData.length > 0 && (
+                <ExportMenu canForecast={can('analyst')} exporting={exporting} onExport={handleExport} />
+              )}
+              {can('analyst') && (
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                Forecast horizon
+                <select
+                  className="px-3 py-1 rounded-lg border border-gray-200 bg-white text-sm"
+                  value={forecastHorizon}
+                  onChange={(e) => setForecastHorizon(Number(e.target.value))}
+                >
+                  {[7, 30, 90, 180].map(h => (
+                    <option key={h} value={h}>{h} days</option>
+                  ))}
+                </select>
+              </label>
+              )}
+            </div>
+          </div>
           <div className="h-[500px] w-full flex items-center justify-center bg-gray-50 rounded-lg border border-gray-100 p-2">
             {loading ? (
               <div className="animate-pulse text-gray-400">Loading sales data...</div>
@@ -217,10 +1105,35 @@ export default function Home() {
           </div>
         </section>
 
+        {can('analyst') && salesData.length > 0 && (
+          <AnomalyList
+            anomalies={anomalies}
+            query={anomalyQuery}
+            dimensions={categoricalColumns(modelMetadata)}
+            canExclude={can('admin')}
+            onQueryChange={(changes) => setAnomalyQuery(current => ({ ...current, ...changes }))}
+            onMark={handleMarkAnomaly}
+          />
+        )}
+
+        {modelMetadata && drill.dimension && salesData.length > 0 && (
+          <DrillDownDashboard
+            dimensions={categoricalColumns(modelMetadata)}
+            targetColumn={modelMetadata.target_column}
+            query={drill}
+            breakdown={breakdown}
+            loading={breakdownLoading}
+            onChange={(changes) => setDrill(current => ({ ...current, ...changes }))}
+            onDrill={handleDrill}
+            onDrillUp={handleDrillUp}
+          />
+        )}
+
         {/* 2. Action Bar - Upload & Train + Generate Forecast */}
         <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100 flex flex-col md:flex-row items-center justify-between gap-6">
 
           {/* Upload Section */}
+          {can('admin') && (
           <div className="flex-1 w-full md:w-auto">
             <div className="flex gap-4 items-center p-2 bg-blue-50 border border-blue-100 rounded-xl">
               <div className="grid gap-1">
@@ -228,10 +1141,11 @@ export default function Home() {
                 <input
                   type="file"
                   id="csvInput"
-                  accept=".csv"
+                  accept=".csv,.tsv,.txt,.gz,.zip"
                   onChange={(e) => setFile(e.target.files[0])}
                   className="text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700"
                 />
+                <span className="text-xs text-gray-500">Comma, semicolon, tab or pipe separated; may be gzipped or zipped</span>
               </div>
 
               <button
@@ -240,16 +1154,50 @@ export default function Home() {
                 disabled={!file || uploading}
                 className="whitespace-nowrap px-6 py-2 bg-green-600 text-white text-sm font-medium rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed h-fit"
               >
-                {uploading ? 'Training...' : 'Upload & Train'}
+                {uploading ? 'Uploading...' : 'Upload & Preview'}
               </button>
             </div>
+
+            <AdvancedTrainingOptions options={trainingOptions} onChange={setTrainingOptions} disabled={uploading} />
+
+            {trainingJob && (
+              <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-xl text-sm space-y-1">
+                <div className="flex items-center justify-between gap-4">
+                  <span className="font-semibold text-gray-700">
+                    Training job: <span className="uppercase tracking-wide">{trainingJob.state}</span>
+                    {trainingJob.queuePosition ? ` (#${trainingJob.queuePosition} in queue)` : ''}
+                  </span>
+                  <span className="text-gray-500">
+                    {trainingJob.durationMs !== null ? `${(trainingJob.durationMs / 1000).toFixed(1)}s` : ''}
+                  </span>
+                </div>
+                <p className="text-gray-500 truncate font-mono" title={trainingJob.progress || ''}>
+                  {trainingJob.error || trainingJob.progress}
+                </p>
+                {(trainingJob.state === 'queued' || trainingJob.state === 'running') && (
+                  <button
+                    type="button"
+                    onClick={handleCancelTraining}
+                    className="text-xs font-medium text-red-600 hover:text-red-700"
+                  >
+                    Cancel training
+                  </button>
+                )}
+              </div>
+            )}
           </div>
+          )}
 
           {/* Prediction Button */}
           <div className="flex-1 w-full md:w-auto flex justify-end items-center gap-4">
             {prediction !== null && prediction !== undefined && (
-              <div className="px-6 py-2 bg-green-100 text-green-800 rounded-xl border border-green-200 font-bold text-lg animate-in fade-in">
-                Forecast: ${Number(prediction).toFixed(2)}
+              <div className="flex flex-col items-end gap-1">
+                <div className="px-6 py-2 bg-green-100 text-green-800 rounded-xl border border-green-200 font-bold text-lg animate-in fade-in">
+                  Forecast: ${Number(prediction).toFixed(2)}
+                </div>
+                {predictionWarnings.map(w => (
+                  <p key={`${w.field}-${w.code}`} className="text-xs text-yellow-700">{w.message}</p>
+                ))}
               </div>
             )}
 
@@ -264,6 +1212,21 @@ export default function Home() {
           </div>
         </section>
 
+        {explanation && prediction !== null && (
+          <PredictionExplanation explanation={explanation} prediction={prediction} />
+        )}
+
+        {uploadPreview && can('admin') && (
+          <SchemaPreview
+            preview={uploadPreview}
+            overrides={trainingOverrides}
+            onChange={setTrainingOverrides}
+            onConfirm={handleConfirmTraining}
+            onCancel={handleDiscardPreview}
+            busy={uploading}
+          />
+        )}
+
         {/* 3. Input Fields - 5 Columns */}
         <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
           <h2 className="text-xl font-semibold mb-6 text-gray-700">Prediction Parameters</h2>
@@ -271,7 +1234,7 @@ export default function Home() {
             <p className="text-gray-500 text-center py-8">Upload a CSV and train the model to see prediction parameters.</p>
           ) : (
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-6">
-              {modelMetadata.features.map(feature => (
+              {formFields(modelMetadata).map(feature => (
                 <div key={feature.name} className="flex flex-col gap-2">
                   <label className="text-sm font-medium text-gray-600 truncate" title={feature.name}>
                     {feature.name.replace(/_/g, ' ').split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}
@@ -305,9 +1268,99 @@ export default function Home() {
               ))}
             </div>
           )}
+          {modelMetadata && modelMetadata.generated_features && modelMetadata.generated_features.length > 0 && (
+            <p className="mt-4 text-xs text-gray-500">
+              Derived automatically from the {modelMetadata.date_column}
+              {modelMetadata.holiday_country ? ` (holidays: ${modelMetadata.holiday_country})` : ''} and
+              recent {modelMetadata.target_column}:{' '}
+              {modelMetadata.generated_features.map((g, i) => (
+                <span key={g.name} title={g.description}>{i > 0 ? ', ' : ''}{g.name}</span>
+              ))}
+            </p>
+          )}
+        </section>
+
+        {modelMetadata && (
+          <ScenarioComparison
+            scenarios={scenarios.scenarios}
+            version={scenarios.version}
+            features={formFields(modelMetadata)}
+            currentInputs={dynamicForm}
+            onSave={handleSaveScenario}
+            onLoad={(scenario) => setDynamicForm({ ...dynamicForm, ...scenario.inputs })}
+            onDelete={handleDeleteScenario}
+          />
+        )}
+
+        {modelMetadata && (
+          <SensitivitySweep
+            key={modelMetadata.trained_at}
+            features={modelMetadata.features}
+            timeFeatures={modelMetadata.time_features || []}
+            sweep={sweep}
+            running={sweepRunning}
+            onRun={handleSweep}
+          />
+        )}
+
+        {appendHistory && can('analyst') && (
+          <DataAppends
+            key={appendHistory.datasetId}
+            history={appendHistory}
+            canEdit={can('admin')}
+            busy={appending}
+            onAppend={handleAppend}
+            onRevert={handleRevertAppend}
+          />
+        )}
+
+        {evaluation && <ModelQuality key={evaluation.version} evaluation={evaluation} />}
+
+        {backtest && <BacktestResults backtest={backtest} />}
+
+        {predictionAccuracy && can('analyst') && (
+          <PredictionAccuracy
+            accuracy={predictionAccuracy}
+            history={predictionHistory}
+            interval={accuracyInterval}
+            onIntervalChange={handleAccuracyIntervalChange}
+          />
+        )}
+
+        {/* 4. Batch Scoring */}
+        {can('analyst') && (
+        <section className="bg-white p-6 rounded-2xl shadow-sm border border-gray-100">
+          <h2 className="text-xl font-semibold mb-2 text-gray-700">Score a File</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Upload a CSV with the same columns as the prediction parameters. Every row is scored and a copy with a prediction column is downloaded.
+          </p>
+          <div className="flex flex-col md:flex-row md:items-center gap-4">
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.gz,.zip"
+              onChange={(e) => setBatchFile(e.target.files[0])}
+              className="text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-blue-600 file:text-white hover:file:bg-blue-700"
+            />
+            <button
+              type="button"
+              onClick={handleBatchScore}
+              disabled={!batchFile || batchScoring || !modelMetadata}
+              className="whitespace-nowrap px-6 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed h-fit"
+            >
+              {batchScoring ? 'Scoring...' : 'Score & Download'}
+            </button>
+            {batchSummary && (
+              <span className="text-sm text-gray-600">
+                Scored {batchSummary.total - batchSummary.failed} of {batchSummary.total} rows with model {batchSummary.version}
+                {batchSummary.failed > 0 && <span className="text-red-600"> ({batchSummary.failed} failed, see the error column)</span>}
+              </span>
+            )}
+          </div>
         </section>
+        )}
 
       </div>
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </main>
   );
 }